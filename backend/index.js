@@ -2,11 +2,28 @@ require('dotenv').config();
 
 const express = require('express');
 const cors = require('cors');
-const { initMoralis } = require('./services/moralis');
+const { initDataProvider } = require('./services/providers');
 const { loadDtfsFromEnv } = require('./services/navPricing');
+const { loadDiscoveredDtfs } = require('./services/dtfDiscovery');
+const { loadProtocolTokens } = require('./services/protocolTokens');
+const { startSnapshotScheduler } = require('./services/snapshots');
+const { startAlertScheduler } = require('./services/alerts');
+const { getCacheStats } = require('./services/cache');
+const { getStreamStats } = require('./services/liveUpdates');
 
 const balancesRouter = require('./routes/balances');
 const defiPositionsRouter = require('./routes/defi-positions');
+const portfolioRouter = require('./routes/portfolio');
+const snapshotsRouter = require('./routes/snapshots');
+const performanceRouter = require('./routes/performance');
+const transactionsRouter = require('./routes/transactions');
+const dtfRouter = require('./routes/dtf');
+const exposureRouter = require('./routes/exposure');
+const riskRouter = require('./routes/risk');
+const rebalanceRouter = require('./routes/rebalance');
+const alertsRouter = require('./routes/alerts');
+const streamRouter = require('./routes/stream');
+const adminRouter = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -35,10 +52,26 @@ app.use(express.json());
 // Routes
 app.use('/api/balances', balancesRouter);
 app.use('/api/defi-positions', defiPositionsRouter);
+app.use('/api/portfolio', portfolioRouter);
+app.use('/api/snapshots', snapshotsRouter);
+app.use('/api/performance', performanceRouter);
+app.use('/api/transactions', transactionsRouter);
+app.use('/api/dtf', dtfRouter);
+app.use('/api/exposure', exposureRouter);
+app.use('/api/risk', riskRouter);
+app.use('/api/rebalance', rebalanceRouter);
+app.use('/api/alerts', alertsRouter);
+app.use('/api/stream', streamRouter);
+app.use('/api/admin', adminRouter);
 
 // Health check
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    caches: getCacheStats(),
+    streams: getStreamStats(),
+  });
 });
 
 // Start server
@@ -47,14 +80,51 @@ async function start() {
     // Load DTF token addresses from environment
     loadDtfsFromEnv();
 
-    // Initialize Moralis SDK
-    await initMoralis();
+    // Re-register DTFs found by automatic discovery on earlier runs
+    const discoveredCount = await loadDiscoveredDtfs();
+    if (discoveredCount > 0) {
+      console.log(`[server] Registered ${discoveredCount} previously discovered DTFs`);
+    }
+
+    // Apply admin edits to the protocol-token registry
+    const protocolTokenCount = await loadProtocolTokens();
+    console.log(`[server] Protocol-token registry: ${protocolTokenCount} mappings`);
+
+    // Initialize the data provider (Moralis SDK, or fixtures in replay mode)
+    await initDataProvider();
+
+    // Start scheduled portfolio snapshots (no-op unless configured)
+    startSnapshotScheduler();
+
+    // Start scheduled alert evaluation (no-op unless configured)
+    startAlertScheduler();
 
     app.listen(PORT, () => {
       console.log(`[server] Sagix Portfolio Tracker API running on port ${PORT}`);
       console.log(`[server] Endpoints:`);
       console.log(`[server]   GET /api/balances?address=0x...`);
       console.log(`[server]   GET /api/defi-positions?address=0x...`);
+      console.log(`[server]   GET /api/portfolio?addresses=0x...:label,0x...`);
+      console.log(`[server]   POST /api/portfolio`);
+      console.log(`[server]   GET /api/snapshots?address=0x...`);
+      console.log(`[server]   GET /api/snapshots/:address/:timestamp`);
+      console.log(`[server]   POST /api/snapshots`);
+      console.log(`[server]   GET /api/performance?address=0x...`);
+      console.log(`[server]   GET /api/transactions?address=0x...`);
+      console.log(`[server]   GET /api/dtf/premiums`);
+      console.log(`[server]   GET /api/dtf/discovered`);
+      console.log(`[server]   GET /api/dtf/:chainId/:address`);
+      console.log(`[server]   GET /api/dtf/:chainId/:address/nav-history`);
+      console.log(`[server]   GET /api/exposure?address=0x...`);
+      console.log(`[server]   GET /api/risk?address=0x...`);
+      console.log(`[server]   POST /api/rebalance`);
+      console.log(`[server]   GET /api/stream?addresses=0x...,0x... (SSE)`);
+      console.log(`[server]   GET|POST /api/admin/protocol-tokens (admin)`);
+      console.log(`[server]   DELETE /api/admin/protocol-tokens/:chainId/:address (admin)`);
+      console.log(`[server]   GET|POST /api/alerts/rules (admin)`);
+      console.log(`[server]   PATCH|DELETE /api/alerts/rules/:id (admin)`);
+      console.log(`[server]   POST /api/alerts/evaluate (admin)`);
+      console.log(`[server]   GET /api/alerts/deliveries (admin)`);
       console.log(`[server]   GET /api/health`);
     });
   } catch (err) {
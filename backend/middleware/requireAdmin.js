@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// ──────────────────────────────────────────────────────────────────────
+// Admin authentication
+//
+// Admin endpoints require the ADMIN_API_KEY, sent as
+// `Authorization: Bearer <key>` or `X-API-Key: <key>`. With no key
+// configured the admin API is disabled.
+// ──────────────────────────────────────────────────────────────────────
+
+function presentedKey(req) {
+  const auth = req.get('authorization') || '';
+  if (auth.toLowerCase().startsWith('bearer ')) return auth.slice(7).trim();
+  return req.get('x-api-key') || null;
+}
+
+// Constant-time comparison — hashing first makes the lengths equal
+function keysMatch(presented, expected) {
+  const a = crypto.createHash('sha256').update(presented).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) {
+    return res.status(503).json({
+      error: 'Admin API disabled — set ADMIN_API_KEY to enable it',
+    });
+  }
+
+  const presented = presentedKey(req);
+  if (!presented || !keysMatch(presented, expected)) {
+    console.warn(`[admin] Rejected ${req.method} ${req.originalUrl} — invalid or missing API key`);
+    return res.status(401).json({
+      error: 'Valid admin API key required (Authorization: Bearer <key> or X-API-Key header)',
+    });
+  }
+
+  next();
+}
+
+module.exports = { requireAdmin };
@@ -0,0 +1,131 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/requireAdmin');
+const { isValidAddress } = require('../services/portfolio');
+const { CHAIN_REGISTRY } = require('../services/chains');
+const {
+  POSITION_TYPES,
+  listProtocolTokens,
+  addProtocolToken,
+  removeProtocolToken,
+} = require('../services/protocolTokens');
+const router = express.Router();
+
+// Every admin endpoint needs the ADMIN_API_KEY
+router.use(requireAdmin);
+
+// Any chain in the registry, enabled or not — mappings can be prepared
+// before a chain is switched on
+function parseChainId(value) {
+  const chainId = Number(value);
+  return CHAIN_REGISTRY.some((c) => c.id === chainId) ? chainId : null;
+}
+
+/**
+ * GET /api/admin/protocol-tokens
+ *
+ * Every protocol-token mapping (seed plus admin edits).
+ */
+router.get('/protocol-tokens', (req, res) => {
+  const tokens = listProtocolTokens();
+  res.json({ count: tokens.length, tokens });
+});
+
+/**
+ * POST /api/admin/protocol-tokens
+ * Body: { protocol, chainId, address, symbol?, positionType?, underlying? }
+ *
+ * Add a mapping, or replace the existing one for the same chain + address.
+ * positionType defaults to 'staking'; underlying is the base asset symbol
+ * (e.g. ETH) the exposure report resolves the token to.
+ */
+router.post('/protocol-tokens', async (req, res) => {
+  const { protocol, chainId, address, symbol, positionType, underlying } = req.body || {};
+
+  if (typeof protocol !== 'string' || !protocol.trim()) {
+    return res.status(400).json({ error: 'protocol is required' });
+  }
+
+  const resolvedChainId = parseChainId(chainId);
+  if (resolvedChainId === null) {
+    return res.status(400).json({
+      error: `Unknown chainId — expected one of: ${CHAIN_REGISTRY.map((c) => c.id).join(', ')}`,
+      received: chainId,
+    });
+  }
+
+  if (!isValidAddress(address)) {
+    return res.status(400).json({
+      error: 'Invalid Ethereum address format',
+      received: address,
+    });
+  }
+
+  if (symbol !== undefined && typeof symbol !== 'string') {
+    return res.status(400).json({ error: 'symbol must be a string', received: symbol });
+  }
+
+  if (underlying !== undefined && typeof underlying !== 'string') {
+    return res.status(400).json({ error: 'underlying must be a string', received: underlying });
+  }
+
+  if (positionType !== undefined && !POSITION_TYPES.includes(positionType)) {
+    return res.status(400).json({
+      error: `Invalid positionType — expected one of: ${POSITION_TYPES.join(', ')}`,
+      received: positionType,
+    });
+  }
+
+  try {
+    const { entry, created } = await addProtocolToken({
+      protocol: protocol.trim(),
+      chainId: resolvedChainId,
+      address,
+      symbol,
+      positionType,
+      underlying,
+    });
+    res.status(created ? 201 : 200).json(entry);
+  } catch (err) {
+    console.error('[admin] Failed to save protocol token:', err.message);
+    res.status(500).json({
+      error: 'Failed to save protocol token',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/protocol-tokens/:chainId/:address
+ *
+ * Remove a mapping (seed entries included).
+ */
+router.delete('/protocol-tokens/:chainId/:address', async (req, res) => {
+  const chainId = parseChainId(req.params.chainId);
+  const { address } = req.params;
+
+  if (chainId === null || !isValidAddress(address)) {
+    return res.status(400).json({
+      error: 'Invalid chainId or address',
+      received: { chainId: req.params.chainId, address },
+    });
+  }
+
+  try {
+    const removed = await removeProtocolToken(chainId, address);
+    if (!removed) {
+      return res.status(404).json({
+        error: 'No mapping for this token',
+        received: { chainId, address },
+      });
+    }
+    res.json({ removed });
+  } catch (err) {
+    console.error('[admin] Failed to remove protocol token:', err.message);
+    res.status(500).json({
+      error: 'Failed to remove protocol token',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/requireAdmin');
+const {
+  parseRule,
+  listRules,
+  addRule,
+  setRuleEnabled,
+  removeRule,
+  evaluateAlerts,
+} = require('../services/alerts');
+const { listDeliveries } = require('../services/webhooks');
+const router = express.Router();
+
+// Alert rules make this server call out to arbitrary URLs — admin only
+router.use(requireAdmin);
+
+/**
+ * GET /api/alerts/rules
+ *
+ * Every alert rule (webhook secrets are not listed).
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await listRules();
+    res.json({ count: rules.length, rules });
+  } catch (err) {
+    console.error('[alerts] Failed to read rules:', err.message);
+    res.status(500).json({
+      error: 'Failed to read alert rules',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/alerts/rules
+ * Body: { type, webhookUrl, label?, secret?, enabled?, address?, ...params }
+ *   value_change    { address, changePct }
+ *   basket_status   { chainId?, dtfAddress? }
+ *   nav_premium     { thresholdPct, chainId?, dtfAddress? }
+ *   position_value  { address, token: "SYMBOL" | "chainId:0x...", belowUsd }
+ *
+ * Create a rule. The response includes the webhook secret used to sign
+ * deliveries (generated if not given) — it is not shown again.
+ */
+router.post('/rules', async (req, res) => {
+  const { rule, error, received } = parseRule(req.body);
+  if (error) {
+    return res.status(400).json({ error, received });
+  }
+
+  try {
+    res.status(201).json(await addRule(rule));
+  } catch (err) {
+    console.error('[alerts] Failed to save rule:', err.message);
+    res.status(500).json({
+      error: 'Failed to save alert rule',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/alerts/rules/:id
+ * Body: { enabled: true | false }
+ */
+router.patch('/rules/:id', async (req, res) => {
+  const { enabled } = req.body || {};
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be true or false', received: enabled });
+  }
+
+  try {
+    const rule = await setRuleEnabled(req.params.id, enabled);
+    if (!rule) {
+      return res.status(404).json({ error: 'No alert rule with this id', received: req.params.id });
+    }
+    res.json(rule);
+  } catch (err) {
+    console.error('[alerts] Failed to update rule:', err.message);
+    res.status(500).json({
+      error: 'Failed to update alert rule',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/alerts/rules/:id
+ */
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const removed = await removeRule(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'No alert rule with this id', received: req.params.id });
+    }
+    res.json({ id: req.params.id, removed: true });
+  } catch (err) {
+    console.error('[alerts] Failed to remove rule:', err.message);
+    res.status(500).json({
+      error: 'Failed to remove alert rule',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/alerts/evaluate
+ *
+ * Evaluate every enabled rule now and deliver any events. Returns 409 if
+ * a (scheduled) evaluation is already running.
+ */
+router.post('/evaluate', async (req, res) => {
+  try {
+    const result = await evaluateAlerts();
+    if (result.skipped) {
+      return res.status(409).json({ error: 'An alert evaluation is already running' });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('[alerts] Evaluation failed:', err.message);
+    res.status(500).json({
+      error: 'Failed to evaluate alerts',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/alerts/deliveries?ruleId=...&status=failed&limit=50
+ *
+ * Webhook delivery history with every attempt, newest first.
+ */
+router.get('/deliveries', async (req, res) => {
+  const { ruleId, status, limit } = req.query;
+
+  if (status !== undefined && !['delivered', 'failed'].includes(status)) {
+    return res.status(400).json({ error: 'status must be delivered or failed', received: status });
+  }
+
+  const parsedLimit = limit ? parseInt(limit, 10) : null;
+  if (limit && (!parsedLimit || parsedLimit < 1)) {
+    return res.status(400).json({
+      error: 'Invalid limit — expected a positive integer',
+      received: limit,
+    });
+  }
+
+  try {
+    const deliveries = await listDeliveries({ ruleId: ruleId || null, status: status || null, limit: parsedLimit });
+    res.json({ count: deliveries.length, deliveries });
+  } catch (err) {
+    console.error('[alerts] Failed to read deliveries:', err.message);
+    res.status(500).json({
+      error: 'Failed to read webhook deliveries',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
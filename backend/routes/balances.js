@@ -1,211 +1,63 @@
 const express = require('express');
 const router = express.Router();
-const { getMultiChainBalances, fetchDefiPositions, DUST_THRESHOLD_USD, DEFI_PROTOCOL_TOKENS } = require('../services/moralis');
-const { applyNavPricing } = require('../services/navPricing');
-const { recalculatePortfolioPercentages } = require('../services/calculations');
+const { buildPortfolio, isValidAddress } = require('../services/portfolio');
+const { COST_BASIS_METHODS } = require('../services/costBasis');
+const { NAV_MODES } = require('../services/navPricing');
 
-// GET /api/balances?address=0x...
+// GET /api/balances?address=0x...&fresh=true&costBasisMethod=fifo&navMode=always
 //
 // Returns the full merged portfolio:
 //   1. Wallet token balances from Moralis (multi-chain)
 //   2. DeFi positions (staked, supplied, LP'd) from Moralis DeFi API
 //   3. NAV-priced DTF tokens (ixEDEL, ixETH, etc.) via on-chain calls
+//   4. Cost basis and PnL per wallet token from transfer history
+//
+// Results are served from the shared cache; `fresh=true` refetches everything.
+// costBasisMethod is fifo | lifo | average (default COST_BASIS_METHOD), or
+// none to skip the history lookup. navMode=always computes NAV for every
+// known DTF and reports its market premium/discount in navDetails.
 //
 // Response shape:
 // {
-//   address, totalUsdValue, tokens: [...],
+//   address, totalUsdValue,
+//   tokens: [{ ..., costBasisUsd, unrealizedPnlUsd, realizedPnlUsd }],
 //   defiPositionsIncluded: true,
 //   navPricingApplied: true,
+//   costBasis: { method, totalCostBasisUsd, unrealizedPnlUsd, realizedPnlUsd, ... },
 //   disclaimer, errors
 // }
 router.get('/', async (req, res) => {
-  const { address } = req.query;
+  const { address, fresh, costBasisMethod, navMode } = req.query;
 
-  if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+  if (!isValidAddress(address)) {
     return res.status(400).json({
       error: 'Valid Ethereum address required (query param: address)',
     });
   }
 
-  const walletAddress = address.toLowerCase();
-
-  try {
-    console.log(`\n[balances] Fetching full portfolio for ${walletAddress}`);
-
-    // ── Step 1: Fetch wallet token balances + DeFi positions in parallel ──
-    const [balancesResult, defiResult] = await Promise.allSettled([
-      getMultiChainBalances(walletAddress),
-      fetchDefiPositions(walletAddress),
-    ]);
-
-    let walletTokens = [];
-    let defiPositions = [];
-    const allErrors = [];
-
-    if (balancesResult.status === 'fulfilled') {
-      walletTokens = balancesResult.value.tokens;
-      allErrors.push(...balancesResult.value.errors);
-    } else {
-      allErrors.push({
-        source: 'balances',
-        error: balancesResult.reason?.message || 'Failed to fetch balances',
-      });
-      console.error(
-        '[balances] Balance fetch failed:',
-        balancesResult.reason?.message
-      );
-    }
-
-    if (defiResult.status === 'fulfilled') {
-      defiPositions = defiResult.value.positions;
-      allErrors.push(
-        ...defiResult.value.errors.map((e) => ({ source: 'defi', ...e }))
-      );
-      console.log(
-        `[balances] Fetched ${defiPositions.length} DeFi positions`
-      );
-    } else {
-      allErrors.push({
-        source: 'defi',
-        error: defiResult.reason?.message || 'Failed to fetch DeFi positions',
-      });
-      console.error(
-        '[balances] DeFi fetch failed:',
-        defiResult.reason?.message
-      );
-    }
-
-    // ── Step 2: Convert DeFi positions to holdings-compatible format and merge ──
-    const defiHoldings = [];
-    for (const pos of defiPositions) {
-      for (const token of pos.tokens) {
-        if (token.valueUsd !== null && token.valueUsd < DUST_THRESHOLD_USD) continue;
-        defiHoldings.push({
-          chain: pos.chain,
-          chainId: pos.chainId,
-          tokenAddress: token.tokenAddress,
-          symbol: token.symbol,
-          name: token.name,
-          decimals: token.decimals || null,
-          balance: String(token.balance),
-          balanceFormatted: token.balance,
-          usdPrice: token.price ?? null,
-          usdValue: token.valueUsd ?? null,
-          logo: null,
-          thumbnail: null,
-          priceSource: token.price ? 'defi' : null,
-          nativeToken: false,
-          portfolioPercentage: 0,
-          isDefiPosition: true,
-          defiProtocol: pos.protocol,
-          defiProtocolLogo: pos.protocolLogo,
-          defiPositionType: pos.positionType,
-        });
-      }
-    }
-
-    // ── Step 2b: Tag wallet tokens that are known DeFi/staking positions ──
-    // Moralis getDefiPositionsSummary detects protocols but often returns unusable
-    // token data. Instead of relying on the DeFi response, directly tag wallet
-    // tokens using the known protocol-to-token address mapping.
-    // Build a logo lookup from detected DeFi positions for UI purposes.
-    const protocolLogos = {};
-    for (const pos of defiPositions) {
-      if (pos.protocolLogo) {
-        protocolLogos[pos.protocol] = pos.protocolLogo;
-      }
-    }
-
-    console.log('[balances] Tagging known staking tokens as DeFi positions...');
-    for (const token of walletTokens) {
-      if (!token.tokenAddress) continue;
-      for (const [protocol, chains] of Object.entries(DEFI_PROTOCOL_TOKENS)) {
-        const addresses = chains[token.chainId] || [];
-        if (addresses.includes(token.tokenAddress)) {
-          token.isDefiPosition = true;
-          token.defiProtocol = protocol;
-          token.defiProtocolLogo = protocolLogos[protocol] || null;
-          token.defiPositionType = 'staking';
-          console.log(
-            `[balances]   Tagged ${token.symbol} ($${(token.usdValue || 0).toFixed(2)}) as ${protocol} staking position`
-          );
-        }
-      }
-    }
-
-    let allTokens = [...walletTokens, ...defiHoldings];
-
-    console.log(
-      `[balances] Merged: ${walletTokens.length} wallet + ${defiHoldings.length} DeFi = ${allTokens.length} total`
-    );
-
-    // ── Step 3: Apply NAV pricing for tokens with null price ──
-    // This attempts on-chain Reserve Protocol calls for DTF tokens
-    const nullPriceCount = allTokens.filter((t) => t.usdPrice === null).length;
-    if (nullPriceCount > 0) {
-      console.log(
-        `[balances] ${nullPriceCount} tokens with null price — applying NAV pricing`
-      );
-      allTokens = await applyNavPricing(allTokens);
-    }
-
-    // ── Step 4: Final dust filter (after NAV pricing may have filled in values) ──
-    allTokens = allTokens.filter(
-      (t) => t.usdValue === null || t.usdValue >= DUST_THRESHOLD_USD
-    );
+  const method = costBasisMethod?.toLowerCase();
+  if (method && method !== 'none' && !COST_BASIS_METHODS.includes(method)) {
+    return res.status(400).json({
+      error: `costBasisMethod must be one of: ${[...COST_BASIS_METHODS, 'none'].join(', ')}`,
+    });
+  }
 
-    // ── Step 5: Recalculate portfolio percentages across the merged set ──
-    allTokens = recalculatePortfolioPercentages(allTokens);
+  if (navMode !== undefined && !NAV_MODES.includes(navMode)) {
+    return res.status(400).json({
+      error: `navMode must be one of: ${NAV_MODES.join(', ')}`,
+    });
+  }
 
-    // ── Step 6: Sort by USD value descending ──
-    allTokens.sort((a, b) => (b.usdValue || 0) - (a.usdValue || 0));
+  const walletAddress = address.toLowerCase();
 
-    // ── Compute totals ──
-    const totalUsdValue = allTokens.reduce(
-      (sum, t) => sum + (t.usdValue || 0),
-      0
-    );
-    // DeFi value = tokens from DeFi holdings + wallet tokens tagged as DeFi positions
-    const totalDefiValue =
-      defiHoldings.reduce((sum, t) => sum + (t.usdValue || 0), 0) +
-      walletTokens
-        .filter((t) => t.isDefiPosition)
-        .reduce((sum, t) => sum + (t.usdValue || 0), 0);
-    const totalWalletValue = allTokens.reduce(
-      (sum, t) => sum + (t.usdValue || 0),
-      0
-    ) - totalDefiValue;
-    const navPricedTokens = allTokens.filter(
-      (t) => t.priceSource === 'nav'
-    );
-    const navPricedValue = navPricedTokens.reduce(
-      (sum, t) => sum + (t.usdValue || 0),
-      0
+  try {
+    res.json(
+      await buildPortfolio(walletAddress, {
+        fresh: fresh === 'true',
+        costBasisMethod: method,
+        navMode,
+      })
     );
-
-    console.log(`[balances] Portfolio summary:`);
-    console.log(`[balances]   Wallet tokens: $${totalWalletValue.toFixed(2)}`);
-    console.log(`[balances]   DeFi positions: $${totalDefiValue.toFixed(2)}`);
-    console.log(`[balances]   NAV-priced: $${navPricedValue.toFixed(2)} (${navPricedTokens.length} tokens)`);
-    console.log(`[balances]   Total: $${totalUsdValue.toFixed(2)}`);
-    console.log(`[balances]   Tokens: ${allTokens.length}`);
-
-    res.json({
-      address: walletAddress,
-      totalUsdValue,
-      breakdown: {
-        walletTokensValue: totalWalletValue,
-        defiPositionsValue: totalDefiValue,
-        navPricedValue,
-      },
-      tokenCount: allTokens.length,
-      tokens: allTokens,
-      defiPositionsIncluded: defiResult.status === 'fulfilled',
-      navPricingApplied: navPricedTokens.length > 0,
-      disclaimer:
-        'Cost basis estimated from on-chain data. DeFi positions sourced from Moralis. NAV pricing calculated from on-chain basket composition.',
-      errors: allErrors.length > 0 ? allErrors : undefined,
-    });
   } catch (err) {
     console.error('[balances] Unhandled error:', err);
     res.status(500).json({
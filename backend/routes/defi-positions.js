@@ -1,16 +1,25 @@
 const express = require('express');
-const { fetchDefiPositions, getMultiChainBalances, DEFI_PROTOCOL_TOKENS } = require('../services/moralis');
+const { getMultiChainBalances } = require('../services/moralis');
+const { isValidAddress } = require('../services/portfolio');
+const { protocolTokenAddresses } = require('../services/protocolTokens');
+const { getDefiPositions } = require('../services/protocols');
 const router = express.Router();
 
 /**
- * GET /api/defi-positions?address=0x...
+ * GET /api/defi-positions?address=0x...&fresh=true
  *
  * Returns all DeFi positions (staked, deposited, LP) for the given wallet.
+ * Supported protocols (Aave V3, Compound V3, Lido, EtherFi, Rocket Pool,
+ * Uniswap V3 and Aerodrome Slipstream LP NFTs) are read on-chain —
+ * supplied/borrowed amounts, health factor, LST exchange rates, LP token
+ * amounts with uncollected fees and in-range flag — and marked
+ * source: 'onchain'. Moralis covers everything else.
  * When Moralis returns positions with empty token arrays, enriches them by
- * cross-referencing wallet token balances with known protocol-token mappings.
+ * cross-referencing wallet token balances with the protocol-token registry.
+ * Both fetches share the cache with /api/balances; `fresh=true` bypasses it.
  */
 router.get('/', async (req, res) => {
-  const { address } = req.query;
+  const { address, fresh } = req.query;
 
   if (!address) {
     return res.status(400).json({
@@ -19,7 +28,7 @@ router.get('/', async (req, res) => {
     });
   }
 
-  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+  if (!isValidAddress(address)) {
     return res.status(400).json({
       error: 'Invalid Ethereum address format',
       received: address,
@@ -31,9 +40,10 @@ router.get('/', async (req, res) => {
 
     // Fetch DeFi positions and wallet balances in parallel so we can
     // enrich empty positions with wallet token data
+    const options = { fresh: fresh === 'true' };
     const [defiResult, balancesResult] = await Promise.allSettled([
-      fetchDefiPositions(address),
-      getMultiChainBalances(address),
+      getDefiPositions(address, options),
+      getMultiChainBalances(address, options),
     ]);
 
     let positions = [];
@@ -51,10 +61,11 @@ router.get('/', async (req, res) => {
       const walletTokens = balancesResult.value.tokens;
 
       for (const pos of positions) {
+        if (pos.source === 'onchain') continue;
         const hasValuedTokens = pos.tokens.some((t) => (t.valueUsd || 0) >= 1.0);
         if (hasValuedTokens) continue;
 
-        const protocolAddresses = DEFI_PROTOCOL_TOKENS[pos.protocol]?.[pos.chainId] || [];
+        const protocolAddresses = protocolTokenAddresses(pos.protocol, pos.chainId);
         for (const tokenAddr of protocolAddresses) {
           const walletToken = walletTokens.find(
             (t) => t.tokenAddress === tokenAddr && t.chainId === pos.chainId
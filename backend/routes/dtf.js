@@ -0,0 +1,177 @@
+const express = require('express');
+const { getDtfPremiums } = require('../services/navPricing');
+const { getChain } = require('../services/chains');
+const { isValidAddress } = require('../services/portfolio');
+const { parseTimestamp } = require('../services/snapshots');
+const {
+  MAX_NAV_HISTORY_DAYS,
+  isNavHistoryTimestamp,
+  navHistoryDayCount,
+  getNavHistory,
+} = require('../services/navHistory');
+const { getDtfHealth } = require('../services/dtfHealth');
+const { getDiscoveredDtfs } = require('../services/dtfDiscovery');
+const router = express.Router();
+
+/**
+ * GET /api/dtf/premiums?fresh=true
+ *
+ * Market price vs NAV for every registered DTF (KNOWN_DTFS). premiumDiscountPct
+ * is positive when the market trades above NAV and negative below it; null
+ * when either side is unavailable.
+ */
+router.get('/premiums', async (req, res) => {
+  try {
+    const dtfs = await getDtfPremiums({ fresh: req.query.fresh === 'true' });
+    res.json({ timestamp: new Date().toISOString(), count: dtfs.length, dtfs });
+  } catch (err) {
+    console.error('[dtf] Failed to compute premiums:', err.message);
+    res.status(500).json({
+      error: 'Failed to compute DTF premiums',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/dtf/discovered
+ *
+ * DTFs found by automatic discovery (unpriced tokens probed on-chain) and
+ * how many tokens have been probed in total.
+ */
+router.get('/discovered', async (req, res) => {
+  try {
+    const { dtfs, probedCount } = await getDiscoveredDtfs();
+    res.json({ count: dtfs.length, probedCount, dtfs });
+  } catch (err) {
+    console.error('[dtf] Failed to read discovered DTFs:', err.message);
+    res.status(500).json({
+      error: 'Failed to read discovered DTFs',
+      message: err.message,
+    });
+  }
+});
+
+// Shared :chainId / :address validation; sends the 400 and returns null on failure
+function resolveDtfParams(req, res) {
+  const { chainId, address } = req.params;
+
+  const chain = getChain(chainId);
+  if (!chain) {
+    res.status(400).json({
+      error: 'Unsupported chain',
+      received: chainId,
+    });
+    return null;
+  }
+
+  if (!isValidAddress(address)) {
+    res.status(400).json({
+      error: 'Invalid Ethereum address format',
+      received: address,
+    });
+    return null;
+  }
+
+  return { chain, address: address.toLowerCase() };
+}
+
+/**
+ * GET /api/dtf/:chainId/:address?fresh=true
+ *
+ * Health and backing report for a Reserve Yield DTF (RToken): basket status and its
+ * BasketSet / BasketStatusChanged history, full collateralization, staked
+ * RSR overcollateralization and stRSR exchange rate, issuance/redemption
+ * throttles, pause state, and per-collateral default status from the
+ * AssetRegistry.
+ */
+router.get('/:chainId/:address', async (req, res) => {
+  const params = resolveDtfParams(req, res);
+  if (!params) return;
+
+  try {
+    const health = await getDtfHealth(params.chain.id, params.address, {
+      fresh: req.query.fresh === 'true',
+    });
+    if (!health) {
+      return res.status(404).json({
+        error: 'Not a Reserve Yield DTF (RToken) — main() call failed',
+        received: params.address,
+      });
+    }
+    res.json(health);
+  } catch (err) {
+    console.error(`[dtf] Health report failed for ${params.address}:`, err.message);
+    res.status(500).json({
+      error: 'Failed to build DTF health report',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/dtf/:chainId/:address/nav-history?from=...&to=...&riskFreeRate=0.045&fresh=true
+ *
+ * Daily NAV series for one DTF (NAV at the block closest to 00:00 UTC each
+ * day, underlyings priced at that block) plus CAGR, Sharpe, Sortino,
+ * volatility, max drawdown and period returns over it. `from`/`to` accept
+ * epoch ms or ISO dates between 2015-01-01 and now; the default is the
+ * last 30 days.
+ */
+router.get('/:chainId/:address/nav-history', async (req, res) => {
+  const params = resolveDtfParams(req, res);
+  if (!params) return;
+  const { chain, address } = params;
+  const { from, to, riskFreeRate, fresh } = req.query;
+
+  const fromMs = parseTimestamp(from);
+  const toMs = parseTimestamp(to);
+  if ((from && fromMs === null) || (to && toMs === null)) {
+    return res.status(400).json({
+      error: 'Invalid from/to — expected epoch milliseconds or an ISO date',
+    });
+  }
+
+  const outOfWindow = [fromMs, toMs].filter((ms) => ms !== null && !isNavHistoryTimestamp(ms));
+  if (outOfWindow.length > 0) {
+    return res.status(400).json({
+      error: 'from/to must be between 2015-01-01 and now',
+      received: outOfWindow,
+    });
+  }
+
+  const days = navHistoryDayCount(fromMs, toMs);
+  if (days === 0 || days > MAX_NAV_HISTORY_DAYS) {
+    return res.status(400).json({
+      error: `Range must cover between 1 and ${MAX_NAV_HISTORY_DAYS} days`,
+      received: days,
+    });
+  }
+
+  const rate = riskFreeRate !== undefined ? parseFloat(riskFreeRate) : undefined;
+  if (rate !== undefined && !Number.isFinite(rate)) {
+    return res.status(400).json({
+      error: 'Invalid riskFreeRate — expected a decimal such as 0.045',
+      received: riskFreeRate,
+    });
+  }
+
+  try {
+    res.json(
+      await getNavHistory(chain.id, address, {
+        from: fromMs,
+        to: toMs,
+        riskFreeRate: rate,
+        fresh: fresh === 'true',
+      })
+    );
+  } catch (err) {
+    console.error(`[dtf] NAV history failed for ${address}:`, err.message);
+    res.status(500).json({
+      error: 'Failed to compute NAV history',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
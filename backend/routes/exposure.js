@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const { buildPortfolio, isValidAddress } = require('../services/portfolio');
+const { buildExposure } = require('../services/exposure');
+
+/**
+ * GET /api/exposure?address=0x...&fresh=true
+ *
+ * Look-through exposure for a wallet: DTF baskets, LSTs/LRTs, wrappers and
+ * DeFi receipt tokens are decomposed into the base assets they hold, then
+ * aggregated by asset, by protocol and by chain with each group's share of
+ * the total. Debt reduces the exposure to the borrowed asset.
+ *
+ * Response shape:
+ * {
+ *   address, timestamp, totalUsdValue,
+ *   byAsset: [{ asset, usdValue, sharePct, sources: [{ symbol, chainId, via, usdValue }] }],
+ *   byProtocol: [{ protocol, usdValue, sharePct }],
+ *   byChain: [{ chainId, chain, usdValue, sharePct }],
+ *   unpricedTokens, errors
+ * }
+ */
+router.get('/', async (req, res) => {
+  const { address, fresh } = req.query;
+
+  if (!isValidAddress(address)) {
+    return res.status(400).json({
+      error: 'Valid Ethereum address required (query param: address)',
+    });
+  }
+
+  const walletAddress = address.toLowerCase();
+  const options = { fresh: fresh === 'true' };
+
+  try {
+    const portfolio = await buildPortfolio(walletAddress, { ...options, costBasisMethod: 'none' });
+    const exposure = await buildExposure(portfolio.tokens, options);
+    res.json({
+      address: walletAddress,
+      timestamp: new Date().toISOString(),
+      ...exposure,
+      errors: portfolio.errors,
+    });
+  } catch (err) {
+    console.error(`[exposure] Error for ${walletAddress}:`, err.message);
+    res.status(500).json({
+      error: 'Failed to compute exposure',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const { isValidAddress } = require('../services/portfolio');
+const { parseTimestamp } = require('../services/snapshots');
+const { computePerformance } = require('../services/performance');
+const router = express.Router();
+
+/**
+ * GET /api/performance?address=0x...&from=...&to=...&riskFreeRate=0.045&live=true
+ *
+ * Return metrics for a wallet built from its daily snapshot series:
+ * CAGR, Sharpe, Sortino, annualized volatility, max drawdown and
+ * 1d/7d/30d/YTD period returns. `from`/`to` accept epoch ms or ISO dates.
+ * With `live=true` the current portfolio value is appended as today's point.
+ */
+router.get('/', async (req, res) => {
+  const { address, from, to, riskFreeRate, live } = req.query;
+
+  if (!isValidAddress(address)) {
+    return res.status(400).json({
+      error: 'Valid Ethereum address required (query param: address)',
+    });
+  }
+
+  const fromMs = parseTimestamp(from);
+  const toMs = parseTimestamp(to);
+  if ((from && fromMs === null) || (to && toMs === null)) {
+    return res.status(400).json({
+      error: 'Invalid from/to — expected epoch milliseconds or an ISO date',
+    });
+  }
+
+  const rate = riskFreeRate !== undefined ? parseFloat(riskFreeRate) : undefined;
+  if (rate !== undefined && !Number.isFinite(rate)) {
+    return res.status(400).json({
+      error: 'Invalid riskFreeRate — expected a decimal such as 0.045',
+      received: riskFreeRate,
+    });
+  }
+
+  try {
+    const performance = await computePerformance(address.toLowerCase(), {
+      from: fromMs,
+      to: toMs,
+      riskFreeRate: rate,
+      live: live === 'true',
+    });
+    res.json(performance);
+  } catch (err) {
+    console.error(`[performance] Error for ${address}:`, err.message);
+    res.status(500).json({
+      error: 'Failed to compute performance',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
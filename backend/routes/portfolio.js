@@ -0,0 +1,116 @@
+const express = require('express');
+const { buildAggregatePortfolio, isValidAddress } = require('../services/portfolio');
+const { NAV_MODES } = require('../services/navPricing');
+const router = express.Router();
+
+// Each wallet runs the full Moralis pipeline — keep the fan-out bounded
+const MAX_WALLETS = 20;
+
+// Normalize wallet input into [{ address, label }].
+// Accepts either strings ("0x..." or "0x...:Label") or { address, label } objects.
+function parseWallets(input) {
+  const wallets = [];
+  const invalid = [];
+  const seen = new Set();
+
+  for (const entry of input) {
+    let address;
+    let label = null;
+
+    if (typeof entry === 'string') {
+      const separator = entry.indexOf(':');
+      address = (separator === -1 ? entry : entry.slice(0, separator)).trim();
+      if (separator !== -1) label = entry.slice(separator + 1).trim() || null;
+    } else if (entry && typeof entry === 'object') {
+      address = entry.address;
+      label = typeof entry.label === 'string' && entry.label.trim() ? entry.label.trim() : null;
+    }
+
+    if (!isValidAddress(address)) {
+      invalid.push(entry);
+      continue;
+    }
+
+    const normalized = address.toLowerCase();
+    if (seen.has(normalized)) continue;
+    seen.add(normalized);
+    wallets.push({ address: normalized, label });
+  }
+
+  return { wallets, invalid };
+}
+
+// Options shared by GET and POST: fresh=true, navMode=missing|always
+function parseOptions(query) {
+  return { fresh: query.fresh === 'true', navMode: query.navMode };
+}
+
+async function handleAggregate(input, options, res) {
+  if (options.navMode !== undefined && !NAV_MODES.includes(options.navMode)) {
+    return res.status(400).json({
+      error: `navMode must be one of: ${NAV_MODES.join(', ')}`,
+    });
+  }
+
+  if (!Array.isArray(input) || input.length === 0) {
+    return res.status(400).json({
+      error: 'At least one wallet address is required',
+      example: '/api/portfolio?addresses=0xWalletA:Treasury,0xWalletB',
+    });
+  }
+
+  const { wallets, invalid } = parseWallets(input);
+
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid Ethereum address format',
+      received: invalid,
+    });
+  }
+
+  if (wallets.length > MAX_WALLETS) {
+    return res.status(400).json({
+      error: `Too many wallets — maximum is ${MAX_WALLETS}`,
+      received: wallets.length,
+    });
+  }
+
+  try {
+    res.json(await buildAggregatePortfolio(wallets, options));
+  } catch (err) {
+    console.error('[portfolio] Unhandled error:', err);
+    res.status(500).json({
+      error: 'Failed to fetch aggregate portfolio data',
+      message: err.message,
+    });
+  }
+}
+
+/**
+ * GET /api/portfolio?addresses=0xA:Treasury,0xB
+ *
+ * Aggregate portfolio across several wallets. Each address may carry an
+ * optional label after a colon. Returns combined holdings where every token
+ * lists its per-wallet breakdown under `wallets`. `fresh=true` bypasses the cache;
+ * `navMode=always` reports DTF premium/discount to NAV.
+ */
+router.get('/', async (req, res) => {
+  const raw = req.query.addresses;
+  const input = typeof raw === 'string'
+    ? raw.split(',').map((s) => s.trim()).filter(Boolean)
+    : [];
+
+  await handleAggregate(input, parseOptions(req.query), res);
+});
+
+/**
+ * POST /api/portfolio
+ * Body: { wallets: [{ address: "0x...", label: "Treasury" }, ...] }
+ *
+ * Same as the GET variant, for clients that prefer a JSON body.
+ */
+router.post('/', async (req, res) => {
+  await handleAggregate(req.body?.wallets, parseOptions(req.query), res);
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const { isValidAddress } = require('../services/portfolio');
+const { NAV_MODES } = require('../services/navPricing');
+const { parseTargets, planRebalance } = require('../services/rebalance');
+
+/**
+ * POST /api/rebalance?fresh=true&navMode=always
+ * Body: {
+ *   address: "0x...",
+ *   targets: [
+ *     { token: "ixEDEL", weight: 40 },                       // symbol on any chain
+ *     { token: "8453:0x...", weight: 10 },                   // chainId:address
+ *     { asset: "ETH", weight: 30 },                          // look-through asset
+ *     { assets: ["USDC", "USDT", "DAI"], label: "stablecoins", weight: 20 }
+ *   ],
+ *   tolerancePct: 5
+ * }
+ *
+ * Compares the live /api/balances holdings with the target weights (which
+ * must add up to 100) and returns drift per position and the buy/sell list,
+ * in token units and USD, for every position outside ±tolerancePct
+ * percentage points. Held assets no target covers are sold. Trades are
+ * paired into swaps to estimate the number of trades. Trades whose token
+ * could not be priced have a null amount and are listed in unpricedTrades.
+ */
+router.post('/', async (req, res) => {
+  const { address, targets: targetInput, tolerancePct } = req.body || {};
+  const { fresh, navMode } = req.query;
+
+  if (!isValidAddress(address)) {
+    return res.status(400).json({
+      error: 'Valid Ethereum address required (body field: address)',
+    });
+  }
+
+  const { targets, error, received } = parseTargets(targetInput);
+  if (error) {
+    return res.status(400).json({ error, received });
+  }
+
+  const tolerance = tolerancePct !== undefined ? Number(tolerancePct) : undefined;
+  if (tolerance !== undefined && (!Number.isFinite(tolerance) || tolerance < 0)) {
+    return res.status(400).json({
+      error: 'tolerancePct must be a non-negative number of percentage points',
+      received: tolerancePct,
+    });
+  }
+
+  if (navMode !== undefined && !NAV_MODES.includes(navMode)) {
+    return res.status(400).json({
+      error: `navMode must be one of: ${NAV_MODES.join(', ')}`,
+    });
+  }
+
+  const walletAddress = address.toLowerCase();
+
+  try {
+    res.json(
+      await planRebalance(walletAddress, targets, {
+        tolerancePct: tolerance,
+        fresh: fresh === 'true',
+        navMode,
+      })
+    );
+  } catch (err) {
+    console.error(`[rebalance] Error for ${walletAddress}:`, err.message);
+    res.status(500).json({
+      error: 'Failed to plan rebalance',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
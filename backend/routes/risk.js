@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { isValidAddress } = require('../services/portfolio');
+const { RISK_METRICS, computeRisk } = require('../services/risk');
+
+/**
+ * GET /api/risk?address=0x...&fresh=true&largestAssetPct=60
+ *
+ * Concentration and risk metrics for a wallet with threshold breaches:
+ *   herfindahlIndex     Herfindahl index of look-through asset exposure (0–1)
+ *   largestAssetPct     largest single asset share (see /api/exposure)
+ *   largestProtocolPct  largest protocol share
+ *   largestChainPct     largest chain share
+ *   navPricedPct        share of value priced from DTF NAV
+ *   unpricedPct         share of holdings with no price (by count; only
+ *                       checked when a threshold is configured)
+ *   unsoundBasketPct    share of value in DTFs whose basket is not SOUND
+ *
+ * Any metric name can be passed as a query param to override its
+ * threshold (default RISK_MAX_* in the environment). `flagged` is true
+ * when at least one metric is above its threshold.
+ */
+router.get('/', async (req, res) => {
+  const { address, fresh } = req.query;
+
+  if (!isValidAddress(address)) {
+    return res.status(400).json({
+      error: 'Valid Ethereum address required (query param: address)',
+    });
+  }
+
+  const thresholds = {};
+  for (const metric of RISK_METRICS) {
+    if (req.query[metric] === undefined) continue;
+    const value = parseFloat(req.query[metric]);
+    if (!Number.isFinite(value) || value < 0) {
+      return res.status(400).json({
+        error: `Invalid ${metric} threshold — expected a non-negative number`,
+        received: req.query[metric],
+      });
+    }
+    thresholds[metric] = value;
+  }
+
+  try {
+    res.json(
+      await computeRisk(address.toLowerCase(), {
+        fresh: fresh === 'true',
+        thresholds,
+      })
+    );
+  } catch (err) {
+    console.error(`[risk] Error for ${address}:`, err.message);
+    res.status(500).json({
+      error: 'Failed to compute risk metrics',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
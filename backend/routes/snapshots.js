@@ -0,0 +1,205 @@
+const express = require('express');
+const { requireAdmin } = require('../middleware/requireAdmin');
+const { isValidAddress } = require('../services/portfolio');
+const {
+  parseTimestamp,
+  maxTrackedAddresses,
+  getTrackedAddresses,
+  trackAddress,
+  untrackAddress,
+  captureSnapshot,
+  listSnapshots,
+  getSnapshot,
+} = require('../services/snapshots');
+const router = express.Router();
+
+// Tracking schedules captures forever, so only admins may change the set
+function requireAdminToTrack(req, res, next) {
+  if (req.body?.track === true) return requireAdmin(req, res, next);
+  next();
+}
+
+/**
+ * GET /api/snapshots/tracked
+ *
+ * Addresses captured on the snapshot schedule.
+ */
+router.get('/tracked', async (req, res) => {
+  try {
+    res.json({ addresses: await getTrackedAddresses() });
+  } catch (err) {
+    console.error('[snapshots] Failed to read tracked addresses:', err.message);
+    res.status(500).json({
+      error: 'Failed to read tracked addresses',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/snapshots/tracked/:address
+ *
+ * Stop scheduled capture for an address added via the API. Addresses from
+ * SNAPSHOT_ADDRESSES can only be removed by changing the environment.
+ * Requires the admin API key.
+ */
+router.delete('/tracked/:address', requireAdmin, async (req, res) => {
+  const { address } = req.params;
+
+  if (!isValidAddress(address)) {
+    return res.status(400).json({
+      error: 'Invalid Ethereum address format',
+      received: address,
+    });
+  }
+
+  try {
+    const removed = await untrackAddress(address);
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Address is not tracked via the API',
+        received: address,
+      });
+    }
+    res.json({ address: address.toLowerCase(), tracked: false });
+  } catch (err) {
+    console.error('[snapshots] Failed to untrack address:', err.message);
+    res.status(500).json({
+      error: 'Failed to untrack address',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/snapshots?address=0x...&from=...&to=...&limit=...
+ *
+ * Snapshot summaries for an address, newest first. `from`/`to` accept epoch
+ * milliseconds or ISO dates.
+ */
+router.get('/', async (req, res) => {
+  const { address, from, to, limit } = req.query;
+
+  if (!isValidAddress(address)) {
+    return res.status(400).json({
+      error: 'Valid Ethereum address required (query param: address)',
+    });
+  }
+
+  const fromMs = parseTimestamp(from);
+  const toMs = parseTimestamp(to);
+  if ((from && fromMs === null) || (to && toMs === null)) {
+    return res.status(400).json({
+      error: 'Invalid from/to — expected epoch milliseconds or an ISO date',
+    });
+  }
+
+  const parsedLimit = limit ? parseInt(limit, 10) : null;
+  if (limit && (!parsedLimit || parsedLimit < 1)) {
+    return res.status(400).json({
+      error: 'Invalid limit — expected a positive integer',
+      received: limit,
+    });
+  }
+
+  try {
+    const walletAddress = address.toLowerCase();
+    const snapshots = await listSnapshots(walletAddress, {
+      from: fromMs,
+      to: toMs,
+      limit: parsedLimit,
+    });
+
+    res.json({
+      address: walletAddress,
+      snapshotCount: snapshots.length,
+      snapshots,
+    });
+  } catch (err) {
+    console.error(`[snapshots] Failed to list snapshots for ${address}:`, err.message);
+    res.status(500).json({
+      error: 'Failed to list snapshots',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/snapshots
+ * Body: { address: "0x...", track: true }
+ *
+ * Capture a snapshot now. With `track: true` the address is also added to
+ * the scheduled capture set — that requires the admin API key, and returns
+ * 409 once SNAPSHOT_MAX_TRACKED addresses are tracked via the API.
+ */
+router.post('/', requireAdminToTrack, async (req, res) => {
+  const { address, track } = req.body || {};
+
+  if (!isValidAddress(address)) {
+    return res.status(400).json({
+      error: 'Valid Ethereum address required (body field: address)',
+    });
+  }
+
+  try {
+    if (track === true && !(await trackAddress(address))) {
+      return res.status(409).json({
+        error: 'Tracked address limit reached — untrack an address first',
+        limit: maxTrackedAddresses(),
+      });
+    }
+    const snapshot = await captureSnapshot(address, 'manual');
+    res.status(201).json(snapshot);
+  } catch (err) {
+    console.error(`[snapshots] Capture failed for ${address}:`, err.message);
+    res.status(500).json({
+      error: 'Failed to capture snapshot',
+      message: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/snapshots/:address/:timestamp
+ *
+ * Full snapshot at a timestamp (epoch ms or ISO date). Returns the exact
+ * snapshot if one exists, otherwise the latest one taken before it.
+ */
+router.get('/:address/:timestamp', async (req, res) => {
+  const { address, timestamp } = req.params;
+
+  if (!isValidAddress(address)) {
+    return res.status(400).json({
+      error: 'Invalid Ethereum address format',
+      received: address,
+    });
+  }
+
+  const ts = parseTimestamp(timestamp);
+  if (ts === null) {
+    return res.status(400).json({
+      error: 'Invalid timestamp — expected epoch milliseconds or an ISO date',
+      received: timestamp,
+    });
+  }
+
+  try {
+    const snapshot = await getSnapshot(address.toLowerCase(), ts);
+    if (!snapshot) {
+      return res.status(404).json({
+        error: 'No snapshot found at or before the given timestamp',
+        address: address.toLowerCase(),
+        timestamp: ts,
+      });
+    }
+    res.json(snapshot);
+  } catch (err) {
+    console.error(`[snapshots] Failed to read snapshot for ${address}:`, err.message);
+    res.status(500).json({
+      error: 'Failed to read snapshot',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
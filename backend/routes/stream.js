@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const { isValidAddress } = require('../services/portfolio');
+const { exceedsStreamLimit, subscribe, getStreamStats } = require('../services/liveUpdates');
+
+// Each address is a full pipeline run per refresh — keep it bounded like
+// /api/portfolio. Across one client's connections the bound is
+// STREAM_MAX_ADDRESSES_PER_CLIENT; across all of them, STREAM_MAX_ADDRESSES.
+const MAX_ADDRESSES = 20;
+const DEFAULT_MAX_ADDRESSES_PER_CLIENT = 20;
+
+// Client IP → address lists of its open connections
+const clientConnections = new Map();
+
+function maxAddressesPerClient() {
+  const value = parseInt(process.env.STREAM_MAX_ADDRESSES_PER_CLIENT, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_ADDRESSES_PER_CLIENT;
+}
+
+// Distinct addresses a client would stream with `addresses` added
+function clientAddressCount(ip, addresses) {
+  const connections = clientConnections.get(ip) || new Set();
+  return new Set([...addresses, ...[...connections].flat()]).size;
+}
+
+function addConnection(ip, addresses) {
+  if (!clientConnections.has(ip)) clientConnections.set(ip, new Set());
+  clientConnections.get(ip).add(addresses);
+}
+
+function removeConnection(ip, addresses) {
+  const connections = clientConnections.get(ip);
+  if (!connections) return;
+  connections.delete(addresses);
+  if (connections.size === 0) clientConnections.delete(ip);
+}
+
+// Comments keep proxies from closing idle connections
+const HEARTBEAT_MS = 25000;
+
+/**
+ * GET /api/stream?addresses=0xA,0xB
+ *
+ * Server-Sent Events stream of live portfolio updates. Events:
+ *   snapshot  { address, seq, portfolio }   full /api/balances payload, once
+ *             per address; every holding carries a `key`
+ *   update    { address, seq, timestamp, added, removed, changed, totals }
+ *             only what changed since the previous refresh — `changed`
+ *             lists balanceFormatted / usdPrice / usdValue by holding key,
+ *             `totals` is null when the totals did not move
+ *   error     { address, message }   a refresh failed; the next one retries
+ *
+ * Refreshes are shared by every subscriber of an address (see
+ * STREAM_REFRESH_SECONDS / STREAM_REFRESH_MODE). Returns 429 when the new
+ * addresses would take this client (by IP) past
+ * STREAM_MAX_ADDRESSES_PER_CLIENT, and 503 when they would take the server
+ * past STREAM_MAX_ADDRESSES.
+ */
+router.get('/', (req, res) => {
+  const raw = req.query.addresses || req.query.address;
+  const addresses = typeof raw === 'string'
+    ? [...new Set(raw.split(',').map((s) => s.trim().toLowerCase()).filter(Boolean))]
+    : [];
+
+  if (addresses.length === 0) {
+    return res.status(400).json({
+      error: 'At least one wallet address is required',
+      example: '/api/stream?addresses=0xWalletA,0xWalletB',
+    });
+  }
+
+  const invalid = addresses.filter((a) => !isValidAddress(a));
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid Ethereum address format',
+      received: invalid,
+    });
+  }
+
+  if (addresses.length > MAX_ADDRESSES) {
+    return res.status(400).json({
+      error: `Too many addresses — maximum is ${MAX_ADDRESSES}`,
+      received: addresses.length,
+    });
+  }
+
+  if (clientAddressCount(req.ip, addresses) > maxAddressesPerClient()) {
+    return res.status(429).json({
+      error: 'Too many addresses streamed by this client — close a stream first',
+      limit: maxAddressesPerClient(),
+    });
+  }
+
+  if (exceedsStreamLimit(addresses)) {
+    return res.status(503).json({
+      error: 'Too many addresses are being streamed — try again later',
+      limit: getStreamStats().maxAddresses,
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const unsubscribe = subscribe(addresses, send);
+  addConnection(req.ip, addresses);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    removeConnection(req.ip, addresses);
+  });
+});
+
+module.exports = router;
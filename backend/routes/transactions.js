@@ -0,0 +1,108 @@
+const express = require('express');
+const { isValidAddress } = require('../services/portfolio');
+const { parseTimestamp } = require('../services/snapshots');
+const { SUPPORTED_CHAINS } = require('../services/chains');
+const { TRANSACTION_TYPES, MAX_LIMIT, getTransactions } = require('../services/transactions');
+const router = express.Router();
+
+// Chain filter accepts a chain id ("8453") or name ("base")
+function resolveChain(value) {
+  const needle = String(value).toLowerCase();
+  return (
+    SUPPORTED_CHAINS.find(
+      (c) => String(c.id) === needle || c.name.toLowerCase() === needle || c.chainParam === needle
+    ) || null
+  );
+}
+
+function parsePositiveInt(value) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * GET /api/transactions?address=0x...&chain=&token=&type=&from=&to=&page=1&limit=50&fresh=true
+ *
+ * Classified wallet transactions across all supported chains, newest first.
+ * Each carries a type (transfer_in, transfer_out, swap, dtf_mint, dtf_redeem,
+ * stake, unstake, approval, other) and USD values at the time it happened.
+ *
+ * Filters: chain (id or name), token (address or symbol), type, and
+ * from/to (epoch ms or ISO date). Pagination: page (1-based), limit (max 200).
+ */
+router.get('/', async (req, res) => {
+  const { address, chain, token, type, from, to, page, limit, fresh } = req.query;
+
+  if (!isValidAddress(address)) {
+    return res.status(400).json({
+      error: 'Valid Ethereum address required (query param: address)',
+    });
+  }
+
+  // Repeated or bracketed params (?token=a&token=b, ?type[x]=) parse to
+  // arrays and objects
+  const nonString = Object.entries({ chain, token, type, from, to, page, limit })
+    .filter(([, value]) => value !== undefined && typeof value !== 'string')
+    .map(([name]) => name);
+  if (nonString.length > 0) {
+    return res.status(400).json({
+      error: 'Query params must be given once, as plain values',
+      received: nonString,
+    });
+  }
+
+  const chainConfig = chain !== undefined ? resolveChain(chain) : null;
+  if (chain !== undefined && !chainConfig) {
+    return res.status(400).json({
+      error: `Unsupported chain — expected one of: ${SUPPORTED_CHAINS.map((c) => `${c.id} (${c.name})`).join(', ')}`,
+      received: chain,
+    });
+  }
+
+  if (type !== undefined && !TRANSACTION_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: `Invalid type — expected one of: ${TRANSACTION_TYPES.join(', ')}`,
+      received: type,
+    });
+  }
+
+  const fromMs = parseTimestamp(from);
+  const toMs = parseTimestamp(to);
+  if ((from && fromMs === null) || (to && toMs === null)) {
+    return res.status(400).json({
+      error: 'Invalid from/to — expected epoch milliseconds or an ISO date',
+    });
+  }
+
+  const pageNumber = parsePositiveInt(page);
+  const pageSize = parsePositiveInt(limit);
+  if (pageNumber === null || pageSize === null || pageSize > MAX_LIMIT) {
+    return res.status(400).json({
+      error: `page must be a positive integer and limit between 1 and ${MAX_LIMIT}`,
+    });
+  }
+
+  try {
+    const result = await getTransactions(
+      address.toLowerCase(),
+      {
+        chainId: chainConfig?.id,
+        token,
+        type,
+        from: fromMs,
+        to: toMs,
+      },
+      { page: pageNumber, limit: pageSize, fresh: fresh === 'true' }
+    );
+    res.json(result);
+  } catch (err) {
+    console.error(`[transactions] Error for ${address}:`, err.message);
+    res.status(500).json({
+      error: 'Failed to fetch transactions',
+      message: err.message,
+    });
+  }
+});
+
+module.exports = router;
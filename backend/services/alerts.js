@@ -0,0 +1,447 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./storage');
+const { buildPortfolio, isValidAddress } = require('./portfolio');
+const { getDtfPremiums } = require('./navPricing');
+const { getChain } = require('./chains');
+const { deliverWebhook } = require('./webhooks');
+
+// ──────────────────────────────────────────────────────────────────────
+// Threshold alerts
+//
+// Persisted rules, evaluated on a schedule (ALERTS_INTERVAL_MINUTES) or on
+// demand. Rule types:
+//   value_change    wallet total value moved ≥ changePct % since the last
+//                   alert (or since the rule was first evaluated)
+//   basket_status   a DTF's basketStatus left SOUND
+//   nav_premium     a DTF's |premium/discount to NAV| > thresholdPct %
+//   position_value  a wallet's holding of a token (symbol or
+//                   chainId:address) is worth less than belowUsd
+// DTF rules watch every known DTF unless chainId / dtfAddress narrow them.
+//
+// Alerts are edge-triggered: a condition fires once when it becomes true
+// and re-arms when it clears. A condition only counts as alerted once its
+// webhook delivery succeeds, so a failed delivery fires again on the next
+// evaluation. Wallet rules are not evaluated on data that
+// is incomplete (a chain failed to load, an unpriced holding). Each event
+// is POSTed to the rule's webhook (services/webhooks.js). Layout under
+// DATA_DIR:
+//   alerts/rules.json        rules, including their webhook secrets
+//   alerts/state.json        per-rule baselines and active conditions
+//   alerts/deliveries.json   delivery history
+// ──────────────────────────────────────────────────────────────────────
+
+const RULES_FILE = dataPath('alerts', 'rules.json');
+const STATE_FILE = dataPath('alerts', 'state.json');
+
+const RULE_TYPES = ['value_change', 'basket_status', 'nav_premium', 'position_value'];
+
+const TOKEN_REGEX = /^(\d+):(0x[a-fA-F0-9]{40})$/;
+
+let schedulerTimer = null;
+let evaluationInProgress = false;
+
+function positiveNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+// Type-specific params, or { error }
+function parseParams(type, input) {
+  switch (type) {
+    case 'value_change': {
+      const changePct = positiveNumber(input.changePct);
+      return changePct ? { changePct } : { error: 'value_change rules need a positive changePct' };
+    }
+    case 'basket_status':
+    case 'nav_premium': {
+      const params = {};
+      if (type === 'nav_premium') {
+        params.thresholdPct = positiveNumber(input.thresholdPct);
+        if (!params.thresholdPct) return { error: 'nav_premium rules need a positive thresholdPct' };
+      }
+      if (input.chainId !== undefined) {
+        if (!getChain(input.chainId)) return { error: 'Unsupported chainId' };
+        params.chainId = Number(input.chainId);
+      }
+      if (input.dtfAddress !== undefined) {
+        if (!isValidAddress(input.dtfAddress)) return { error: 'Invalid dtfAddress' };
+        params.dtfAddress = input.dtfAddress.toLowerCase();
+      }
+      return params;
+    }
+    case 'position_value': {
+      const belowUsd = Number(input.belowUsd);
+      if (!Number.isFinite(belowUsd) || belowUsd < 0) {
+        return { error: 'position_value rules need a non-negative belowUsd' };
+      }
+      if (typeof input.token !== 'string' || !input.token.trim()) {
+        return { error: 'position_value rules need a token (symbol or chainId:address)' };
+      }
+      return { token: input.token.trim(), belowUsd };
+    }
+    default:
+      return { error: `type must be one of: ${RULE_TYPES.join(', ')}` };
+  }
+}
+
+/**
+ * Validate rule input from the API.
+ *
+ * @param {object} input - { type, address?, label?, webhookUrl, secret?, enabled?, ...params }
+ * @returns {object} { rule } or { error, received }
+ */
+function parseRule(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Rule body required', received: input };
+  }
+
+  const { type, address, label, webhookUrl, secret, enabled } = input;
+  const params = parseParams(type, input);
+  if (params.error) return { error: params.error, received: input };
+
+  const needsAddress = type === 'value_change' || type === 'position_value';
+  if (needsAddress && !isValidAddress(address)) {
+    return { error: `${type} rules need a valid wallet address`, received: address };
+  }
+
+  let url;
+  try {
+    url = new URL(webhookUrl);
+  } catch {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    return { error: 'webhookUrl must be an http(s) URL', received: webhookUrl };
+  }
+
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    return { error: 'secret must be a string of at least 16 characters' };
+  }
+
+  return {
+    rule: {
+      id: crypto.randomUUID(),
+      type,
+      label: typeof label === 'string' && label.trim() ? label.trim() : null,
+      address: needsAddress ? address.toLowerCase() : null,
+      params,
+      webhookUrl: url.toString(),
+      // Generated when not given — returned once, on creation
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      enabled: enabled !== false,
+      createdAt: new Date().toISOString(),
+    },
+  };
+}
+
+// Rules as listed by the API — the secret is only shown on creation
+function publicRule({ secret, ...rule }) {
+  return rule;
+}
+
+async function loadRules() {
+  return readJson(RULES_FILE, []);
+}
+
+async function listRules() {
+  return (await loadRules()).map(publicRule);
+}
+
+/**
+ * Persist a rule from parseRule.
+ *
+ * @returns {object} The stored rule, secret included
+ */
+async function addRule(rule) {
+  const rules = await loadRules();
+  rules.push(rule);
+  await writeJson(RULES_FILE, rules);
+  console.log(`[alerts] Added ${rule.type} rule ${rule.id}`);
+  return rule;
+}
+
+/**
+ * Enable or disable a rule.
+ *
+ * @returns {object|null} The updated rule, or null if there is none with this id
+ */
+async function setRuleEnabled(id, enabled) {
+  const rules = await loadRules();
+  const rule = rules.find((r) => r.id === id);
+  if (!rule) return null;
+  rule.enabled = enabled;
+  await writeJson(RULES_FILE, rules);
+  console.log(`[alerts] ${enabled ? 'Enabled' : 'Disabled'} rule ${id}`);
+  return publicRule(rule);
+}
+
+/**
+ * Delete a rule and its evaluation state.
+ *
+ * @returns {boolean} false if there is no rule with this id
+ */
+async function removeRule(id) {
+  const rules = await loadRules();
+  const remaining = rules.filter((r) => r.id !== id);
+  if (remaining.length === rules.length) return false;
+  await writeJson(RULES_FILE, remaining);
+
+  const state = await readJson(STATE_FILE, {});
+  delete state[id];
+  await writeJson(STATE_FILE, state);
+
+  console.log(`[alerts] Removed rule ${id}`);
+  return true;
+}
+
+// Whether a chain's data is missing from the portfolio — an error without
+// a chain (a whole fetch failed) covers every chain
+function chainIncomplete(portfolio, chainId) {
+  const name = getChain(chainId)?.name;
+  return (portfolio.errors || []).some((e) => !e.chain || e.chain === name);
+}
+
+// USD value of a wallet's holding of a token, or null when it cannot be
+// known: a matched holding is unpriced, or its chain failed to load
+function positionValue(portfolio, token) {
+  const match = token.match(TOKEN_REGEX);
+  const held = portfolio.tokens.filter((t) =>
+    match
+      ? t.chainId === Number(match[1]) && t.tokenAddress?.toLowerCase() === match[2].toLowerCase()
+      : t.symbol?.toUpperCase() === token.toUpperCase()
+  );
+  if (held.some((t) => t.usdValue === null || chainIncomplete(portfolio, t.chainId))) return null;
+  // Nothing held may just mean the holding's chain is missing
+  if (held.length === 0) {
+    const incomplete = match ? chainIncomplete(portfolio, Number(match[1])) : portfolio.errors !== undefined;
+    if (incomplete) return null;
+  }
+  return held.reduce((sum, t) => sum + t.usdValue, 0);
+}
+
+function dtfsFor(rule, premiums) {
+  return premiums.filter(
+    (d) =>
+      (rule.params.chainId === undefined || d.chainId === rule.params.chainId) &&
+      (rule.params.dtfAddress === undefined || d.address === rule.params.dtfAddress)
+  );
+}
+
+// Edge trigger: fire while a subject's condition is true and not yet alerted
+// (see markDelivered), re-arm when it clears. A null condition (data
+// unavailable) leaves the subject as it was.
+function edge(ruleState, subject, condition) {
+  ruleState.active = ruleState.active || {};
+  if (condition === null) return false;
+  if (!condition) {
+    delete ruleState.active[subject];
+    return false;
+  }
+  return !ruleState.active[subject];
+}
+
+// Record a delivered event: its subject is now alerted, and a value_change
+// baseline moves to the value that was reported
+function markDelivered(rule, ruleState, event) {
+  if (rule.type === 'value_change') {
+    ruleState.baselineUsd = event.data.currentUsd;
+  } else {
+    ruleState.active[event.subject] = true;
+  }
+}
+
+// Events for one rule; mutates ruleState (first baseline, cleared subjects).
+// Firing state is recorded by markDelivered.
+function evaluateRule(rule, ruleState, { portfolio, premiums }) {
+  const now = new Date().toISOString();
+  const event = (subject, message, data) => ({
+    type: rule.type,
+    ruleId: rule.id,
+    subject,
+    message,
+    data,
+    triggeredAt: now,
+  });
+
+  switch (rule.type) {
+    case 'value_change': {
+      // A chain that failed to load would read as a drop in value
+      if (portfolio.errors) return [];
+      const currentUsd = portfolio.totalUsdValue;
+      const baseline = ruleState.baselineUsd;
+      if (baseline === undefined || baseline <= 0) {
+        ruleState.baselineUsd = currentUsd;
+        return [];
+      }
+      const changePct = ((currentUsd - baseline) / baseline) * 100;
+      if (Math.abs(changePct) < rule.params.changePct) return [];
+      return [
+        event(
+          rule.address,
+          `Portfolio value ${changePct > 0 ? 'up' : 'down'} ${Math.abs(changePct).toFixed(2)}% ($${baseline.toFixed(2)} → $${currentUsd.toFixed(2)})`,
+          { address: rule.address, previousUsd: baseline, currentUsd, changePct }
+        ),
+      ];
+    }
+    case 'basket_status':
+      return dtfsFor(rule, premiums)
+        .filter((d) => edge(ruleState, `${d.chainId}:${d.address}`, d.basketStatus ? d.basketStatus !== 'SOUND' : null))
+        .map((d) =>
+          event(`${d.chainId}:${d.address}`, `${d.symbol} basket is ${d.basketStatus}`, {
+            chainId: d.chainId,
+            address: d.address,
+            symbol: d.symbol,
+            basketStatus: d.basketStatus,
+          })
+        );
+    case 'nav_premium':
+      return dtfsFor(rule, premiums)
+        .filter((d) =>
+          edge(
+            ruleState,
+            `${d.chainId}:${d.address}`,
+            d.premiumDiscountPct !== null ? Math.abs(d.premiumDiscountPct) > rule.params.thresholdPct : null
+          )
+        )
+        .map((d) =>
+          event(
+            `${d.chainId}:${d.address}`,
+            `${d.symbol} trades at a ${d.premiumDiscountPct > 0 ? 'premium' : 'discount'} of ${Math.abs(d.premiumDiscountPct).toFixed(2)}% to NAV`,
+            {
+              chainId: d.chainId,
+              address: d.address,
+              symbol: d.symbol,
+              marketPrice: d.marketPrice,
+              navPerToken: d.navPerToken,
+              premiumDiscountPct: d.premiumDiscountPct,
+            }
+          )
+        );
+    case 'position_value': {
+      const valueUsd = positionValue(portfolio, rule.params.token);
+      const below = valueUsd !== null ? valueUsd < rule.params.belowUsd : null;
+      if (!edge(ruleState, rule.params.token, below)) return [];
+      return [
+        event(
+          rule.params.token,
+          `${rule.params.token} position is $${valueUsd.toFixed(2)}, below $${rule.params.belowUsd}`,
+          { address: rule.address, token: rule.params.token, valueUsd, belowUsd: rule.params.belowUsd }
+        ),
+      ];
+    }
+    default:
+      return [];
+  }
+}
+
+// Rules can be removed, and their state deleted, while an evaluation is
+// delivering webhooks — write back only the evaluated rules that still exist,
+// on top of the state as it is now
+async function saveState(evaluatedRules, evaluatedState) {
+  const existing = new Set((await loadRules()).map((r) => r.id));
+  const state = await readJson(STATE_FILE, {});
+  for (const rule of evaluatedRules) {
+    if (existing.has(rule.id)) state[rule.id] = evaluatedState[rule.id];
+  }
+  await writeJson(STATE_FILE, state);
+}
+
+/**
+ * Evaluate every enabled rule once and deliver the events. Portfolios are
+ * built once per wallet and DTF premiums once per run; a failing wallet
+ * only skips its own rules.
+ *
+ * @returns {object} { evaluatedRules, events, deliveries, errors } or { skipped: true }
+ */
+async function evaluateAlerts() {
+  if (evaluationInProgress) {
+    console.warn('[alerts] Previous evaluation still running — skipping');
+    return { skipped: true };
+  }
+
+  evaluationInProgress = true;
+  try {
+    const rules = (await loadRules()).filter((r) => r.enabled);
+    const state = await readJson(STATE_FILE, {});
+    const errors = [];
+
+    const portfolios = new Map();
+    for (const address of new Set(rules.map((r) => r.address).filter(Boolean))) {
+      try {
+        portfolios.set(address, await buildPortfolio(address, { costBasisMethod: 'none' }));
+      } catch (err) {
+        errors.push({ address, error: err.message });
+        console.error(`[alerts] Portfolio failed for ${address}: ${err.message}`);
+      }
+    }
+
+    let premiums = [];
+    if (rules.some((r) => r.type === 'basket_status' || r.type === 'nav_premium')) {
+      try {
+        premiums = await getDtfPremiums();
+      } catch (err) {
+        errors.push({ source: 'dtf', error: err.message });
+        console.error(`[alerts] DTF premiums failed: ${err.message}`);
+      }
+    }
+
+    const events = [];
+    const deliveries = [];
+    for (const rule of rules) {
+      const portfolio = rule.address ? portfolios.get(rule.address) : null;
+      if (rule.address && !portfolio) continue;
+
+      state[rule.id] = state[rule.id] || {};
+      const ruleEvents = evaluateRule(rule, state[rule.id], { portfolio, premiums });
+      for (const event of ruleEvents) {
+        events.push(event);
+        const delivery = await deliverWebhook(rule, event);
+        deliveries.push({ id: delivery.id, ruleId: rule.id, status: delivery.status });
+        if (delivery.status === 'delivered') markDelivered(rule, state[rule.id], event);
+      }
+      state[rule.id].lastEvaluatedAt = new Date().toISOString();
+    }
+    await saveState(rules, state);
+
+    console.log(`[alerts] Evaluated ${rules.length} rules: ${events.length} events`);
+    return { evaluatedRules: rules.length, events, deliveries, errors };
+  } finally {
+    evaluationInProgress = false;
+  }
+}
+
+// Start the evaluation schedule. Interval comes from ALERTS_INTERVAL_MINUTES;
+// unset or 0 disables it (on-demand evaluation still works).
+function startAlertScheduler() {
+  const minutes = parseFloat(process.env.ALERTS_INTERVAL_MINUTES);
+  if (!minutes || minutes <= 0) {
+    console.log('[alerts] Scheduled evaluation disabled (ALERTS_INTERVAL_MINUTES not set)');
+    return;
+  }
+
+  stopAlertScheduler();
+  schedulerTimer = setInterval(() => {
+    evaluateAlerts().catch((err) => console.error('[alerts] Scheduled evaluation failed:', err.message));
+  }, minutes * 60 * 1000);
+
+  console.log(`[alerts] Scheduled evaluation every ${minutes} minutes`);
+}
+
+function stopAlertScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  RULE_TYPES,
+  parseRule,
+  listRules,
+  addRule,
+  setRuleEnabled,
+  removeRule,
+  evaluateAlerts,
+  startAlertScheduler,
+  stopAlertScheduler,
+};
@@ -0,0 +1,116 @@
+// ──────────────────────────────────────────────────────────────────────
+// In-memory cache with per-resource TTLs and in-flight deduplication
+//
+// Each resource (balances, DeFi positions, prices, NAV) gets its own
+// cache so TTLs can differ. Concurrent requests for the same key share a
+// single upstream call. Callers get a deep copy of the cached value, so
+// mutating a result never leaks into the next request.
+//
+// TTLs are configurable via CACHE_TTL_<NAME>_SECONDS; 0 disables caching
+// for that resource (in-flight deduplication still applies).
+// ──────────────────────────────────────────────────────────────────────
+
+const caches = new Map();
+
+function resolveTtlMs(name, defaultSeconds) {
+  const envValue = process.env[`CACHE_TTL_${name.toUpperCase()}_SECONDS`];
+  const seconds = envValue !== undefined ? parseFloat(envValue) : defaultSeconds;
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * Create (or return the existing) named cache.
+ *
+ * @param {string} name - Resource name, also used for the TTL env var
+ * @param {number} defaultTtlSeconds - TTL when the env var is not set
+ * @returns {object} { get, delete, clear, stats }
+ */
+function createCache(name, defaultTtlSeconds) {
+  if (caches.has(name)) return caches.get(name);
+
+  const ttlMs = resolveTtlMs(name, defaultTtlSeconds);
+  const entries = new Map();
+  const inFlight = new Map();
+  const counters = { hits: 0, misses: 0, deduplicated: 0 };
+
+  /**
+   * Return the cached value for `key`, or run `loader` to produce it.
+   *
+   * @param {string} key
+   * @param {Function} loader - async () => value
+   * @param {object} options
+   *   fresh: skip any stored value (an identical in-flight call is still shared)
+   *   shouldCache: (value) => boolean — e.g. skip caching partial results
+   */
+  async function get(key, loader, { fresh = false, shouldCache = () => true } = {}) {
+    if (!fresh) {
+      const entry = entries.get(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        counters.hits++;
+        return structuredClone(entry.value);
+      }
+    }
+
+    if (inFlight.has(key)) {
+      counters.deduplicated++;
+      return structuredClone(await inFlight.get(key));
+    }
+
+    counters.misses++;
+    const promise = (async () => {
+      try {
+        const value = await loader();
+        if (ttlMs > 0 && shouldCache(value)) {
+          entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        }
+        return value;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+
+    inFlight.set(key, promise);
+    return structuredClone(await promise);
+  }
+
+  function stats() {
+    const now = Date.now();
+    let live = 0;
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt > now) live++;
+      else entries.delete(key);
+    }
+    return { ttlSeconds: ttlMs / 1000, entries: live, inFlight: inFlight.size, ...counters };
+  }
+
+  const cache = {
+    name,
+    get,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    stats,
+  };
+
+  caches.set(name, cache);
+  return cache;
+}
+
+function getCacheStats() {
+  const result = {};
+  for (const [name, cache] of caches) {
+    result[name] = cache.stats();
+  }
+  return result;
+}
+
+function clearAllCaches() {
+  for (const cache of caches.values()) {
+    cache.clear();
+  }
+}
+
+module.exports = {
+  createCache,
+  getCacheStats,
+  clearAllCaches,
+};
@@ -9,30 +9,44 @@ function calculateCAGR(beginningValue, endingValue, years) {
   return Math.pow(endingValue / beginningValue, 1 / years) - 1;
 }
 
-// Sharpe ratio from an array of daily total portfolio values.
-// Requires at least 30 data points for a meaningful result.
-function calculateSharpeRatio(dailyValues, riskFreeRate = 0.045) {
-  if (dailyValues.length < 2) return null;
-
-  // Calculate daily log returns
+// Daily log returns from an array of daily total portfolio values.
+// Pairs with a non-positive value on either side are skipped.
+function calculateLogReturns(dailyValues) {
   const logReturns = [];
   for (let i = 1; i < dailyValues.length; i++) {
     if (dailyValues[i - 1] > 0 && dailyValues[i] > 0) {
       logReturns.push(Math.log(dailyValues[i] / dailyValues[i - 1]));
     }
   }
+  return logReturns;
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Sample standard deviation
+function standardDeviation(values) {
+  const avg = mean(values);
+  const squaredDiffs = values.map((v) => Math.pow(v - avg, 2));
+  return Math.sqrt(squaredDiffs.reduce((a, b) => a + b, 0) / (values.length - 1));
+}
+
+// Sharpe ratio from an array of daily total portfolio values.
+// Requires at least 30 data points for a meaningful result.
+function calculateSharpeRatio(dailyValues, riskFreeRate = 0.045) {
+  if (dailyValues.length < 2) return null;
+
+  // Calculate daily log returns
+  const logReturns = calculateLogReturns(dailyValues);
 
   if (logReturns.length < 2) return null;
 
   // Mean daily return
-  const meanReturn =
-    logReturns.reduce((a, b) => a + b, 0) / logReturns.length;
+  const meanReturn = mean(logReturns);
 
   // Standard deviation of daily returns (sample std dev)
-  const squaredDiffs = logReturns.map((r) => Math.pow(r - meanReturn, 2));
-  const variance =
-    squaredDiffs.reduce((a, b) => a + b, 0) / (logReturns.length - 1);
-  const dailyStdDev = Math.sqrt(variance);
+  const dailyStdDev = standardDeviation(logReturns);
 
   // Annualize (252 trading days — crypto trades 365 but we use the
   // traditional finance convention to match industry Sharpe ratios)
@@ -44,6 +58,52 @@ function calculateSharpeRatio(dailyValues, riskFreeRate = 0.045) {
   return (annualizedReturn - riskFreeRate) / annualizedStdDev;
 }
 
+// Annualized volatility (std dev of daily log returns), same 252-day
+// convention as the Sharpe ratio.
+function calculateVolatility(dailyValues) {
+  const logReturns = calculateLogReturns(dailyValues);
+  if (logReturns.length < 2) return null;
+  return standardDeviation(logReturns) * Math.sqrt(252);
+}
+
+// Sortino ratio — like Sharpe, but only penalizes downside volatility.
+// Downside deviation uses a 0% daily target return.
+function calculateSortinoRatio(dailyValues, riskFreeRate = 0.045) {
+  const logReturns = calculateLogReturns(dailyValues);
+  if (logReturns.length < 2) return null;
+
+  const downsideSquares = logReturns.map((r) => Math.pow(Math.min(r, 0), 2));
+  const downsideDeviation = Math.sqrt(mean(downsideSquares));
+
+  const annualizedReturn = mean(logReturns) * 252;
+  const annualizedDownside = downsideDeviation * Math.sqrt(252);
+
+  if (annualizedDownside === 0) return null;
+
+  return (annualizedReturn - riskFreeRate) / annualizedDownside;
+}
+
+// Largest peak-to-trough decline, as a positive fraction (0.25 = -25%)
+function calculateMaxDrawdown(dailyValues) {
+  if (dailyValues.length < 2) return null;
+
+  let peak = dailyValues[0];
+  let maxDrawdown = 0;
+  for (const value of dailyValues) {
+    if (value > peak) peak = value;
+    if (peak > 0) {
+      maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak);
+    }
+  }
+  return maxDrawdown;
+}
+
+// Simple return between two values, e.g. 0.05 = +5%
+function calculatePeriodReturn(startValue, endValue) {
+  if (startValue === null || endValue === null || startValue <= 0) return null;
+  return endValue / startValue - 1;
+}
+
 // Recalculate portfolio percentages after merging token sources
 function recalculatePortfolioPercentages(tokens) {
   const totalValue = tokens.reduce((sum, t) => sum + (t.usdValue || 0), 0);
@@ -56,8 +116,80 @@ function recalculatePortfolioPercentages(tokens) {
   }));
 }
 
+// Herfindahl-Hirschman index of a set of exposures: sum of squared shares,
+// 1/n for an even split up to 1 for a single position. Non-positive
+// values (debt, net-short assets) are left out.
+function calculateHerfindahlIndex(values) {
+  const positive = values.filter((v) => v > 0);
+  const total = positive.reduce((sum, v) => sum + v, 0);
+  if (total <= 0) return null;
+  return positive.reduce((sum, v) => sum + Math.pow(v / total, 2), 0);
+}
+
+// Share of gross holding value by how it was priced: market, nav, or
+// other (DeFi-derived). Unpriced holdings have no value, so they are
+// reported as a share of the holdings count instead.
+function calculatePricingBreakdown(tokens) {
+  const grossValue = tokens.reduce((sum, t) => sum + Math.abs(t.usdValue || 0), 0);
+  const valueOf = (list) => list.reduce((sum, t) => sum + Math.abs(t.usdValue), 0);
+  const pct = (value) => (grossValue > 0 ? (value / grossValue) * 100 : null);
+
+  const priced = tokens.filter((t) => t.usdValue !== null && t.usdValue !== undefined);
+  const marketValue = valueOf(priced.filter((t) => t.priceSource === 'market'));
+  const navValue = valueOf(priced.filter((t) => t.priceSource === 'nav'));
+  const unpricedCount = tokens.length - priced.length;
+
+  return {
+    marketPct: pct(marketValue),
+    navPct: pct(navValue),
+    otherPct: pct(grossValue - marketValue - navValue),
+    unpricedCount,
+    unpricedPct: tokens.length > 0 ? (unpricedCount / tokens.length) * 100 : null,
+  };
+}
+
+// Share of gross holding value in DTFs whose basket is not SOUND (IFFY,
+// UNKNOWN). Needs navDetails, so run NAV pricing with navMode 'always'.
+// Index DTFs have no basket status and never count.
+function calculateUnsoundBasketShare(tokens) {
+  const grossValue = tokens.reduce((sum, t) => sum + Math.abs(t.usdValue || 0), 0);
+  const unsound = tokens.filter(
+    (t) => t.usdValue !== null && t.navDetails?.basketStatus && t.navDetails.basketStatus !== 'SOUND'
+  );
+  const value = unsound.reduce((sum, t) => sum + Math.abs(t.usdValue), 0);
+  return {
+    pct: grossValue > 0 ? (value / grossValue) * 100 : null,
+    usdValue: value,
+    tokens: unsound.map((t) => ({
+      chainId: t.chainId,
+      symbol: t.symbol,
+      tokenAddress: t.tokenAddress,
+      basketStatus: t.navDetails.basketStatus,
+      usdValue: t.usdValue,
+    })),
+  };
+}
+
+// Metrics above their threshold. Both are keyed by metric name; metrics or
+// thresholds that are null are skipped.
+function findThresholdBreaches(metrics, thresholds) {
+  return Object.entries(thresholds)
+    .filter(([name, threshold]) => threshold !== null && metrics[name] !== null && metrics[name] !== undefined)
+    .filter(([name, threshold]) => metrics[name] > threshold)
+    .map(([name, threshold]) => ({ metric: name, value: metrics[name], threshold }));
+}
+
 module.exports = {
   calculateCAGR,
+  calculateLogReturns,
   calculateSharpeRatio,
+  calculateVolatility,
+  calculateSortinoRatio,
+  calculateMaxDrawdown,
+  calculatePeriodReturn,
   recalculatePortfolioPercentages,
+  calculateHerfindahlIndex,
+  calculatePricingBreakdown,
+  calculateUnsoundBasketShare,
+  findThresholdBreaches,
 };
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { EvmChain } = require('@moralisweb3/common-evm-utils');
+
+// ──────────────────────────────────────────────────────────────────────
+// Chain registry
+//
+// The one place chains are defined. Balances, DeFi positions, NAV
+// pricing and the on-chain fallback all iterate the enabled chains here.
+// Loaded from config/chains.json, or the file named by CHAINS_CONFIG.
+//
+// Entry fields:
+//   id            EVM chain id
+//   name          Display name
+//   enabled       Include in SUPPORTED_CHAINS (overridden by CHAINS_ENABLED)
+//   moralisChain  Moralis chain name (e.g. "eth", "base", "arbitrum")
+//   rpcUrls       One or more JSON-RPC URLs (more than one = fallback)
+//   rpcUrlEnv     Optional env var whose value overrides rpcUrls
+//   nativeToken   { symbol, name, decimals, wrappedAddress }
+//   knownTokens   Tokens read by the on-chain balance fallback
+//   dtfs          Reserve DTFs to NAV-price on this chain
+//   reserve       Optional { deployerRegistry, folioVersionRegistry } —
+//                 Reserve's on-chain registries, which DTF discovery
+//                 checks candidates against (no registry = no discovery)
+//
+// RPC_URL_<chainId> (comma-separated) overrides the URLs of any chain.
+// ──────────────────────────────────────────────────────────────────────
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'chains.json');
+
+function validateEntry(entry, index) {
+  const where = `chain registry entry ${index}${entry?.name ? ` (${entry.name})` : ''}`;
+
+  if (!Number.isInteger(entry?.id) || entry.id <= 0) {
+    throw new Error(`Invalid ${where}: "id" must be a positive integer`);
+  }
+  if (typeof entry.name !== 'string' || !entry.name) {
+    throw new Error(`Invalid ${where}: "name" is required`);
+  }
+  if (!Array.isArray(entry.rpcUrls) || entry.rpcUrls.length === 0) {
+    throw new Error(`Invalid ${where}: "rpcUrls" must be a non-empty array`);
+  }
+  const native = entry.nativeToken;
+  if (!native || typeof native.symbol !== 'string' || !Number.isInteger(native.decimals)) {
+    throw new Error(`Invalid ${where}: "nativeToken" needs a symbol and integer decimals`);
+  }
+}
+
+function enabledOverride() {
+  const value = process.env.CHAINS_ENABLED;
+  if (!value) return null;
+  return new Set(
+    value.split(',').map((s) => parseInt(s.trim(), 10)).filter(Number.isInteger)
+  );
+}
+
+function loadChainRegistry() {
+  const configPath = process.env.CHAINS_CONFIG
+    ? path.resolve(process.env.CHAINS_CONFIG)
+    : DEFAULT_CONFIG_PATH;
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not load chain registry from ${configPath}: ${err.message}`);
+  }
+
+  const entries = Array.isArray(config) ? config : config.chains;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Chain registry ${configPath} must contain a "chains" array`);
+  }
+
+  entries.forEach(validateEntry);
+
+  const overrides = enabledOverride();
+  return entries.map((entry) => ({
+    id: entry.id,
+    name: entry.name,
+    enabled: overrides ? overrides.has(entry.id) : entry.enabled !== false,
+    moralisChain: EvmChain.create(entry.id),
+    chainParam: entry.moralisChain || null,
+    rpcUrls: entry.rpcUrls,
+    rpcUrlEnv: entry.rpcUrlEnv || null,
+    nativeToken: {
+      ...entry.nativeToken,
+      name: entry.nativeToken.name || entry.nativeToken.symbol,
+      wrappedAddress: entry.nativeToken.wrappedAddress?.toLowerCase() || null,
+    },
+    knownTokens: (entry.knownTokens || []).map((t) => ({
+      ...t,
+      address: t.address.toLowerCase(),
+    })),
+    dtfs: entry.dtfs || [],
+    reserve: {
+      deployerRegistry: entry.reserve?.deployerRegistry?.toLowerCase() || null,
+      folioVersionRegistry: entry.reserve?.folioVersionRegistry?.toLowerCase() || null,
+    },
+  }));
+}
+
+const CHAIN_REGISTRY = loadChainRegistry();
+
+// Chains the tracker queries — same shape the rest of the backend has always
+// used ({ id, name, moralisChain, chainParam }) plus the registry fields
+const SUPPORTED_CHAINS = CHAIN_REGISTRY.filter((c) => c.enabled);
+
+function getChain(chainId) {
+  return SUPPORTED_CHAINS.find((c) => c.id === Number(chainId)) || null;
+}
+
+// RPC URLs for a chain, highest-priority override first
+function getRpcUrls(chainId) {
+  const chain = CHAIN_REGISTRY.find((c) => c.id === Number(chainId));
+
+  const genericOverride = process.env[`RPC_URL_${chainId}`];
+  if (genericOverride) {
+    return genericOverride.split(',').map((s) => s.trim()).filter(Boolean);
+  }
+  if (chain?.rpcUrlEnv && process.env[chain.rpcUrlEnv]) {
+    return process.env[chain.rpcUrlEnv].split(',').map((s) => s.trim()).filter(Boolean);
+  }
+  if (chain) return chain.rpcUrls;
+
+  throw new Error(`No RPC URL configured for chain ${chainId}`);
+}
+
+function getNativeToken(chainId) {
+  return getChain(chainId)?.nativeToken || null;
+}
+
+console.log(
+  `[chains] Enabled: ${SUPPORTED_CHAINS.map((c) => `${c.name} (${c.id})`).join(', ') || 'none'}`
+);
+
+module.exports = {
+  CHAIN_REGISTRY,
+  SUPPORTED_CHAINS,
+  getChain,
+  getRpcUrls,
+  getNativeToken,
+};
@@ -0,0 +1,208 @@
+const { getWalletHistory, priceTransactions } = require('./history');
+
+// ──────────────────────────────────────────────────────────────────────
+// Cost basis engine
+//
+// Replays a wallet's priced transfer history token by token:
+//   - every incoming transfer (receive, swap leg, mint) opens a lot at the
+//     token's USD price in that block
+//   - every outgoing transfer (send, swap leg, redeem) is a disposal at the
+//     price in that block; the lots it consumes are chosen by the method
+//       fifo     oldest lots first
+//       lifo     newest lots first
+//       average  one pooled lot at the weighted average cost
+//
+// Gas fees are not added to cost. Balance the history does not explain
+// (rebasing rewards, untracked income) is counted at zero cost. Cost is
+// unknown (null) when a lot could not be priced or the chain's history
+// is incomplete.
+// ──────────────────────────────────────────────────────────────────────
+
+const COST_BASIS_METHODS = ['fifo', 'lifo', 'average'];
+const DEFAULT_METHOD = 'fifo';
+
+// Amounts are floats — ignore leftovers smaller than this
+const EPSILON = 1e-12;
+
+function getDefaultMethod() {
+  const method = (process.env.COST_BASIS_METHOD || DEFAULT_METHOD).toLowerCase();
+  return COST_BASIS_METHODS.includes(method) ? method : DEFAULT_METHOD;
+}
+
+function positionKey(chainId, tokenAddress) {
+  return `${chainId}:${tokenAddress}`;
+}
+
+function acquire(position, amount, unitCost, method) {
+  if (method === 'average' && position.lots.length > 0) {
+    const lot = position.lots[0];
+    const total = lot.amount + amount;
+    lot.unitCost =
+      lot.unitCost !== null && unitCost !== null && total > 0
+        ? (lot.amount * lot.unitCost + amount * unitCost) / total
+        : null;
+    lot.amount = total;
+    return;
+  }
+  position.lots.push({ amount, unitCost });
+}
+
+// Remove `amount` from the lots; returns the cost of what was removed
+// (null if any consumed lot has unknown cost). Amounts beyond the tracked
+// lots are untracked balance and cost nothing.
+function consumeLots(position, amount, method) {
+  let remaining = amount;
+  let cost = 0;
+
+  while (remaining > EPSILON && position.lots.length > 0) {
+    const index = method === 'lifo' ? position.lots.length - 1 : 0;
+    const lot = position.lots[index];
+    const taken = Math.min(lot.amount, remaining);
+
+    cost = cost !== null && lot.unitCost !== null ? cost + taken * lot.unitCost : null;
+    lot.amount -= taken;
+    remaining -= taken;
+
+    if (lot.amount <= EPSILON) position.lots.splice(index, 1);
+  }
+
+  return cost;
+}
+
+function dispose(position, amount, unitPrice, method) {
+  const cost = consumeLots(position, amount, method);
+  if (unitPrice === null || cost === null) {
+    position.unpricedDisposals++;
+    return;
+  }
+  position.realizedPnlUsd += amount * unitPrice - cost;
+}
+
+/**
+ * Replay priced transactions into per-token positions.
+ *
+ * @param {Array<object>} transactions - Priced, oldest first (see history.js)
+ * @param {string} method - 'fifo' | 'lifo' | 'average'
+ * @returns {Map<string, object>} `${chainId}:${tokenAddress}` → { lots, realizedPnlUsd, unpricedDisposals, ... }
+ */
+function replayHistory(transactions, method) {
+  const positions = new Map();
+
+  for (const tx of transactions) {
+    if (tx.status === 'failed') continue;
+
+    for (const transfer of tx.transfers) {
+      if (!transfer.tokenAddress || !(transfer.amount > 0)) continue;
+
+      const key = positionKey(tx.chainId, transfer.tokenAddress);
+      if (!positions.has(key)) {
+        positions.set(key, {
+          chainId: tx.chainId,
+          tokenAddress: transfer.tokenAddress,
+          symbol: transfer.symbol,
+          lots: [],
+          realizedPnlUsd: 0,
+          unpricedDisposals: 0,
+        });
+      }
+      const position = positions.get(key);
+
+      if (transfer.direction === 'in') {
+        acquire(position, transfer.amount, transfer.usdPrice, method);
+      } else {
+        dispose(position, transfer.amount, transfer.usdPrice, method);
+      }
+    }
+  }
+
+  return positions;
+}
+
+// Cost of the lots still held, scaled down when the lots add up to more
+// than the current balance (fees, negative rebases)
+function remainingCost(position, balance) {
+  const heldAmount = position.lots.reduce((sum, lot) => sum + lot.amount, 0);
+  if (position.lots.some((lot) => lot.unitCost === null)) return null;
+
+  const cost = position.lots.reduce((sum, lot) => sum + lot.amount * lot.unitCost, 0);
+  return heldAmount > balance && heldAmount > 0 ? cost * (balance / heldAmount) : cost;
+}
+
+function withCostBasis(token, costBasisUsd, realizedPnlUsd) {
+  return {
+    ...token,
+    costBasisUsd,
+    unrealizedPnlUsd:
+      costBasisUsd !== null && token.usdValue !== null ? token.usdValue - costBasisUsd : null,
+    realizedPnlUsd,
+  };
+}
+
+/**
+ * Attach costBasisUsd, unrealizedPnlUsd and realizedPnlUsd to a wallet's
+ * holdings. Only wallet balances are covered — tokens that come from DeFi
+ * position data get null fields.
+ *
+ * @param {string} walletAddress - Lowercased 0x wallet address
+ * @param {Array<object>} tokens - Finalized holdings for that wallet
+ * @param {object} options - { method, fresh }
+ * @returns {object} { tokens, summary, errors }
+ */
+async function applyCostBasis(walletAddress, tokens, options = {}) {
+  const method = options.method || getDefaultMethod();
+
+  const history = await getWalletHistory(walletAddress, options);
+  const priced = await priceTransactions(history.transactions);
+  const positions = replayHistory(priced, method);
+  const incomplete = new Set(history.incompleteChains);
+
+  const annotated = tokens.map((token) => {
+    if (!token.balanceSource || incomplete.has(token.chainId)) {
+      return withCostBasis(token, null, null);
+    }
+    const position = positions.get(positionKey(token.chainId, token.tokenAddress));
+    if (!position) return withCostBasis(token, null, null);
+
+    return withCostBasis(
+      token,
+      remainingCost(position, token.balanceFormatted || 0),
+      position.unpricedDisposals === 0 ? position.realizedPnlUsd : null
+    );
+  });
+
+  // Realized PnL includes tokens that have since been sold off entirely.
+  // A token with an unpriced disposal has an unknown realized PnL, so it is
+  // left out (and counted) rather than summed as if it were zero.
+  const settled = [...positions.values()].filter((p) => !incomplete.has(p.chainId));
+  const realizedPnlUsd = settled
+    .filter((p) => p.unpricedDisposals === 0)
+    .reduce((sum, p) => sum + p.realizedPnlUsd, 0);
+  const withCost = annotated.filter((t) => t.costBasisUsd !== null);
+
+  const summary = {
+    method,
+    totalCostBasisUsd: withCost.reduce((sum, t) => sum + t.costBasisUsd, 0),
+    unrealizedPnlUsd: withCost.reduce((sum, t) => sum + (t.unrealizedPnlUsd || 0), 0),
+    realizedPnlUsd,
+    tokensWithUnpricedDisposals: settled.filter((p) => p.unpricedDisposals > 0).length,
+    tokensWithCostBasis: withCost.length,
+    transactionCount: history.transactions.length,
+    incompleteChains: history.incompleteChains,
+  };
+
+  console.log(
+    `[costBasis] ${walletAddress} (${method}): cost $${summary.totalCostBasisUsd.toFixed(2)}, unrealized $${summary.unrealizedPnlUsd.toFixed(2)}, realized $${realizedPnlUsd.toFixed(2)}`
+  );
+
+  return {
+    tokens: annotated,
+    summary,
+    errors: history.errors.map((e) => ({ source: 'history', ...e })),
+  };
+}
+
+module.exports = {
+  COST_BASIS_METHODS,
+  replayHistory,
+  applyCostBasis,
+};
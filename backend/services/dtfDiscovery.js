@@ -0,0 +1,340 @@
+const { ethers } = require('ethers');
+const {
+  RTOKEN_ABI,
+  MAIN_ABI,
+  FOLIO_ABI,
+  FIX_ONE,
+  KNOWN_DTFS,
+  registerDtf,
+} = require('./navPricing');
+const { NATIVE_TOKEN_ADDRESS } = require('./tokenList');
+const { getChain } = require('./chains');
+const { getProvider, multicall } = require('./rpc');
+const { dataPath, readJson, writeJson } = require('./storage');
+
+// ──────────────────────────────────────────────────────────────────────
+// Automatic DTF discovery
+//
+// Tokens Moralis cannot price might be Reserve DTFs nobody registered.
+// Each unknown unpriced token is probed on-chain once:
+//   yield  RToken.main() returns an address whose basketHandler() is set
+//   index  Folio.toAssets(1 share) and decimals() both succeed
+// Both reads for every candidate on a chain go through one multicall
+// (plus one more for the basketHandler check).
+//
+// Anyone can deploy a contract that answers those reads, so a candidate
+// only counts as a DTF once Reserve's own registry vouches for it: the
+// registry entry for the candidate's version() must name the
+// implementation its EIP-1967 proxy slot points at — for a yield DTF
+// the RToken, Main and BasketHandler, for an index DTF the Folio.
+// Registry addresses come from the chain registry's "reserve" field;
+// chains without one are not probed.
+//
+// Every result — DTF or not — is persisted to DATA_DIR/dtf-discovery.json.
+// Confirmed DTFs are added to KNOWN_DTFS via registerDtf(), re-registered
+// on startup and never probed again; tokens found not to be DTFs are
+// probed again once DTF_DISCOVERY_RETRY_HOURS (default 24) have passed.
+// Set DTF_DISCOVERY=false to turn probing off.
+// ──────────────────────────────────────────────────────────────────────
+
+const DISCOVERY_FILE = dataPath('dtf-discovery.json');
+const DEFAULT_RETRY_HOURS = 24;
+
+// EIP-1967 implementation slot: bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+const VERSIONED_ABI = ['function version() external view returns (string)'];
+const DEPLOYER_REGISTRY_ABI = ['function deployments(string version) external view returns (address)'];
+// Only the leading fields of Deployer.implementations() are decoded
+const DEPLOYER_ABI = [
+  'function implementations() external view returns (address main, (address rToken, address stRSR, address assetRegistry, address basketHandler) components)',
+];
+const FOLIO_VERSION_REGISTRY_ABI = [
+  'function getImplementationForVersion(bytes32 versionHash) external view returns (address)',
+];
+
+const rTokenInterface = new ethers.Interface(RTOKEN_ABI);
+const mainInterface = new ethers.Interface(MAIN_ABI);
+const folioInterface = new ethers.Interface(FOLIO_ABI);
+const versionedInterface = new ethers.Interface(VERSIONED_ABI);
+const deployerRegistryInterface = new ethers.Interface(DEPLOYER_REGISTRY_ABI);
+const deployerInterface = new ethers.Interface(DEPLOYER_ABI);
+const folioVersionRegistryInterface = new ethers.Interface(FOLIO_VERSION_REGISTRY_ABI);
+
+// `${chainId}:${address}` → { chainId, address, symbol, isDtf, dtfType, probedAt }
+let discovered = null;
+
+function isDiscoveryEnabled() {
+  return process.env.DTF_DISCOVERY !== 'false';
+}
+
+function retryMs() {
+  const hours = parseFloat(process.env.DTF_DISCOVERY_RETRY_HOURS);
+  return (hours > 0 ? hours : DEFAULT_RETRY_HOURS) * 60 * 60 * 1000;
+}
+
+// A stored result that still holds: a DTF, or a non-DTF probed recently
+function isSettled(entry) {
+  return entry.isDtf || Date.now() - Date.parse(entry.probedAt) < retryMs();
+}
+
+function discoveryKey(chainId, address) {
+  return `${chainId}:${address.toLowerCase()}`;
+}
+
+async function loadDiscovered() {
+  if (!discovered) {
+    discovered = await readJson(DISCOVERY_FILE, {});
+  }
+  return discovered;
+}
+
+function isKnownDtf(chainId, address) {
+  const lower = address.toLowerCase();
+  return (KNOWN_DTFS[chainId] || []).some((d) => d.address.toLowerCase() === lower);
+}
+
+function isNonZeroAddress(result) {
+  return result.success && result.value && result.value !== ethers.ZeroAddress;
+}
+
+function reserveRegistries(chainId) {
+  return getChain(chainId)?.reserve || {};
+}
+
+function hasReserveRegistry(chainId) {
+  const { deployerRegistry, folioVersionRegistry } = reserveRegistries(chainId);
+  return Boolean(deployerRegistry || folioVersionRegistry);
+}
+
+async function implementationOf(chainId, address) {
+  const word = await getProvider(chainId).getStorage(address, IMPLEMENTATION_SLOT);
+  return ethers.dataSlice(word, 12).toLowerCase();
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// Which candidates Reserve's registries vouch for. Each candidate is
+// { entry, dtfType, proxies } where proxies maps a component name
+// (rToken, main, basketHandler or folio) to its proxy address.
+async function verifyWithRegistry(chainId, candidates) {
+  const { deployerRegistry, folioVersionRegistry } = reserveRegistries(chainId);
+  let pending = candidates.filter((c) =>
+    c.dtfType === 'yield' ? deployerRegistry : folioVersionRegistry
+  );
+
+  const versions = await multicall(
+    chainId,
+    pending.map((c) => ({ target: c.entry.address, iface: versionedInterface, method: 'version' }))
+  );
+  pending = pending
+    .map((c, i) => ({ ...c, version: versions[i].value }))
+    .filter((c, i) => versions[i].success && c.version);
+
+  const lookups = await multicall(
+    chainId,
+    pending.map((c) =>
+      c.dtfType === 'yield'
+        ? { target: deployerRegistry, iface: deployerRegistryInterface, method: 'deployments', args: [c.version] }
+        : {
+            target: folioVersionRegistry,
+            iface: folioVersionRegistryInterface,
+            method: 'getImplementationForVersion',
+            args: [ethers.id(c.version)],
+          }
+    )
+  );
+  pending = pending
+    .map((c, i) => ({ ...c, registered: lookups[i].value }))
+    .filter((c, i) => isNonZeroAddress(lookups[i]));
+
+  // A yield DTF's registry entry is its Deployer, which knows the implementations
+  const yieldDtfs = pending.filter((c) => c.dtfType === 'yield');
+  const deployments = await multicall(
+    chainId,
+    yieldDtfs.map((c) => ({ target: c.registered, iface: deployerInterface, method: 'implementations' }))
+  );
+  yieldDtfs.forEach((c, i) => {
+    const impls = deployments[i].success ? deployments[i].value : null;
+    c.expected = impls && {
+      rToken: impls.components.rToken,
+      main: impls.main,
+      basketHandler: impls.components.basketHandler,
+    };
+  });
+  pending.filter((c) => c.dtfType === 'index').forEach((c) => {
+    c.expected = { folio: c.registered };
+  });
+
+  const verified = new Set();
+  await Promise.all(
+    pending.filter((c) => c.expected).map(async (c) => {
+      const checks = await Promise.all(
+        Object.entries(c.proxies).map(async ([component, proxy]) =>
+          sameAddress(await implementationOf(chainId, proxy), c.expected[component])
+        )
+      );
+      if (checks.every(Boolean)) verified.add(c.entry);
+    })
+  );
+  return verified;
+}
+
+// Probe one chain's candidates; returns a result entry per candidate
+async function probeChain(chainId, candidates) {
+  const phase1 = await multicall(
+    chainId,
+    candidates.flatMap((t) => [
+      { target: t.tokenAddress, iface: rTokenInterface, method: 'decimals' },
+      { target: t.tokenAddress, iface: rTokenInterface, method: 'main' },
+      { target: t.tokenAddress, iface: folioInterface, method: 'toAssets', args: [FIX_ONE, 0] },
+    ])
+  );
+
+  const withMain = [];
+  const looksLikeDtf = [];
+  const entries = candidates.map((t, i) => {
+    const [decimals, main, toAssets] = phase1.slice(i * 3, i * 3 + 3);
+    const entry = {
+      chainId,
+      address: t.tokenAddress.toLowerCase(),
+      symbol: t.symbol || null,
+      isDtf: false,
+      dtfType: null,
+      probedAt: new Date().toISOString(),
+    };
+    if (decimals.success && isNonZeroAddress(main)) {
+      withMain.push({ entry, mainAddress: main.value });
+    } else if (decimals.success && toAssets.success) {
+      looksLikeDtf.push({ entry, dtfType: 'index', proxies: { folio: entry.address } });
+    }
+    return entry;
+  });
+
+  // Anything can expose main() — only a Main with a BasketHandler is an RToken
+  const phase2 = await multicall(
+    chainId,
+    withMain.map((m) => ({ target: m.mainAddress, iface: mainInterface, method: 'basketHandler' }))
+  );
+  phase2.forEach((result, i) => {
+    if (!isNonZeroAddress(result)) return;
+    const { entry, mainAddress } = withMain[i];
+    looksLikeDtf.push({
+      entry,
+      dtfType: 'yield',
+      proxies: { rToken: entry.address, main: mainAddress, basketHandler: result.value },
+    });
+  });
+
+  const verified = await verifyWithRegistry(chainId, looksLikeDtf);
+  for (const { entry, dtfType } of looksLikeDtf) {
+    if (verified.has(entry)) {
+      entry.isDtf = true;
+      entry.dtfType = dtfType;
+    } else {
+      console.warn(
+        `[discovery] ${entry.symbol || entry.address} on chain ${chainId} looks like a ${dtfType}-type DTF but is not in Reserve's registry`
+      );
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Probe unpriced tokens that are not registered DTFs and register the ones
+ * Reserve's registry confirms as DTFs. Tokens on chains with no Reserve
+ * registry configured are not probed. Confirmed DTFs, and tokens found not
+ * to be DTFs within DTF_DISCOVERY_RETRY_HOURS (on any earlier run), are
+ * skipped. A chain whose RPC fails is left unrecorded so it is retried
+ * next time.
+ *
+ * @param {Array<object>} tokens - Holdings ({ chainId, tokenAddress, symbol, usdPrice })
+ * @returns {Array<object>} Newly discovered DTFs ({ chainId, address, symbol, dtfType })
+ */
+async function discoverDtfs(tokens) {
+  if (!isDiscoveryEnabled()) return [];
+
+  const known = await loadDiscovered();
+  const candidatesByChain = new Map();
+  for (const token of tokens) {
+    if (token.usdPrice !== null || !token.tokenAddress) continue;
+    const address = token.tokenAddress.toLowerCase();
+    if (address === NATIVE_TOKEN_ADDRESS || !hasReserveRegistry(token.chainId)) continue;
+    const stored = known[discoveryKey(token.chainId, address)];
+    if (isKnownDtf(token.chainId, address) || (stored && isSettled(stored))) continue;
+
+    if (!candidatesByChain.has(token.chainId)) candidatesByChain.set(token.chainId, new Map());
+    candidatesByChain.get(token.chainId).set(address, token);
+  }
+  if (candidatesByChain.size === 0) return [];
+
+  const chainIds = [...candidatesByChain.keys()];
+  const results = await Promise.allSettled(
+    chainIds.map((chainId) => probeChain(chainId, [...candidatesByChain.get(chainId).values()]))
+  );
+
+  const found = [];
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      console.warn(`[discovery] Probe failed on chain ${chainIds[i]}: ${result.reason?.message}`);
+      return;
+    }
+    for (const entry of result.value) {
+      known[discoveryKey(entry.chainId, entry.address)] = entry;
+      if (!entry.isDtf) continue;
+      registerDtf(entry.chainId, entry.symbol || entry.address, entry.address);
+      found.push({
+        chainId: entry.chainId,
+        address: entry.address,
+        symbol: entry.symbol,
+        dtfType: entry.dtfType,
+      });
+    }
+  });
+
+  const probed = results
+    .filter((r) => r.status === 'fulfilled')
+    .reduce((sum, r) => sum + r.value.length, 0);
+  if (probed > 0) {
+    await writeJson(DISCOVERY_FILE, known);
+  }
+  console.log(`[discovery] Probed ${probed} unpriced tokens — ${found.length} new DTFs`);
+
+  return found;
+}
+
+/**
+ * Register every DTF confirmed by earlier discovery runs. Called on startup.
+ *
+ * @returns {number} Number of DTFs registered
+ */
+async function loadDiscoveredDtfs() {
+  const known = await loadDiscovered();
+  const dtfs = Object.values(known).filter((entry) => entry.isDtf);
+  for (const entry of dtfs) {
+    registerDtf(entry.chainId, entry.symbol || entry.address, entry.address);
+  }
+  return dtfs.length;
+}
+
+/**
+ * Discovery results so far.
+ *
+ * @returns {object} { dtfs: confirmed entries, probedCount }
+ */
+async function getDiscoveredDtfs() {
+  const entries = Object.values(await loadDiscovered());
+  return {
+    dtfs: entries.filter((entry) => entry.isDtf),
+    probedCount: entries.length,
+  };
+}
+
+module.exports = {
+  discoverDtfs,
+  loadDiscoveredDtfs,
+  getDiscoveredDtfs,
+};
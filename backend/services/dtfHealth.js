@@ -0,0 +1,346 @@
+const { ethers } = require('ethers');
+const { multicall, getProvider, getLogsChunked } = require('./rpc');
+const { getChain } = require('./chains');
+const { getTokenPrice } = require('./moralis');
+const { createCache } = require('./cache');
+const {
+  RTOKEN_ABI,
+  MAIN_ABI,
+  BASKET_HANDLER_ABI,
+  ASSET_REGISTRY_ABI,
+  ASSET_ABI,
+  STRSR_ABI,
+  ERC20_ABI,
+  calculateRTokenNAV,
+} = require('./navPricing');
+
+// ──────────────────────────────────────────────────────────────────────
+// Reserve RToken health and backing report
+//
+// Follows the same path as NAV pricing (RToken.main() → Main) and reads:
+//   - BasketHandler: status, nonce, fullyCollateralized, and the
+//     BasketSet / BasketStatusChanged event history
+//   - RToken: supply, basketsNeeded, issuance/redemption throttles
+//   - StRSR + RSR: staked RSR, exchange rate, overcollateralization
+//   - AssetRegistry: every registered collateral and its default status
+//
+// Contract reads are multicall-batched, one round-trip per phase.
+// ──────────────────────────────────────────────────────────────────────
+
+const healthCache = createCache('dtf_health', 120);
+
+const rTokenInterface = new ethers.Interface(RTOKEN_ABI);
+const mainInterface = new ethers.Interface(MAIN_ABI);
+const basketHandlerInterface = new ethers.Interface(BASKET_HANDLER_ABI);
+const assetRegistryInterface = new ethers.Interface(ASSET_REGISTRY_ABI);
+const assetInterface = new ethers.Interface(ASSET_ABI);
+const stRsrInterface = new ethers.Interface(STRSR_ABI);
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+// CollateralStatus enum shared by baskets and collateral plugins
+const COLLATERAL_STATUS = ['SOUND', 'IFFY', 'DISABLED'];
+
+// whenDefault() returns type(uint48).max while collateral is SOUND
+const NEVER = 2n ** 48n - 1n;
+
+const DEFAULT_EVENT_LOOKBACK_BLOCKS = 200000;
+const DEFAULT_LOG_CHUNK_BLOCKS = 10000;
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+function valueOf(result) {
+  return result?.success ? result.value : null;
+}
+
+// D18 fixed-point (uint192) or 18-decimal amount → float
+function fromFix(value, decimals = 18) {
+  return value === null ? null : parseFloat(ethers.formatUnits(value, decimals));
+}
+
+function statusName(value) {
+  return value === null ? null : COLLATERAL_STATUS[Number(value)] ?? 'UNKNOWN';
+}
+
+function formatThrottle(available, params, decimals) {
+  return {
+    available: fromFix(available, decimals),
+    amtRatePerHour: params ? fromFix(params[0], decimals) : null,
+    // pctRate is a D18 fraction of supply per hour
+    pctRatePerHour: params ? fromFix(params[1]) * 100 : null,
+  };
+}
+
+async function readContracts(chainId, rTokenAddress) {
+  // ── Phase 1: RToken ──
+  const rTokenCalls = [
+    'main',
+    'decimals',
+    'symbol',
+    'totalSupply',
+    'basketsNeeded',
+    'issuanceAvailable',
+    'redemptionAvailable',
+    'issuanceThrottleParams',
+    'redemptionThrottleParams',
+  ];
+  const phase1 = await multicall(
+    chainId,
+    rTokenCalls.map((method) => ({ target: rTokenAddress, iface: rTokenInterface, method }))
+  );
+  const rToken = Object.fromEntries(rTokenCalls.map((method, i) => [method, valueOf(phase1[i])]));
+  if (!rToken.main) return null;
+
+  // ── Phase 2: Main ──
+  const mainCalls = [
+    'basketHandler',
+    'assetRegistry',
+    'backingManager',
+    'rsr',
+    'stRSR',
+    'frozen',
+    'tradingPaused',
+    'issuancePaused',
+  ];
+  const phase2 = await multicall(
+    chainId,
+    mainCalls.map((method) => ({ target: rToken.main, iface: mainInterface, method }))
+  );
+  const main = Object.fromEntries(mainCalls.map((method, i) => [method, valueOf(phase2[i])]));
+  if (!main.basketHandler) {
+    throw new Error(`basketHandler() call failed on Main ${rToken.main}`);
+  }
+
+  // ── Phase 3: BasketHandler, AssetRegistry, StRSR, RSR ──
+  const optional = (target, call) => (target ? [{ target, ...call }] : []);
+  const phase3Calls = [
+    { key: 'status', target: main.basketHandler, iface: basketHandlerInterface, method: 'status' },
+    { key: 'nonce', target: main.basketHandler, iface: basketHandlerInterface, method: 'nonce' },
+    { key: 'fullyCollateralized', target: main.basketHandler, iface: basketHandlerInterface, method: 'fullyCollateralized' },
+    ...optional(main.assetRegistry, { key: 'erc20s', iface: assetRegistryInterface, method: 'erc20s' }),
+    ...optional(main.stRSR, { key: 'exchangeRate', iface: stRsrInterface, method: 'exchangeRate' }),
+    ...optional(main.stRSR, { key: 'stRsrSupply', iface: stRsrInterface, method: 'totalSupply' }),
+    ...optional(main.stRSR && main.rsr, { key: 'rsrStaked', iface: erc20Interface, method: 'balanceOf', args: [main.stRSR] }),
+  ];
+  const phase3 = await multicall(chainId, phase3Calls);
+  const state = Object.fromEntries(phase3Calls.map((c, i) => [c.key, valueOf(phase3[i])]));
+
+  // ── Phase 4: asset plugin + symbol per registered ERC-20 ──
+  const erc20s = state.erc20s ? [...state.erc20s] : [];
+  const phase4 = await multicall(
+    chainId,
+    erc20s.flatMap((erc20) => [
+      { target: main.assetRegistry, iface: assetRegistryInterface, method: 'toAsset', args: [erc20] },
+      { target: erc20, iface: erc20Interface, method: 'symbol' },
+    ])
+  );
+  const registered = erc20s.map((erc20, i) => ({
+    erc20: erc20.toLowerCase(),
+    asset: valueOf(phase4[i * 2]),
+    symbol: valueOf(phase4[i * 2 + 1]),
+  }));
+
+  // ── Phase 5: collateral status per asset plugin ──
+  const withAsset = registered.filter((r) => r.asset);
+  const phase5 = await multicall(
+    chainId,
+    withAsset.flatMap((r) =>
+      ['isCollateral', 'status', 'whenDefault'].map((method) => ({
+        target: r.asset,
+        iface: assetInterface,
+        method,
+      }))
+    )
+  );
+  const collateral = withAsset
+    .map((r, i) => {
+      const [isCollateral, status, whenDefault] = phase5.slice(i * 3, i * 3 + 3).map(valueOf);
+      return { ...r, isCollateral, status, whenDefault };
+    })
+    .filter((r) => r.isCollateral);
+
+  return { rToken, main, state, collateral };
+}
+
+// BasketSet / BasketStatusChanged events over the lookback window, oldest first
+async function readStatusHistory(chainId, basketHandlerAddress) {
+  const provider = getProvider(chainId);
+  const lookback = envInt('DTF_EVENT_LOOKBACK_BLOCKS', DEFAULT_EVENT_LOOKBACK_BLOCKS);
+  const chunkSize = envInt('DTF_LOG_CHUNK_BLOCKS', DEFAULT_LOG_CHUNK_BLOCKS);
+
+  const toBlock = await provider.getBlockNumber();
+  const fromBlock = Math.max(0, toBlock - lookback + 1);
+
+  const logs = await getLogsChunked(
+    chainId,
+    {
+      address: basketHandlerAddress,
+      topics: [[
+        basketHandlerInterface.getEvent('BasketSet').topicHash,
+        basketHandlerInterface.getEvent('BasketStatusChanged').topicHash,
+      ]],
+    },
+    { fromBlock, toBlock, chunkSize }
+  );
+
+  // Basket changes are rare — one block lookup per event is fine
+  const timestamps = {};
+  for (const blockNumber of new Set(logs.map((log) => log.blockNumber))) {
+    const block = await provider.getBlock(blockNumber);
+    timestamps[blockNumber] = block ? new Date(block.timestamp * 1000).toISOString() : null;
+  }
+
+  const events = logs.map((log) => {
+    const parsed = basketHandlerInterface.parseLog(log);
+    const base = {
+      blockNumber: log.blockNumber,
+      timestamp: timestamps[log.blockNumber],
+      transactionHash: log.transactionHash,
+    };
+    if (parsed.name === 'BasketSet') {
+      return {
+        ...base,
+        type: 'basket_set',
+        nonce: Number(parsed.args.nonce),
+        disabled: parsed.args.disabled,
+        erc20s: parsed.args.erc20s.map((a) => a.toLowerCase()),
+      };
+    }
+    return {
+      ...base,
+      type: 'status_changed',
+      oldStatus: statusName(parsed.args.oldStatus),
+      newStatus: statusName(parsed.args.newStatus),
+    };
+  });
+
+  return { fromBlock, toBlock, events };
+}
+
+async function loadDtfHealth(chainId, rTokenAddress, options) {
+  const chain = getChain(chainId);
+  const contracts = await readContracts(chainId, rTokenAddress);
+  if (!contracts) return null;
+
+  const { rToken, main, state, collateral } = contracts;
+  const decimals = rToken.decimals !== null ? Number(rToken.decimals) : 18;
+  const errors = [];
+
+  const [navResult, rsrPriceResult, historyResult] = await Promise.allSettled([
+    calculateRTokenNAV(rTokenAddress, chainId, options),
+    main.rsr ? getTokenPrice(main.rsr, chain, options) : Promise.resolve(null),
+    readStatusHistory(chainId, main.basketHandler),
+  ]);
+
+  const nav = navResult.status === 'fulfilled' ? navResult.value : null;
+  if (navResult.status === 'rejected') {
+    errors.push({ source: 'nav', error: navResult.reason?.message });
+  }
+  const rsrPriceUsd = rsrPriceResult.status === 'fulfilled' ? rsrPriceResult.value?.usdPrice ?? null : null;
+  const statusHistory = historyResult.status === 'fulfilled' ? historyResult.value : null;
+  if (historyResult.status === 'rejected') {
+    errors.push({ source: 'statusHistory', error: historyResult.reason?.message });
+    console.warn(`[dtfHealth] Status history failed for ${rTokenAddress}: ${historyResult.reason?.message}`);
+  }
+
+  const totalSupply = fromFix(rToken.totalSupply, decimals);
+  const marketCapUsd = nav && totalSupply !== null ? totalSupply * nav.navPerToken : null;
+  const rsrStaked = fromFix(state.rsrStaked);
+  const rsrStakedUsd = rsrStaked !== null && rsrPriceUsd !== null ? rsrStaked * rsrPriceUsd : null;
+  // exchangeRate is {qRSR/qStRSR} — RSR redeemable per stRSR
+  const rsrPerStRsr = fromFix(state.exchangeRate);
+  const basketAddresses = new Set((nav?.basketTokens || []).map((t) => t.address.toLowerCase()));
+
+  const result = {
+    chainId,
+    chain: chain.name,
+    address: rTokenAddress,
+    symbol: rToken.symbol,
+    contracts: {
+      main: rToken.main,
+      basketHandler: main.basketHandler,
+      assetRegistry: main.assetRegistry,
+      backingManager: main.backingManager,
+      rsr: main.rsr,
+      stRSR: main.stRSR,
+    },
+    basket: {
+      status: statusName(state.status),
+      nonce: state.nonce !== null ? Number(state.nonce) : null,
+      fullyCollateralized: state.fullyCollateralized,
+      basketsNeeded: fromFix(rToken.basketsNeeded),
+      navPerToken: nav?.navPerToken ?? null,
+      allUnderlyingPriced: nav?.allUnderlyingPriced ?? null,
+    },
+    supply: {
+      totalSupply,
+      marketCapUsd,
+    },
+    staking: {
+      rsrStaked,
+      rsrPriceUsd,
+      rsrStakedUsd,
+      // Staked RSR value as a share of the RToken supply it backs
+      overcollateralizationPct:
+        rsrStakedUsd !== null && marketCapUsd ? (rsrStakedUsd / marketCapUsd) * 100 : null,
+      stRsrSupply: fromFix(state.stRsrSupply),
+      exchangeRate: {
+        stRsrPerRsr: rsrPerStRsr ? 1 / rsrPerStRsr : null,
+        rsrPerStRsr,
+      },
+    },
+    throttles: {
+      issuance: formatThrottle(rToken.issuanceAvailable, rToken.issuanceThrottleParams, decimals),
+      redemption: formatThrottle(rToken.redemptionAvailable, rToken.redemptionThrottleParams, decimals),
+    },
+    paused: {
+      frozen: main.frozen,
+      tradingPaused: main.tradingPaused,
+      issuancePaused: main.issuancePaused,
+    },
+    collateral: collateral.map((c) => ({
+      erc20: c.erc20,
+      symbol: c.symbol,
+      asset: c.asset,
+      inBasket: basketAddresses.has(c.erc20),
+      status: statusName(c.status),
+      whenDefault:
+        c.whenDefault !== null && c.whenDefault !== NEVER
+          ? new Date(Number(c.whenDefault) * 1000).toISOString()
+          : null,
+    })),
+    statusHistory,
+    errors: errors.length > 0 ? errors : undefined,
+  };
+
+  console.log(
+    `[dtfHealth] ${rToken.symbol || rTokenAddress}: basket ${result.basket.status}, ` +
+      `fully collateralized ${result.basket.fullyCollateralized}, ${result.collateral.length} collateral`
+  );
+
+  return result;
+}
+
+/**
+ * Health and backing report for a Reserve RToken. Cached per chain + address.
+ *
+ * @param {number} chainId
+ * @param {string} rTokenAddress
+ * @param {object} options - { fresh } bypasses the caches
+ * @returns {object|null} Report, or null when the address is not an RToken
+ */
+async function getDtfHealth(chainId, rTokenAddress, options = {}) {
+  const address = rTokenAddress.toLowerCase();
+  return healthCache.get(
+    `${chainId}:${address}`,
+    () => loadDtfHealth(chainId, address, options),
+    { fresh: options.fresh, shouldCache: (result) => result !== null && !result.errors }
+  );
+}
+
+module.exports = {
+  COLLATERAL_STATUS,
+  getDtfHealth,
+};
@@ -0,0 +1,219 @@
+const { KNOWN_DTFS, calculateRTokenNAV } = require('./navPricing');
+const { findProtocolToken } = require('./protocolTokens');
+const { getChain, getNativeToken } = require('./chains');
+
+// ──────────────────────────────────────────────────────────────────────
+// Look-through exposure
+//
+// Decomposes finalized holdings into the base assets they are a claim on:
+//   DTFs          → basket tokens, weighted by their share of NAV
+//                   (nested DTFs are decomposed in turn)
+//   LSTs / LRTs   → underlying from the protocol-token registry (ETH)
+//   wrappers      → the asset at the end of their unwrap pricingPath
+//   receipt tokens→ the position's underlying (aToken → USDC)
+//   wrapped native→ the native asset (WETH → ETH)
+//
+// Debt holdings carry negative value, so exposure is net of borrowing.
+// Each leaf remembers the protocols it passed through; a value counts
+// toward every one of them, so protocol shares can add up to more than
+// 100%. Asset and chain shares always add up to 100%.
+// ──────────────────────────────────────────────────────────────────────
+
+const MAX_DEPTH = 4;
+
+// Protocol name for value held through a DTF basket
+const DTF_PROTOCOL = 'Reserve';
+
+function isKnownDtf(chainId, address) {
+  const lower = address?.toLowerCase();
+  return Boolean(lower) && (KNOWN_DTFS[chainId] || []).some((d) => d.address.toLowerCase() === lower);
+}
+
+// Symbol of a token that is not decomposed further; wrapped native counts as native
+function baseAssetSymbol(chainId, address, symbol) {
+  const native = getNativeToken(chainId);
+  if (native && address && native.wrappedAddress?.toLowerCase() === address.toLowerCase()) {
+    return native.symbol;
+  }
+  return symbol;
+}
+
+function withProtocol(protocols, protocol) {
+  return protocol && !protocols.includes(protocol) ? [...protocols, protocol] : protocols;
+}
+
+// Basket of a DTF — from the holding's navDetails when present, else its
+// (cached) NAV. Null when the token is not a DTF or its NAV is unavailable.
+async function basketFor(node, options) {
+  if (node.basketTokens) return node.basketTokens;
+  if (!isKnownDtf(node.chainId, node.address)) return null;
+  try {
+    const nav = await calculateRTokenNAV(node.address, node.chainId, { fresh: options.fresh });
+    return nav?.basketTokens || null;
+  } catch (err) {
+    console.warn(`[exposure] NAV failed for ${node.symbol} (${node.address}): ${err.message}`);
+    return null;
+  }
+}
+
+// Walk one token down to base-asset leaves ({ asset, usdValue, protocols, via }).
+// via lists the tokens passed through on the way to the asset.
+async function explode(node, leaves, options, depth = 0) {
+  const via = [...node.via, node.symbol];
+  const leaf = (asset, protocols = node.protocols) =>
+    leaves.push({ asset, usdValue: node.usdValue, protocols, via: asset === node.symbol ? node.via : via });
+
+  if (depth >= MAX_DEPTH) return leaf(baseAssetSymbol(node.chainId, node.address, node.symbol));
+
+  // DTF → basket tokens, by share of the priced basket value
+  const basket = await basketFor(node, options);
+  const priced = (basket || []).filter((t) => t.usdValue !== null && t.usdValue > 0);
+  const basketValue = priced.reduce((sum, t) => sum + t.usdValue, 0);
+  if (basketValue > 0) {
+    for (const token of priced) {
+      await explode(
+        {
+          chainId: node.chainId,
+          address: token.address,
+          symbol: token.symbol,
+          usdValue: node.usdValue * (token.usdValue / basketValue),
+          pricingPath: token.pricingPath,
+          protocols: withProtocol(node.protocols, DTF_PROTOCOL),
+          via,
+        },
+        leaves,
+        options,
+        depth + 1
+      );
+    }
+    return;
+  }
+
+  // LST / LRT / savings token → registry underlying
+  const mapping = findProtocolToken(node.chainId, node.address);
+  if (mapping?.underlying) return leaf(mapping.underlying, withProtocol(node.protocols, mapping.protocol));
+
+  // Wrapper priced by unwrapping → the asset it unwraps to
+  const unwrapped = node.pricingPath?.length > 1 ? node.pricingPath[node.pricingPath.length - 1] : null;
+  if (unwrapped) {
+    return explode(
+      {
+        chainId: node.chainId,
+        address: unwrapped.address,
+        symbol: unwrapped.symbol,
+        usdValue: node.usdValue,
+        protocols: node.protocols,
+        via: [...via, ...node.pricingPath.slice(1, -1).map((step) => step.symbol)],
+      },
+      leaves,
+      options,
+      depth + 1
+    );
+  }
+
+  // Receipt token (aToken, Comet) → the position's underlying
+  if (node.underlyingSymbol) return leaf(node.underlyingSymbol);
+
+  return leaf(baseAssetSymbol(node.chainId, node.address, node.symbol));
+}
+
+function sharePct(value, total) {
+  return total !== 0 ? (value / total) * 100 : null;
+}
+
+function sortedGroups(groups, total) {
+  return [...groups.values()]
+    .map((g) => ({ ...g, sharePct: sharePct(g.usdValue, total) }))
+    .sort((a, b) => b.usdValue - a.usdValue);
+}
+
+/**
+ * Aggregate look-through exposure for a finalized holdings list.
+ *
+ * @param {Array<object>} tokens - Holdings from buildPortfolio / buildAggregatePortfolio
+ * @param {object} options - { fresh: true } bypasses the NAV caches for nested DTFs
+ * @returns {object} { totalUsdValue, byAsset, byProtocol, byChain, unpricedTokens }
+ */
+async function buildExposure(tokens, options = {}) {
+  const byAsset = new Map();
+  const byProtocol = new Map();
+  const byChain = new Map();
+  const unpricedTokens = [];
+  let totalUsdValue = 0;
+
+  for (const token of tokens) {
+    if (token.usdValue === null || token.usdValue === undefined) {
+      unpricedTokens.push({ chainId: token.chainId, symbol: token.symbol, tokenAddress: token.tokenAddress || null });
+      continue;
+    }
+
+    const leaves = [];
+    await explode(
+      {
+        chainId: token.chainId,
+        address: token.tokenAddress,
+        symbol: token.symbol,
+        usdValue: token.usdValue,
+        basketTokens: token.navDetails?.basketTokens || null,
+        underlyingSymbol: token.underlyingSymbol || null,
+        protocols: token.isDefiPosition && token.defiProtocol ? [token.defiProtocol] : [],
+        via: [],
+      },
+      leaves,
+      options
+    );
+
+    totalUsdValue += token.usdValue;
+
+    const chainGroup = byChain.get(token.chainId) || {
+      chainId: token.chainId,
+      chain: token.chain || getChain(token.chainId)?.name || null,
+      usdValue: 0,
+    };
+    chainGroup.usdValue += token.usdValue;
+    byChain.set(token.chainId, chainGroup);
+
+    for (const { asset, usdValue, protocols, via } of leaves) {
+      const assetGroup = byAsset.get(asset) || { asset, usdValue: 0, sources: [] };
+      assetGroup.usdValue += usdValue;
+      const sourceKey = `${token.chainId}:${token.symbol}:${via.join('>')}`;
+      const source = assetGroup.sources.find((s) => s.key === sourceKey);
+      if (source) {
+        source.usdValue += usdValue;
+      } else {
+        assetGroup.sources.push({ key: sourceKey, symbol: token.symbol, chainId: token.chainId, via, usdValue });
+      }
+      byAsset.set(asset, assetGroup);
+
+      for (const protocol of protocols) {
+        const protocolGroup = byProtocol.get(protocol) || { protocol, usdValue: 0 };
+        protocolGroup.usdValue += usdValue;
+        byProtocol.set(protocol, protocolGroup);
+      }
+    }
+  }
+
+  const assets = sortedGroups(byAsset, totalUsdValue).map(({ sources, ...group }) => ({
+    ...group,
+    sources: sources
+      .map(({ key, ...source }) => source)
+      .sort((a, b) => b.usdValue - a.usdValue),
+  }));
+
+  console.log(
+    `[exposure] $${totalUsdValue.toFixed(2)} across ${assets.length} assets, ${byProtocol.size} protocols, ${byChain.size} chains (${unpricedTokens.length} unpriced)`
+  );
+
+  return {
+    totalUsdValue,
+    byAsset: assets,
+    byProtocol: sortedGroups(byProtocol, totalUsdValue),
+    byChain: sortedGroups(byChain, totalUsdValue),
+    unpricedTokens,
+  };
+}
+
+module.exports = {
+  baseAssetSymbol,
+  buildExposure,
+};
@@ -0,0 +1,211 @@
+const { getDataProvider } = require('./providers');
+const { SUPPORTED_CHAINS, getChain, getNativeToken } = require('./chains');
+const { batchedRequests, isTransientError } = require('./moralis');
+const { createCache } = require('./cache');
+
+// ──────────────────────────────────────────────────────────────────────
+// Wallet transaction history and historical lookups
+//
+// Pages through Moralis wallet history on every enabled chain and prices
+// each token movement at the block it happened in. Feeds the cost-basis
+// engine (services/costBasis.js). Also resolves timestamps to blocks and
+// prices tokens at past blocks for historical NAV.
+//
+// History is capped at HISTORY_MAX_PAGES pages (100 transactions each)
+// per chain; a chain that hits the cap is reported as truncated.
+// Historical prices and date→block lookups never change, so they are
+// cached for a day. Transient provider failures (rate limits, 5xx,
+// timeouts) are not cached — the next lookup asks again.
+// ──────────────────────────────────────────────────────────────────────
+
+const DEFAULT_MAX_PAGES = 20;
+
+const historyCache = createCache('history', 300);
+const historicalPriceCache = createCache('historical_prices', 86400);
+const blockCache = createCache('blocks', 86400);
+
+function getMaxPages() {
+  const value = parseInt(process.env.HISTORY_MAX_PAGES, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_PAGES;
+}
+
+async function loadChainHistory(walletAddress, chain) {
+  const maxPages = getMaxPages();
+  const transactions = [];
+  let cursor = null;
+  let pages = 0;
+
+  do {
+    const page = await getDataProvider().getWalletHistory(walletAddress, chain, cursor);
+    transactions.push(...page.transactions);
+    cursor = page.cursor;
+    pages++;
+  } while (cursor && pages < maxPages);
+
+  const truncated = Boolean(cursor);
+  console.log(
+    `[history] ${chain.name}: ${transactions.length} transactions in ${pages} pages${truncated ? ' (truncated)' : ''}`
+  );
+
+  return { transactions, truncated };
+}
+
+async function loadWalletHistory(walletAddress) {
+  const results = await Promise.allSettled(
+    SUPPORTED_CHAINS.map((chain) => loadChainHistory(walletAddress, chain))
+  );
+
+  const transactions = [];
+  const incompleteChains = [];
+  const errors = [];
+
+  results.forEach((result, index) => {
+    const chain = SUPPORTED_CHAINS[index];
+    if (result.status === 'fulfilled') {
+      transactions.push(...result.value.transactions);
+      if (result.value.truncated) incompleteChains.push(chain.id);
+      return;
+    }
+    incompleteChains.push(chain.id);
+    errors.push({ chain: chain.name, error: result.reason?.message || 'Unknown error' });
+    console.error(`[history] Failed to fetch history for ${chain.name}:`, result.reason?.message);
+  });
+
+  transactions.sort(
+    (a, b) => a.timestamp.localeCompare(b.timestamp) || a.chainId - b.chainId
+  );
+
+  return { transactions, incompleteChains, errors };
+}
+
+/**
+ * Full transaction history for a wallet across all enabled chains, oldest
+ * first. Cached per wallet; results with chain errors are not cached.
+ *
+ * @param {string} walletAddress - The 0x wallet address
+ * @param {object} options - { fresh: true } bypasses the cache
+ * @returns {object} { transactions, incompleteChains: number[], errors }
+ */
+async function getWalletHistory(walletAddress, options = {}) {
+  return historyCache.get(
+    walletAddress.toLowerCase(),
+    () => loadWalletHistory(walletAddress),
+    { fresh: options.fresh, shouldCache: (result) => result.errors.length === 0 }
+  );
+}
+
+async function loadHistoricalPrice(tokenAddress, chain, blockNumber) {
+  try {
+    const price = await getDataProvider().getHistoricalTokenPrice(tokenAddress, chain, blockNumber);
+    return price.usdPrice ?? null;
+  } catch (err) {
+    // Thrown out of the cache loader so the failure is not cached
+    if (isTransientError(err)) throw err;
+    console.warn(
+      `[history] No price for ${tokenAddress} on ${chain.name} at block ${blockNumber}: ${err.message}`
+    );
+    return null;
+  }
+}
+
+/**
+ * USD price of a token at a past block, or null when Moralis cannot price
+ * it. A transient lookup failure also gives null but is not cached.
+ *
+ * @param {string} tokenAddress
+ * @param {object} chain - Entry from SUPPORTED_CHAINS
+ * @param {number} blockNumber
+ * @returns {number|null}
+ */
+async function getHistoricalPrice(tokenAddress, chain, blockNumber) {
+  try {
+    return await historicalPriceCache.get(
+      `${chain.id}:${tokenAddress.toLowerCase()}:${blockNumber}`,
+      () => loadHistoricalPrice(tokenAddress, chain, blockNumber)
+    );
+  } catch (err) {
+    console.warn(
+      `[history] Price lookup failed for ${tokenAddress} on ${chain.name} at block ${blockNumber}: ${err.message}`
+    );
+    return null;
+  }
+}
+
+/**
+ * Block closest to a timestamp on a chain.
+ *
+ * @param {number} chainId
+ * @param {number} timestampMs - Epoch milliseconds
+ * @returns {object} { blockNumber, timestamp (epoch seconds) }
+ */
+async function getBlockAtTimestamp(chainId, timestampMs) {
+  const chain = getChain(chainId);
+  if (!chain) throw new Error(`Chain ${chainId} not supported`);
+
+  return blockCache.get(`${chainId}:${timestampMs}`, () =>
+    getDataProvider().getBlockByDate(chain, new Date(timestampMs).toISOString())
+  );
+}
+
+// Native transfers are priced through the chain's wrapped native token
+function priceAddress(transfer, chainId) {
+  return transfer.nativeToken
+    ? getNativeToken(chainId)?.wrappedAddress || null
+    : transfer.tokenAddress;
+}
+
+/**
+ * Price every transfer at the block of its transaction. Each distinct
+ * (chain, token, block) is requested once.
+ *
+ * @param {Array<object>} transactions - From getWalletHistory
+ * @returns {Array<object>} Copies whose transfers carry usdPrice / usdValue (null when unpriced)
+ */
+async function priceTransactions(transactions) {
+  const requests = new Map();
+  for (const tx of transactions) {
+    for (const transfer of tx.transfers) {
+      const address = priceAddress(transfer, tx.chainId);
+      if (!address) continue;
+      const key = `${tx.chainId}:${address}:${tx.blockNumber}`;
+      if (!requests.has(key)) {
+        requests.set(key, { address, chain: getChain(tx.chainId), blockNumber: tx.blockNumber });
+      }
+    }
+  }
+
+  const keys = [...requests.keys()].filter((key) => requests.get(key).chain);
+  console.log(`[history] Pricing ${keys.length} historical token prices`);
+
+  const results = await batchedRequests(
+    keys.map((key) => () => {
+      const { address, chain, blockNumber } = requests.get(key);
+      return getHistoricalPrice(address, chain, blockNumber);
+    })
+  );
+
+  const prices = new Map();
+  results.forEach((result, i) => {
+    prices.set(keys[i], result.status === 'fulfilled' ? result.value : null);
+  });
+
+  return transactions.map((tx) => ({
+    ...tx,
+    transfers: tx.transfers.map((transfer) => {
+      const address = priceAddress(transfer, tx.chainId);
+      const usdPrice = prices.get(`${tx.chainId}:${address}:${tx.blockNumber}`) ?? null;
+      return {
+        ...transfer,
+        usdPrice,
+        usdValue: usdPrice !== null ? transfer.amount * usdPrice : null,
+      };
+    }),
+  }));
+}
+
+module.exports = {
+  getWalletHistory,
+  getHistoricalPrice,
+  getBlockAtTimestamp,
+  priceTransactions,
+};
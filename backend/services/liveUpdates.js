@@ -0,0 +1,273 @@
+const { buildPortfolio, holdingKey } = require('./portfolio');
+const { SUPPORTED_CHAINS } = require('./chains');
+const { getProvider } = require('./rpc');
+
+// ──────────────────────────────────────────────────────────────────────
+// Live portfolio updates
+//
+// Streams subscribe to wallet addresses; every address is refreshed by one
+// shared pipeline run no matter how many clients watch it. Subscribers
+// get the full portfolio once ('snapshot') and afterwards only what
+// changed ('update'): added / removed holdings, changed balances, prices
+// and values, and new totals.
+//
+// Refreshes run every STREAM_REFRESH_SECONDS. With STREAM_REFRESH_MODE
+// 'blocks' an address is skipped unless one of the chains it holds tokens
+// on (every chain while it holds nothing) produced a new block since its
+// last refresh (if none of those RPCs answer, it refreshes anyway).
+// The timer only runs while someone is subscribed. At most
+// STREAM_MAX_ADDRESSES distinct addresses are streamed at once, across
+// all connections.
+// ──────────────────────────────────────────────────────────────────────
+
+const STREAM_MODES = ['interval', 'blocks'];
+const DEFAULT_REFRESH_SECONDS = 30;
+const DEFAULT_MAX_ADDRESSES = 100;
+
+// Holding fields whose changes are pushed
+const TRACKED_FIELDS = ['balanceFormatted', 'usdPrice', 'usdValue'];
+
+// address → { address, subscribers: Set<send>, portfolio, seq, ready,
+//             blocks: { chainId → block number at the last refresh } }
+const streams = new Map();
+
+let refreshTimer = null;
+let refreshInProgress = false;
+
+function refreshSeconds() {
+  const seconds = parseFloat(process.env.STREAM_REFRESH_SECONDS);
+  return seconds > 0 ? seconds : DEFAULT_REFRESH_SECONDS;
+}
+
+function maxAddresses() {
+  const value = parseInt(process.env.STREAM_MAX_ADDRESSES, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_ADDRESSES;
+}
+
+function refreshMode() {
+  const mode = (process.env.STREAM_REFRESH_MODE || 'interval').toLowerCase();
+  return STREAM_MODES.includes(mode) ? mode : 'interval';
+}
+
+// Portfolio with a stable key on every holding, so clients can apply diffs
+function withKeys(portfolio) {
+  return { ...portfolio, tokens: portfolio.tokens.map((t) => ({ key: holdingKey(t), ...t })) };
+}
+
+/**
+ * What changed between two portfolios of the same wallet.
+ *
+ * @returns {object|null} { added, removed, changed, totals } or null when nothing changed
+ */
+function diffPortfolios(previous, next) {
+  const before = new Map(previous.tokens.map((t) => [holdingKey(t), t]));
+  const after = new Map(next.tokens.map((t) => [holdingKey(t), t]));
+
+  const added = [];
+  const changed = [];
+  for (const [key, token] of after) {
+    const old = before.get(key);
+    if (!old) {
+      added.push({ key, ...token });
+      continue;
+    }
+    const fields = TRACKED_FIELDS.filter((f) => old[f] !== token[f]);
+    if (fields.length > 0) {
+      changed.push({
+        key,
+        symbol: token.symbol,
+        chainId: token.chainId,
+        ...Object.fromEntries(fields.map((f) => [f, token[f]])),
+      });
+    }
+  }
+  const removed = [...before.entries()]
+    .filter(([key]) => !after.has(key))
+    .map(([key, t]) => ({ key, symbol: t.symbol, chainId: t.chainId }));
+
+  const totalsChanged =
+    previous.totalUsdValue !== next.totalUsdValue ||
+    JSON.stringify(previous.breakdown) !== JSON.stringify(next.breakdown);
+
+  if (added.length === 0 && removed.length === 0 && changed.length === 0 && !totalsChanged) return null;
+
+  return {
+    added,
+    removed,
+    changed,
+    totals: totalsChanged
+      ? { totalUsdValue: next.totalUsdValue, breakdown: next.breakdown, tokenCount: next.tokenCount }
+      : null,
+  };
+}
+
+function broadcast(stream, event, data) {
+  for (const send of stream.subscribers) send(event, data);
+}
+
+async function refreshStream(stream, options) {
+  let portfolio;
+  try {
+    portfolio = await buildPortfolio(stream.address, { ...options, costBasisMethod: 'none' });
+  } catch (err) {
+    console.error(`[stream] Refresh failed for ${stream.address}: ${err.message}`);
+    broadcast(stream, 'error', { address: stream.address, message: err.message });
+    return;
+  }
+  // Everyone may have left while the pipeline ran
+  if (streams.get(stream.address) !== stream) return;
+
+  const previous = stream.portfolio;
+  stream.portfolio = portfolio;
+  stream.seq += 1;
+
+  if (!previous) {
+    broadcast(stream, 'snapshot', { address: stream.address, seq: stream.seq, portfolio: withKeys(portfolio) });
+    return;
+  }
+  const diff = diffPortfolios(previous, portfolio);
+  if (diff) {
+    broadcast(stream, 'update', { address: stream.address, seq: stream.seq, timestamp: new Date().toISOString(), ...diff });
+  }
+}
+
+// Chains a stream's refreshes are gated on in blocks mode
+function watchedChains(stream) {
+  const held = new Set((stream.portfolio?.tokens || []).map((t) => t.chainId));
+  return held.size > 0 ? [...held] : SUPPORTED_CHAINS.map((c) => c.id);
+}
+
+// Latest block per chain; chains whose RPC did not answer are left out
+async function latestBlocks(chainIds) {
+  const results = await Promise.allSettled(chainIds.map((id) => getProvider(id).getBlockNumber()));
+  const blocks = {};
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') blocks[chainIds[i]] = result.value;
+  });
+  return blocks;
+}
+
+// True when a watched chain has a block newer than at the stream's last refresh
+function hasNewBlocks(stream, blocks) {
+  const answered = watchedChains(stream).filter((id) => blocks[id] !== undefined);
+  if (answered.length === 0) return true;
+  return answered.some((id) => stream.blocks[id] === undefined || blocks[id] > stream.blocks[id]);
+}
+
+// Refresh every subscribed address once. Sequential to stay inside Moralis rate limits.
+async function refreshAll() {
+  if (refreshInProgress) {
+    console.warn('[stream] Previous refresh still running — skipping');
+    return;
+  }
+
+  refreshInProgress = true;
+  try {
+    let blocks = null;
+    if (refreshMode() === 'blocks') {
+      blocks = await latestBlocks([...new Set([...streams.values()].flatMap(watchedChains))]);
+    }
+    for (const stream of [...streams.values()]) {
+      // Wait for the initial load before diffing against it
+      await stream.ready;
+      if (blocks && !hasNewBlocks(stream, blocks)) continue;
+
+      const seq = stream.seq;
+      await refreshStream(stream, { fresh: true });
+      // Only a successful refresh has seen these blocks
+      if (blocks && stream.seq > seq) {
+        for (const id of watchedChains(stream)) {
+          if (blocks[id] !== undefined) stream.blocks[id] = blocks[id];
+        }
+      }
+    }
+  } finally {
+    refreshInProgress = false;
+  }
+}
+
+function startRefreshTimer() {
+  if (refreshTimer) return;
+  const seconds = refreshSeconds();
+  refreshTimer = setInterval(() => {
+    refreshAll().catch((err) => console.error('[stream] Refresh failed:', err.message));
+  }, seconds * 1000);
+  console.log(`[stream] Refreshing subscribed addresses every ${seconds}s (${refreshMode()} mode)`);
+}
+
+function stopRefreshTimer() {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    console.log('[stream] No subscribers — refresh stopped');
+  }
+}
+
+/**
+ * Whether subscribing to `addresses` would stream more distinct addresses
+ * than STREAM_MAX_ADDRESSES. Addresses already streamed do not count.
+ *
+ * @param {Array<string>} addresses - Lowercased 0x wallet addresses
+ * @returns {boolean}
+ */
+function exceedsStreamLimit(addresses) {
+  const added = addresses.filter((a) => !streams.has(a)).length;
+  return streams.size + added > maxAddresses();
+}
+
+/**
+ * Subscribe to live updates for wallet addresses. `send(event, data)` is
+ * called with 'snapshot' (full portfolio, once per address), 'update'
+ * (diffs) and 'error' events.
+ *
+ * @param {Array<string>} addresses - Lowercased 0x wallet addresses
+ * @param {function} send - (event, data) => void
+ * @returns {function} Unsubscribe
+ * @throws if the addresses would exceed STREAM_MAX_ADDRESSES (see exceedsStreamLimit)
+ */
+function subscribe(addresses, send) {
+  if (exceedsStreamLimit(addresses)) {
+    throw new Error(`Streaming is limited to ${maxAddresses()} addresses`);
+  }
+  for (const address of addresses) {
+    let stream = streams.get(address);
+    if (!stream) {
+      stream = { address, subscribers: new Set(), portfolio: null, seq: 0, ready: null, blocks: {} };
+      streams.set(address, stream);
+      // The first load may be served from the balances cache
+      stream.ready = refreshStream(stream, {});
+    } else if (stream.portfolio) {
+      send('snapshot', { address, seq: stream.seq, portfolio: withKeys(stream.portfolio) });
+    }
+    stream.subscribers.add(send);
+  }
+  startRefreshTimer();
+  console.log(`[stream] Subscribed to ${addresses.join(', ')} (${streams.size} addresses streamed)`);
+
+  return () => {
+    for (const address of addresses) {
+      const stream = streams.get(address);
+      if (!stream) continue;
+      stream.subscribers.delete(send);
+      if (stream.subscribers.size === 0) streams.delete(address);
+    }
+    if (streams.size === 0) stopRefreshTimer();
+  };
+}
+
+function getStreamStats() {
+  return {
+    addresses: streams.size,
+    subscriptions: [...streams.values()].reduce((sum, s) => sum + s.subscribers.size, 0),
+    maxAddresses: maxAddresses(),
+    mode: refreshMode(),
+    refreshSeconds: refreshSeconds(),
+  };
+}
+
+module.exports = {
+  diffPortfolios,
+  exceedsStreamLimit,
+  subscribe,
+  getStreamStats,
+};
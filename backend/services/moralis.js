@@ -1,50 +1,15 @@
-const Moralis = require('moralis').default;
-const { EvmChain } = require('@moralisweb3/common-evm-utils');
-
-// Chains supported by the tracker (Ethereum + Base per CLAUDE.md)
-const SUPPORTED_CHAINS = [
-  { id: 1, name: 'Ethereum', moralisChain: EvmChain.ETHEREUM, chainParam: 'eth' },
-  { id: 8453, name: 'Base', moralisChain: EvmChain.BASE, chainParam: 'base' },
-];
+const { getDataProvider } = require('./providers');
+const { SUPPORTED_CHAINS, getNativeToken } = require('./chains');
+const { getOnchainChainBalances } = require('./onchainBalances');
+const { createCache } = require('./cache');
 
 const DUST_THRESHOLD_USD = 1.0;
 
-// Known associations between DeFi protocols (as reported by Moralis getDefiPositionsSummary)
-// and the liquid staking / receipt token addresses held in wallets.
-// When Moralis detects a protocol but returns no token details, we cross-reference
-// wallet tokens using this map to attribute value to the DeFi position.
-const DEFI_PROTOCOL_TOKENS = {
-  'EtherFi': {
-    1: [
-      '0xcd5fe23c85820f7b72d0926fc9b05b43e359b7ee', // weETH
-    ],
-  },
-  'Rocket Pool': {
-    1: [
-      '0xae78736cd615f374d3085123a210448e74fc6393', // rETH
-    ],
-  },
-  'Lido': {
-    1: [
-      '0x7f39c581f595b53c5cb19bd0b3f8da6c935e2ca0', // wstETH
-    ],
-  },
-};
-
-let moralisInitialized = false;
-
-async function initMoralis() {
-  if (moralisInitialized) return;
-
-  const apiKey = process.env.MORALIS_API_KEY;
-  if (!apiKey) {
-    throw new Error('MORALIS_API_KEY environment variable is required');
-  }
-
-  await Moralis.start({ apiKey });
-  moralisInitialized = true;
-  console.log('[moralis] SDK initialized');
-}
+// Shared caches — loading /api/balances and /api/defi-positions for the same
+// wallet reuses one fetch, and basket underlyings are priced once per TTL
+const balancesCache = createCache('balances', 60);
+const defiPositionsCache = createCache('defi', 120);
+const priceCache = createCache('prices', 60);
 
 // Rate-limit-aware delay helper
 async function delay(ms) {
@@ -66,40 +31,48 @@ async function batchedRequests(queries, batchSize = 20, delayMs = 1100) {
   return results;
 }
 
-// Fetch token balances for a single chain via Moralis SDK
+// Fetch token balances for a single chain via the active data provider
 async function getChainTokenBalances(walletAddress, chain) {
-  await initMoralis();
+  const tokens = await getDataProvider().getWalletTokenBalances(walletAddress, chain);
+  return tokens.map((token) => ({ ...token, balanceSource: 'moralis' }));
+}
 
-  const response = await Moralis.EvmApi.wallets.getWalletTokenBalancesPrice({
-    address: walletAddress,
-    chain: chain.moralisChain,
-  });
+// On-chain fallback is on unless explicitly disabled
+function isOnchainFallbackEnabled() {
+  return process.env.ONCHAIN_BALANCE_FALLBACK !== 'false';
+}
+
+// Read a chain's balances over JSON-RPC when Moralis failed for it, then
+// price them via Moralis getTokenPrice (native balances via the wrapped
+// native token). Tokens that stay unpriced are left for NAV pricing.
+async function getFallbackChainBalances(walletAddress, chain, options) {
+  const tokens = await getOnchainChainBalances(walletAddress, chain);
+  const wrappedNative = getNativeToken(chain.id)?.wrappedAddress;
+
+  const priceAddress = (token) =>
+    token.nativeToken ? wrappedNative : token.tokenAddress;
+
+  const prices = await getTokenPricesBatched(
+    tokens
+      .filter((token) => priceAddress(token))
+      .map((token) => ({ tokenAddress: priceAddress(token), chain })),
+    options
+  );
 
-  const tokens = response.result.map((token) => ({
-    chain: chain.name,
-    chainId: chain.id,
-    tokenAddress: token.tokenAddress?.lowercase || null,
-    symbol: token.symbol,
-    name: token.name,
-    decimals: token.decimals,
-    balance: token.balance?.toString() || '0',
-    balanceFormatted: parseFloat(token.balanceFormatted) || 0,
-    usdPrice: token.usdPrice || null,
-    usdValue: token.usdValue || null,
-    logo: token.logo || null,
-    thumbnail: token.thumbnail || null,
-    priceSource: token.usdPrice ? 'market' : null,
-    nativeToken: token.nativeToken || false,
-    portfolioPercentage: token.portfolioPercentage || 0,
-  }));
-
-  return tokens;
+  return tokens.map((token) => {
+    const usdPrice = prices[`${chain.id}:${priceAddress(token)}`]?.usdPrice || null;
+    if (!usdPrice) return token;
+    return {
+      ...token,
+      usdPrice,
+      usdValue: token.balanceFormatted * usdPrice,
+      priceSource: 'market',
+    };
+  });
 }
 
 // Fetch balances across all supported chains using Promise.allSettled
-async function getMultiChainBalances(walletAddress) {
-  await initMoralis();
-
+async function loadMultiChainBalances(walletAddress, options) {
   const results = await Promise.allSettled(
     SUPPORTED_CHAINS.map((chain) => getChainTokenBalances(walletAddress, chain))
   );
@@ -107,20 +80,41 @@ async function getMultiChainBalances(walletAddress) {
   const allTokens = [];
   const errors = [];
 
-  results.forEach((result, index) => {
+  for (const [index, result] of results.entries()) {
+    const chain = SUPPORTED_CHAINS[index];
+
     if (result.status === 'fulfilled') {
       allTokens.push(...result.value);
-    } else {
-      errors.push({
-        chain: SUPPORTED_CHAINS[index].name,
-        error: result.reason?.message || 'Unknown error',
-      });
+      continue;
+    }
+
+    const error = {
+      chain: chain.name,
+      error: result.reason?.message || 'Unknown error',
+    };
+    errors.push(error);
+    console.error(
+      `[moralis] Failed to fetch balances for ${chain.name}:`,
+      result.reason?.message
+    );
+
+    if (!isOnchainFallbackEnabled()) continue;
+
+    try {
+      const fallbackTokens = await getFallbackChainBalances(walletAddress, chain, options);
+      allTokens.push(...fallbackTokens);
+      error.fallback = 'onchain';
+      console.log(
+        `[moralis] ${chain.name}: filled ${fallbackTokens.length} balances from on-chain fallback`
+      );
+    } catch (err) {
+      error.fallbackError = err.message;
       console.error(
-        `[moralis] Failed to fetch balances for ${SUPPORTED_CHAINS[index].name}:`,
-        result.reason?.message
+        `[moralis] On-chain fallback failed for ${chain.name}:`,
+        err.message
       );
     }
-  });
+  }
 
   // Filter out dust (< $1 USD) — keep tokens with null price for NAV pricing later
   const filtered = allTokens.filter(
@@ -130,22 +124,36 @@ async function getMultiChainBalances(walletAddress) {
   return { tokens: filtered, errors };
 }
 
-// Fetch current price for a single token
-async function getTokenPrice(tokenAddress, chain) {
-  await initMoralis();
+/**
+ * Multi-chain wallet balances, cached per wallet. Results with chain errors
+ * are not cached so a transient Moralis failure is retried on the next call.
+ *
+ * @param {string} walletAddress - The 0x wallet address
+ * @param {object} options - { fresh: true } bypasses the cache
+ * @returns {object} { tokens: Array, errors: Array }
+ */
+async function getMultiChainBalances(walletAddress, options = {}) {
+  return balancesCache.get(
+    walletAddress.toLowerCase(),
+    () => loadMultiChainBalances(walletAddress, options),
+    { fresh: options.fresh, shouldCache: (result) => result.errors.length === 0 }
+  );
+}
 
-  try {
-    const response = await Moralis.EvmApi.token.getTokenPrice({
-      address: tokenAddress,
-      chain: chain.moralisChain,
-    });
+// Moralis answers 4xx when it has no price for a token; rate limits, 5xx
+// and network errors (no HTTP status) are worth retrying
+function isTransientError(err) {
+  const status = err.details?.status;
+  return !status || status === 429 || status >= 500;
+}
 
-    return {
-      usdPrice: response.result.usdPrice,
-      exchangeName: response.result.exchangeName,
-      exchangeAddress: response.result.exchangeAddress,
-    };
+// Fetch current price for a single token
+async function loadTokenPrice(tokenAddress, chain) {
+  try {
+    return await getDataProvider().getTokenPrice(tokenAddress, chain);
   } catch (err) {
+    // Thrown out of the cache loader so the failure is not cached
+    if (isTransientError(err)) throw err;
     // Token may not have a liquidity pool — return null, do NOT mock
     console.warn(
       `[moralis] No price for ${tokenAddress} on ${chain.name}: ${err.message}`
@@ -154,13 +162,24 @@ async function getTokenPrice(tokenAddress, chain) {
   }
 }
 
+// Current price for a single token, cached per chain + address. "No price"
+// (null) is cached too — unpriceable basket underlyings are asked once per TTL.
+// Transient failures reject and are retried on the next call.
+async function getTokenPrice(tokenAddress, chain, options = {}) {
+  return priceCache.get(
+    `${chain.id}:${tokenAddress.toLowerCase()}`,
+    () => loadTokenPrice(tokenAddress, chain),
+    { fresh: options.fresh }
+  );
+}
+
 // Fetch prices for multiple tokens, batched to respect rate limits
-async function getTokenPricesBatched(tokenRequests) {
+async function getTokenPricesBatched(tokenRequests, options = {}) {
   // tokenRequests: [{ tokenAddress, chain }]
   const priceFns = tokenRequests.map(
     ({ tokenAddress, chain }) =>
       () =>
-        getTokenPrice(tokenAddress, chain).then((price) => ({
+        getTokenPrice(tokenAddress, chain, options).then((price) => ({
           tokenAddress,
           chainId: chain.id,
           ...price,
@@ -180,103 +199,14 @@ async function getTokenPricesBatched(tokenRequests) {
   return prices;
 }
 
-/**
- * Fetch DeFi positions (staked, deposited, LP positions) for a wallet.
- * Uses Moralis Wallet API getDefiPositionsSummary endpoint.
- *
- * @param {string} walletAddress - The 0x wallet address
- * @returns {object} { positions: Array, errors: Array }
- */
-async function fetchDefiPositions(walletAddress) {
-  await initMoralis();
-
+async function loadDefiPositions(walletAddress, options) {
   const positions = [];
   const errors = [];
 
   for (const chain of SUPPORTED_CHAINS) {
     try {
-      const response = await Moralis.EvmApi.wallets.getDefiPositionsSummary({
-        address: walletAddress,
-        chain: chain.moralisChain,
-      });
-
-      const raw = response.result || [];
-
-      for (const pos of raw) {
-        // Moralis nests token data under pos.position (an inner object with label, tokens, balanceUsd).
-        // The outer object has protocolName, protocolLogo, etc.
-        const positionData = pos.position || {};
-        const tokenList = positionData.tokens || pos.tokens || [];
-
-        const mappedTokens = tokenList.map((t) => {
-          const balance = parseFloat(
-            t.balanceFormatted || t.balance_formatted || t.balance || 0
-          );
-          const price = t.usdPrice ?? t.usd_price ?? null;
-          const valueUsd = t.usdValue ?? t.usd_value ?? null;
-          const computedValue =
-            valueUsd !== null
-              ? valueUsd
-              : price !== null && balance > 0
-                ? balance * price
-                : null;
-
-          return {
-            symbol: t.symbol,
-            name: t.name,
-            balance,
-            price,
-            valueUsd: computedValue,
-            tokenAddress: t.tokenAddress || t.address || t.token_address || null,
-            decimals: t.decimals ? Number(t.decimals) : 18,
-          };
-        });
-
-        const totalFromTokens = mappedTokens.reduce(
-          (sum, t) => sum + (t.valueUsd || 0),
-          0
-        );
-        const totalValueUsd =
-          positionData.balanceUsd ||
-          positionData.balance_usd ||
-          pos.totalUsdValue ||
-          pos.usdValue ||
-          totalFromTokens ||
-          0;
-
-        positions.push({
-          chain: chain.name,
-          chainId: chain.id,
-          protocol: pos.protocolName || pos.protocol?.name || 'Unknown',
-          protocolLogo: pos.protocolLogo || pos.protocol?.logo || null,
-          positionType: positionData.label || pos.positionType || pos.type || 'deposit',
-          tokens: mappedTokens,
-          totalValueUsd,
-        });
-      }
-
-      console.log(`[moralis] ${chain.name}: fetched ${raw.length} DeFi positions`);
-      if (raw.length > 0) {
-        // Log structure of first position for debugging
-        const first = raw[0];
-        console.log(
-          `[moralis]   First position keys: ${Object.keys(first).join(', ')}`
-        );
-        if (first.position) {
-          console.log(
-            `[moralis]   position.position keys: ${Object.keys(first.position).join(', ')}`
-          );
-          const innerTokens = first.position.tokens || [];
-          console.log(
-            `[moralis]   position.position.tokens count: ${innerTokens.length}`
-          );
-          if (innerTokens.length > 0) {
-            console.log(
-              `[moralis]   First token keys: ${Object.keys(innerTokens[0]).join(', ')}`
-            );
-          }
-        }
-      }
+      const chainPositions = await getDataProvider().getDefiPositions(walletAddress, chain);
+      positions.push(...chainPositions);
     } catch (err) {
       const errorMsg = err?.message || String(err);
       errors.push({ chain: chain.name, error: errorMsg });
@@ -304,7 +234,7 @@ async function fetchDefiPositions(walletAddress) {
     const priceFns = unpricedTokens.map(
       ({ token, chain: chainConfig }) =>
         () =>
-          getTokenPrice(token.tokenAddress, chainConfig).then((price) => ({
+          getTokenPrice(token.tokenAddress, chainConfig, options).then((price) => ({
             tokenAddress: token.tokenAddress,
             price,
           }))
@@ -339,15 +269,31 @@ async function fetchDefiPositions(walletAddress) {
   return { positions, errors };
 }
 
+/**
+ * Fetch DeFi positions (staked, deposited, LP positions) for a wallet.
+ * Uses Moralis Wallet API getDefiPositionsSummary endpoint (via the data provider).
+ * Cached per wallet; results with chain errors are not cached.
+ *
+ * @param {string} walletAddress - The 0x wallet address
+ * @param {object} options - { fresh: true } bypasses the cache
+ * @returns {object} { positions: Array, errors: Array }
+ */
+async function fetchDefiPositions(walletAddress, options = {}) {
+  return defiPositionsCache.get(
+    walletAddress.toLowerCase(),
+    () => loadDefiPositions(walletAddress, options),
+    { fresh: options.fresh, shouldCache: (result) => result.errors.length === 0 }
+  );
+}
+
 module.exports = {
-  initMoralis,
   SUPPORTED_CHAINS,
   DUST_THRESHOLD_USD,
-  DEFI_PROTOCOL_TOKENS,
   getMultiChainBalances,
   fetchDefiPositions,
   getTokenPrice,
   getTokenPricesBatched,
   batchedRequests,
+  isTransientError,
   delay,
 };
@@ -0,0 +1,160 @@
+const { calculateRTokenNAV, KNOWN_DTFS } = require('./navPricing');
+const { computeSeriesMetrics, DEFAULT_RISK_FREE_RATE } = require('./performance');
+
+// ──────────────────────────────────────────────────────────────────────
+// DTF NAV history
+//
+// Daily NAV series for one DTF: NAV is computed at the block closest to
+// 00:00 UTC of each day, with underlyings priced at that block, and the
+// same return/risk math as wallet performance runs over the series.
+// ──────────────────────────────────────────────────────────────────────
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const MAX_NAV_HISTORY_DAYS = 366;
+
+// No DTF (or Ethereum) existed before this — from/to earlier are rejected
+const EARLIEST_NAV_HISTORY_MS = Date.UTC(2015, 0, 1);
+
+function startOfUtcDay(ms) {
+  return Math.floor(ms / DAY_MS) * DAY_MS;
+}
+
+// First and last day (00:00 UTC) of a from/to range
+function rangeBounds(from, to) {
+  const end = startOfUtcDay(to ?? Date.now());
+  const start = startOfUtcDay(from ?? end - (DEFAULT_DAYS - 1) * DAY_MS);
+  return { start, end };
+}
+
+/**
+ * Whether a from/to timestamp is inside the window NAV history can cover:
+ * between EARLIEST_NAV_HISTORY_MS and now.
+ *
+ * @param {number} ms - Epoch ms
+ * @returns {boolean}
+ */
+function isNavHistoryTimestamp(ms) {
+  return ms >= EARLIEST_NAV_HISTORY_MS && ms <= Date.now();
+}
+
+/**
+ * Number of days a from/to range covers (0 when `from` is after `to`).
+ * Defaults to the last DEFAULT_DAYS days. Computed without building the
+ * day list, so it is safe on unchecked input.
+ *
+ * @param {number|null} from - Epoch ms
+ * @param {number|null} to - Epoch ms
+ * @returns {number}
+ */
+function navHistoryDayCount(from = null, to = null) {
+  const { start, end } = rangeBounds(from, to);
+  return end < start ? 0 : (end - start) / DAY_MS + 1;
+}
+
+// Days (00:00 UTC, epoch ms) covered by a from/to range — check the range
+// with navHistoryDayCount first
+function navHistoryDays(from, to) {
+  const { start, end } = rangeBounds(from, to);
+  const days = [];
+  for (let day = start; day <= end; day += DAY_MS) days.push(day);
+  return days;
+}
+
+/**
+ * Daily NAV series and performance metrics for one DTF.
+ *
+ * @param {number} chainId
+ * @param {string} address - DTF (RToken) address
+ * @param {object} options - { from, to (epoch ms), riskFreeRate, fresh }
+ * @returns {object} { chainId, address, symbol, metrics, periodReturns, series, ... }
+ */
+async function getNavHistory(
+  chainId,
+  address,
+  { from = null, to = null, riskFreeRate = DEFAULT_RISK_FREE_RATE, fresh = false } = {}
+) {
+  const rTokenAddress = address.toLowerCase();
+  if ([from, to].some((ms) => ms !== null && !isNavHistoryTimestamp(ms))) {
+    throw new Error('from/to must be between 2015-01-01 and now');
+  }
+  const dayCount = navHistoryDayCount(from, to);
+  if (dayCount > MAX_NAV_HISTORY_DAYS) {
+    throw new Error(`Range covers ${dayCount} days — maximum is ${MAX_NAV_HISTORY_DAYS}`);
+  }
+  const days = navHistoryDays(from, to);
+
+  console.log(`[navHistory] ${rTokenAddress} on chain ${chainId}: computing ${days.length} daily NAVs`);
+
+  // One day at a time: each day already fans out a batch of historical
+  // price lookups (one per underlying), so days run in parallel would
+  // multiply that past the Moralis rate limit
+  const results = [];
+  for (const timestamp of days) {
+    try {
+      const nav = await calculateRTokenNAV(rTokenAddress, chainId, { timestamp, fresh });
+      results.push({ status: 'fulfilled', value: nav });
+    } catch (err) {
+      results.push({ status: 'rejected', reason: err });
+    }
+  }
+
+  const series = days.map((timestamp, i) => {
+    const date = new Date(timestamp).toISOString().slice(0, 10);
+    const result = results[i];
+    const nav = result.status === 'fulfilled' ? result.value : null;
+    if (!nav) {
+      return {
+        date,
+        timestamp,
+        navPerToken: null,
+        error: result.status === 'rejected' ? result.reason?.message : 'NAV unavailable',
+      };
+    }
+    return {
+      date,
+      timestamp,
+      blockNumber: nav.blockNumber,
+      navPerToken: nav.navPerToken,
+      allUnderlyingPriced: nav.allUnderlyingPriced,
+      basketStatus: nav.basketStatus,
+    };
+  });
+
+  const valued = series
+    .filter((p) => p.navPerToken !== null)
+    .map((p) => ({ date: p.date, timestamp: p.timestamp, value: p.navPerToken }));
+  const { metrics, periodReturns, warnings } = computeSeriesMetrics(valued, riskFreeRate, 'NAV points');
+
+  const missing = series.length - valued.length;
+  if (missing > 0) {
+    warnings.push(`${missing} of ${series.length} days have no NAV (see series[].error)`);
+  }
+  const partial = series.filter((p) => p.allUnderlyingPriced === false).length;
+  if (partial > 0) {
+    warnings.push(`${partial} days have unpriced underlyings — NAV on those days is understated`);
+  }
+
+  const dtf = (KNOWN_DTFS[chainId] || []).find((d) => d.address.toLowerCase() === rTokenAddress);
+
+  return {
+    chainId,
+    address: rTokenAddress,
+    symbol: dtf?.symbol ?? null,
+    from: series[0]?.date ?? null,
+    to: series[series.length - 1]?.date ?? null,
+    dataPoints: valued.length,
+    riskFreeRate,
+    metrics,
+    periodReturns,
+    series: series.map(({ timestamp, ...point }) => point),
+    warnings: warnings.length > 0 ? warnings : undefined,
+  };
+}
+
+module.exports = {
+  MAX_NAV_HISTORY_DAYS,
+  isNavHistoryTimestamp,
+  navHistoryDayCount,
+  getNavHistory,
+};
@@ -1,5 +1,10 @@
 const { ethers } = require('ethers');
-const { getTokenPrice, SUPPORTED_CHAINS, delay } = require('./moralis');
+const { getTokenPricesBatched, batchedRequests } = require('./moralis');
+const { getHistoricalPrice, getBlockAtTimestamp } = require('./history');
+const { SUPPORTED_CHAINS, getChain } = require('./chains');
+const { multicall } = require('./rpc');
+const { createCache } = require('./cache');
+const { resolveUnderlyingPrices } = require('./underlyingResolver');
 
 // ──────────────────────────────────────────────────────────────────────
 // Reserve Protocol DTF NAV Pricing
@@ -13,18 +18,44 @@ const { getTokenPrice, SUPPORTED_CHAINS, delay } = require('./moralis');
 //   which returns (address[] erc20s, uint256[] quantities) for 1 unit
 //
 // We then price each underlying via Moralis and sum for the NAV.
+// Underlyings Moralis cannot price (vault shares, wstETH, aTokens, …) are
+// unwrapped on-chain to a priceable asset (services/underlyingResolver.js).
+// Contract reads are batched through Multicall3 and all underlyings are
+// priced in one batch, so pricing several DTFs costs a few round-trips.
+//
+// Historical NAV: the same reads run at a past block (blockTag, or the
+// block closest to a timestamp) and underlyings are priced at that block.
+//
+// Two kinds of Reserve DTF share one registry (KNOWN_DTFS) and detection
+// is automatic:
+//   yield  Yield DTFs (RTokens): RToken.main() → BasketHandler.quote()
+//   index  Index DTFs (Folios):  Folio.toAssets(1 share) — the token holds
+//          its basket directly, so one call returns the assets per share
 // ──────────────────────────────────────────────────────────────────────
 
-// Minimal ABIs — only the functions we actually call
+// Minimal ABIs — only the functions we actually call. The health report
+// (services/dtfHealth.js) reads the throttle, staking and registry parts.
 const RTOKEN_ABI = [
   'function main() external view returns (address)',
   'function totalSupply() external view returns (uint256)',
   'function decimals() external view returns (uint8)',
+  'function symbol() external view returns (string)',
+  'function basketsNeeded() external view returns (uint192)',
+  'function issuanceAvailable() external view returns (uint256)',
+  'function redemptionAvailable() external view returns (uint256)',
+  'function issuanceThrottleParams() external view returns (uint256 amtRate, uint192 pctRate)',
+  'function redemptionThrottleParams() external view returns (uint256 amtRate, uint192 pctRate)',
 ];
 
 const MAIN_ABI = [
   'function basketHandler() external view returns (address)',
   'function assetRegistry() external view returns (address)',
+  'function backingManager() external view returns (address)',
+  'function rsr() external view returns (address)',
+  'function stRSR() external view returns (address)',
+  'function frozen() external view returns (bool)',
+  'function tradingPaused() external view returns (bool)',
+  'function issuancePaused() external view returns (bool)',
 ];
 
 const BASKET_HANDLER_ABI = [
@@ -33,144 +64,340 @@ const BASKET_HANDLER_ABI = [
   'function quote(uint192 amount, uint8 rounding) external view returns (address[] memory, uint256[] memory)',
   'function status() external view returns (uint8)',
   'function nonce() external view returns (uint48)',
+  'function fullyCollateralized() external view returns (bool)',
+  'event BasketSet(uint256 indexed nonce, address[] erc20s, uint192[] refAmts, bool disabled)',
+  'event BasketStatusChanged(uint8 oldStatus, uint8 newStatus)',
+];
+
+// Index DTF (Folio) — toAssets(shares, rounding) returns the basket held per
+// `shares`; Math.Rounding: 0 = Floor, 1 = Ceil
+const FOLIO_ABI = [
+  'function toAssets(uint256 shares, uint8 rounding) external view returns (address[] memory, uint256[] memory)',
+  'function totalAssets() external view returns (address[] memory, uint256[] memory)',
+  'function decimals() external view returns (uint8)',
+];
+
+const ASSET_REGISTRY_ABI = [
+  'function erc20s() external view returns (address[])',
+  'function toAsset(address erc20) external view returns (address)',
+];
+
+// Asset / Collateral plugins — status() and whenDefault() exist on collateral only
+const ASSET_ABI = [
+  'function isCollateral() external view returns (bool)',
+  'function status() external view returns (uint8)',
+  'function whenDefault() external view returns (uint256)',
+];
+
+const STRSR_ABI = [
+  // {qRSR/qStRSR} as a D18 fixed-point number — RSR redeemable per stRSR
+  'function exchangeRate() external view returns (uint192)',
+  'function totalSupply() external view returns (uint256)',
 ];
 
 const ERC20_ABI = [
+  'function balanceOf(address owner) external view returns (uint256)',
   'function symbol() external view returns (string)',
   'function name() external view returns (string)',
   'function decimals() external view returns (uint8)',
 ];
 
-// Known DTF tokens — add new ones here as needed.
-// These are the Reserve Protocol RTokens that need NAV pricing.
+// Known DTF tokens, per chain — seeded from the `dtfs` list of each enabled
+// chain in the registry (config/chains.json), extended via registerDtf().
+// These are the Reserve Protocol DTFs (Yield or Index) that need NAV pricing.
 // Addresses must be checksummed or lowercase.
-const KNOWN_DTFS = {
-  // Ethereum mainnet
-  1: [
-    { symbol: 'ixEdel', address: '0xe4a10951f962e6cb93cb843a4ef05d2f99db1f94' },
-    { symbol: 'ixETH', address: '0x60105cbd0499199ca84f63ee9198b2a2d5441699' },
-  ],
-  // Base
-  8453: [
-    // Base-deployed DTFs
-  ],
-};
+const KNOWN_DTFS = Object.fromEntries(
+  SUPPORTED_CHAINS.map((chain) => [chain.id, chain.dtfs.map((dtf) => ({ ...dtf }))])
+);
+
+// NAV results per RToken — underlying prices are cached separately.
+// NAV at a past block never changes, so historical results live longer —
+// unless an underlying was unpriced, which may have been a provider hiccup.
+const navCache = createCache('nav', 300);
+const historicalNavCache = createCache('nav_history', 86400);
 
 // FIX_ONE in Reserve Protocol = 1e18 (UFixed192 representation of 1.0)
 const FIX_ONE = ethers.parseUnits('1', 18);
 
-function getProvider(chainId) {
-  // Use public RPCs; users should set their own for production
-  const rpcUrls = {
-    1: process.env.ETH_RPC_URL || 'https://eth.llamarpc.com',
-    8453: process.env.BASE_RPC_URL || 'https://mainnet.base.org',
-  };
+// Basket composition per RToken, keyed on `${chainId}:${address}`.
+// The composition (underlying ERC-20s, quote() quantities and token metadata)
+// only changes when governance sets a new basket, which bumps the
+// BasketHandler nonce — so it is reused while the nonce is unchanged.
+const basketCache = new Map();
+
+// ERC-20 metadata never changes — read each underlying's decimals/symbol once
+const tokenMetadataCache = new Map();
+
+// Detected DTF type per `${chainId}:${address}` → { type: 'index', decimals }.
+// Index DTF baskets move with every auction and fee accrual, so only the
+// type is remembered and toAssets() is re-read each time.
+const dtfTypeCache = new Map();
+
+// quote() quantities also drift slowly as yield-bearing collateral accrues
+// (refPerTok grows), so even an unchanged basket is re-quoted after this age.
+function getBasketMaxAgeMs() {
+  const seconds = parseFloat(process.env.NAV_BASKET_MAX_AGE_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 3600) * 1000;
+}
 
-  const url = rpcUrls[chainId];
-  if (!url) throw new Error(`No RPC URL configured for chain ${chainId}`);
+const rTokenInterface = new ethers.Interface(RTOKEN_ABI);
+const mainInterface = new ethers.Interface(MAIN_ABI);
+const basketHandlerInterface = new ethers.Interface(BASKET_HANDLER_ABI);
+const folioInterface = new ethers.Interface(FOLIO_ABI);
+const erc20Interface = new ethers.Interface(ERC20_ABI);
 
-  return new ethers.JsonRpcProvider(url);
+function basketKey(chainId, address) {
+  return `${chainId}:${address.toLowerCase()}`;
 }
 
-function getChainConfig(chainId) {
-  return SUPPORTED_CHAINS.find((c) => c.id === chainId);
+// Result key for a NAV request — latest state, or state at a block
+function navKey(chainId, address, blockTag = null) {
+  return blockTag === null ? basketKey(chainId, address) : `${basketKey(chainId, address)}@${blockTag}`;
 }
 
-// Core function: Calculate NAV for a single RToken by reading the basket on-chain
-async function calculateRTokenNAV(rTokenAddress, chainId) {
-  const provider = getProvider(chainId);
-  const chain = getChainConfig(chainId);
-  if (!chain) throw new Error(`Chain ${chainId} not supported`);
+/**
+ * Read basket compositions for several DTFs on one chain, batching every
+ * contract read through Multicall3. Each phase is a single round-trip for
+ * all DTFs together:
+ *   1. cached basket:   BasketHandler nonce() + status()
+ *      known Index DTF: Folio toAssets(1 share)
+ *      unknown DTF:     decimals() + RToken main() + Folio toAssets(1 share)
+ *                       — main() succeeding means a Yield DTF, toAssets()
+ *                       an Index DTF (whose basket is then complete)
+ *   2. Main.basketHandler()                  (uncached only)
+ *   3. nonce() + status() + quote()          (uncached or nonce changed)
+ *   4. decimals() + symbol() per underlying  (metadata not seen before)
+ * With a warm cache and unchanged baskets only phase 1 runs.
+ *
+ * With a blockTag every read runs at that block and the basket cache is
+ * neither used nor updated.
+ *
+ * @returns {object} address → composition | Error
+ */
+async function readBasketCompositions(chainId, rTokenAddresses, blockTag = null) {
+  const maxAgeMs = getBasketMaxAgeMs();
+  const historical = blockTag !== null;
+  const callOptions = historical ? { blockTag } : {};
+  const results = {};
+
+  const states = rTokenAddresses.map((address) => {
+    const cached = historical ? null : basketCache.get(basketKey(chainId, address));
+    return {
+      address,
+      cached: cached && Date.now() - cached.fetchedAt < maxAgeMs ? cached : null,
+    };
+  });
 
-  console.log(
-    `[nav] Calculating NAV for RToken ${rTokenAddress} on chain ${chainId}`
+  // ── Phase 1 ──
+  const toAssetsCall = (s) => ({
+    target: s.address,
+    iface: folioInterface,
+    method: 'toAssets',
+    args: [FIX_ONE, 0],
+  });
+  const phase1Calls = states.map((s) => {
+    s.knownIndex = historical ? null : dtfTypeCache.get(basketKey(chainId, s.address)) || null;
+    if (s.cached) {
+      return [
+        { target: s.cached.basketHandlerAddress, iface: basketHandlerInterface, method: 'nonce' },
+        { target: s.cached.basketHandlerAddress, iface: basketHandlerInterface, method: 'status' },
+      ];
+    }
+    if (s.knownIndex) return [toAssetsCall(s)];
+    return [
+      { target: s.address, iface: rTokenInterface, method: 'decimals' },
+      { target: s.address, iface: rTokenInterface, method: 'main' },
+      toAssetsCall(s),
+    ];
+  });
+  const phase1Results = await multicall(chainId, phase1Calls.flat(), callOptions);
+
+  // Index DTF compositions are complete after phase 1 and join the quoted
+  // set for metadata (phase 4)
+  const quoted = [];
+  const setIndexBasket = (s, decimals, toAssets) => {
+    const [assets, amounts] = toAssets.value;
+    s.type = 'index';
+    s.rTokenDecimals = decimals;
+    s.status = null;
+    s.erc20s = assets.map((addr, j) => ({ address: addr, rawQuantity: amounts[j] }));
+    quoted.push(s);
+  };
+
+  let offset = 0;
+  states.forEach((s, i) => {
+    const results1 = phase1Results.slice(offset, offset + phase1Calls[i].length);
+    offset += phase1Calls[i].length;
+
+    if (s.cached) {
+      const [nonce, status] = results1;
+      if (nonce.success && status.success && nonce.value === s.cached.nonce) {
+        console.log(`[nav]   ${s.address}: basket nonce ${nonce.value} unchanged — reusing cached composition`);
+        results[s.address] = { ...s.cached, status: Number(status.value) };
+        return;
+      }
+      // Nonce changed (or the read failed) — re-quote via the known BasketHandler
+      s.rTokenDecimals = s.cached.rTokenDecimals;
+      s.basketHandlerAddress = s.cached.basketHandlerAddress;
+      return;
+    }
+
+    if (s.knownIndex) {
+      const [toAssets] = results1;
+      if (!toAssets.success) {
+        results[s.address] = new Error('toAssets() call failed on Index DTF');
+        return;
+      }
+      setIndexBasket(s, s.knownIndex.decimals, toAssets);
+      return;
+    }
+
+    const [decimals, main, toAssets] = results1;
+    if (decimals.success && main.success) {
+      // ethers v6 returns BigInt for uint8 — cast to Number for parseUnits
+      s.rTokenDecimals = Number(decimals.value);
+      s.mainAddress = main.value;
+      return;
+    }
+    if (decimals.success && toAssets.success) {
+      if (!historical) {
+        dtfTypeCache.set(basketKey(chainId, s.address), { type: 'index', decimals: Number(decimals.value) });
+      }
+      console.log(`[nav]   ${s.address}: detected Index DTF (Folio)`);
+      setIndexBasket(s, Number(decimals.value), toAssets);
+      return;
+    }
+    results[s.address] = new Error('main()/toAssets() calls failed — not a Reserve DTF');
+  });
+
+  // ── Phase 2 ──
+  const needHandler = states.filter((s) => s.mainAddress);
+  const phase2 = await multicall(
+    chainId,
+    needHandler.map((s) => ({ target: s.mainAddress, iface: mainInterface, method: 'basketHandler' })),
+    callOptions
   );
+  needHandler.forEach((s, i) => {
+    if (!phase2[i].success) {
+      results[s.address] = new Error(`basketHandler() call failed on Main ${s.mainAddress}`);
+      return;
+    }
+    s.basketHandlerAddress = phase2[i].value;
+  });
 
-  // Step 1: Get RToken decimals
-  // ethers v6 returns BigInt for uint8 — cast to Number for parseUnits
-  const rToken = new ethers.Contract(rTokenAddress, RTOKEN_ABI, provider);
-  const rTokenDecimals = Number(await rToken.decimals());
-  const oneUnit = ethers.parseUnits('1', rTokenDecimals);
-
-  // Step 2: Get Main contract
-  const mainAddress = await rToken.main();
-  console.log(`[nav]   Main contract: ${mainAddress}`);
-
-  // Step 3: Get BasketHandler
-  const main = new ethers.Contract(mainAddress, MAIN_ABI, provider);
-  const basketHandlerAddress = await main.basketHandler();
-  console.log(`[nav]   BasketHandler: ${basketHandlerAddress}`);
-
-  // Step 4: Call quote() for 1 unit of RToken to get basket composition
-  // quote() returns the amounts of each underlying token needed for `amount` basket units
-  const basketHandler = new ethers.Contract(
-    basketHandlerAddress,
-    BASKET_HANDLER_ABI,
-    provider
+  // ── Phase 3 ──
+  const needQuote = states.filter((s) => s.basketHandlerAddress && !results[s.address]);
+  const phase3 = await multicall(
+    chainId,
+    needQuote.flatMap((s) => [
+      { target: s.basketHandlerAddress, iface: basketHandlerInterface, method: 'nonce' },
+      { target: s.basketHandlerAddress, iface: basketHandlerInterface, method: 'status' },
+      // Get the basket for 1 RToken unit (FIX_ONE = 1e18 in Reserve's fixed-point), FLOOR rounding
+      { target: s.basketHandlerAddress, iface: basketHandlerInterface, method: 'quote', args: [FIX_ONE, 0] },
+    ]),
+    callOptions
   );
 
-  // Check basket status (0 = SOUND, 1 = IFFY, 2 = DISABLED)
-  // ethers v6 returns BigInt for uint8 — cast to Number for safe comparison
-  const status = Number(await basketHandler.status());
-  if (status === 2) {
-    console.warn(`[nav]   Basket is DISABLED for ${rTokenAddress}`);
-    return null;
-  }
+  needQuote.forEach((s, i) => {
+    const [nonce, status, quote] = phase3.slice(i * 3, i * 3 + 3);
+    if (!nonce.success || !status.success) {
+      results[s.address] = new Error(`nonce()/status() call failed on BasketHandler ${s.basketHandlerAddress}`);
+      return;
+    }
 
-  // Get the basket for 1 RToken unit (FIX_ONE = 1e18 in Reserve's fixed-point)
-  const [erc20Addresses, quantities] = await basketHandler.quote(
-    FIX_ONE,
-    0 // FLOOR rounding
-  );
+    // Basket status: 0 = SOUND, 1 = IFFY, 2 = DISABLED
+    const statusValue = Number(status.value);
+    if (statusValue === 2) {
+      if (!historical) basketCache.delete(basketKey(chainId, s.address));
+      results[s.address] = { status: statusValue, tokens: null };
+      return;
+    }
+    if (!quote.success) {
+      results[s.address] = new Error(`quote() call failed on BasketHandler ${s.basketHandlerAddress}`);
+      return;
+    }
 
-  console.log(
-    `[nav]   Basket has ${erc20Addresses.length} underlying tokens`
+    const [erc20Addresses, quantities] = quote.value;
+    s.type = 'yield';
+    s.nonce = nonce.value;
+    s.status = statusValue;
+    s.erc20s = erc20Addresses.map((addr, j) => ({ address: addr, rawQuantity: quantities[j] }));
+    quoted.push(s);
+  });
+
+  // ── Phase 4 ──
+  const unknownTokens = [
+    ...new Set(
+      quoted.flatMap((s) => s.erc20s.map((t) => t.address))
+        .filter((addr) => !tokenMetadataCache.has(basketKey(chainId, addr)))
+    ),
+  ];
+  const phase4 = await multicall(
+    chainId,
+    unknownTokens.flatMap((addr) => [
+      { target: addr, iface: erc20Interface, method: 'decimals' },
+      { target: addr, iface: erc20Interface, method: 'symbol' },
+    ])
   );
+  unknownTokens.forEach((addr, i) => {
+    const [decimals, symbol] = phase4.slice(i * 2, i * 2 + 2);
+    if (decimals.success && symbol.success) {
+      tokenMetadataCache.set(basketKey(chainId, addr), {
+        decimals: Number(decimals.value),
+        symbol: symbol.value,
+      });
+    } else {
+      console.warn(`[nav]   Could not read metadata for ${addr}`);
+    }
+  });
+
+  for (const s of quoted) {
+    const composition = {
+      type: s.type,
+      rTokenDecimals: s.rTokenDecimals,
+      basketHandlerAddress: s.basketHandlerAddress,
+      nonce: s.nonce,
+      status: s.status,
+      tokens: s.erc20s.map(({ address, rawQuantity }) => {
+        const metadata = tokenMetadataCache.get(basketKey(chainId, address));
+        return {
+          address,
+          symbol: metadata?.symbol ?? 'UNKNOWN',
+          decimals: metadata?.decimals ?? 18,
+          rawQuantity,
+        };
+      }),
+      fetchedAt: Date.now(),
+    };
+    if (!historical && s.type === 'yield') basketCache.set(basketKey(chainId, s.address), composition);
+    results[s.address] = composition;
+  }
+
+  return results;
+}
 
-  if (erc20Addresses.length === 0) {
+// Sum a basket's underlying values into a NAV result (null if unpriceable)
+function buildNavResult(rTokenAddress, chainId, composition, prices, blockTag = null) {
+  if (composition.status === 2) {
+    console.warn(`[nav]   Basket is DISABLED for ${rTokenAddress}`);
+    return null;
+  }
+
+  if (composition.tokens.length === 0) {
     console.warn(`[nav]   Empty basket for ${rTokenAddress}`);
     return null;
   }
 
-  // Step 5: For each underlying token, get its decimals and price
   let navUsd = 0;
   const basketTokens = [];
 
-  for (let i = 0; i < erc20Addresses.length; i++) {
-    const tokenAddr = erc20Addresses[i];
-    const rawQuantity = quantities[i];
-
-    // Get token decimals
-    const tokenContract = new ethers.Contract(tokenAddr, ERC20_ABI, provider);
-    let tokenDecimals, tokenSymbol;
-    try {
-      const [rawDecimals, rawSymbol] = await Promise.all([
-        tokenContract.decimals(),
-        tokenContract.symbol(),
-      ]);
-      tokenDecimals = Number(rawDecimals);
-      tokenSymbol = rawSymbol;
-    } catch (err) {
-      console.warn(
-        `[nav]   Could not read metadata for ${tokenAddr}: ${err.message}`
-      );
-      tokenDecimals = 18;
-      tokenSymbol = 'UNKNOWN';
-    }
-
+  for (const { address: tokenAddr, symbol: tokenSymbol, decimals: tokenDecimals, rawQuantity } of composition.tokens) {
     // Convert raw quantity to human-readable
     const formattedQuantity = parseFloat(
       ethers.formatUnits(rawQuantity, tokenDecimals)
     );
 
-    // Get price from Moralis
-    const priceData = await getTokenPrice(tokenAddr, chain);
-
-    // Rate limit: small delay between price calls
-    if (i < erc20Addresses.length - 1) {
-      await delay(100);
-    }
-
+    const priceData = prices[`${chainId}:${tokenAddr.toLowerCase()}`];
     const tokenUsdPrice = priceData?.usdPrice || null;
     const tokenUsdValue =
       tokenUsdPrice !== null ? formattedQuantity * tokenUsdPrice : null;
@@ -182,6 +409,12 @@ async function calculateRTokenNAV(rTokenAddress, chainId) {
       quantityPerUnit: formattedQuantity,
       usdPrice: tokenUsdPrice,
       usdValue: tokenUsdValue,
+      // How the price was found: market directly, or unwrap steps down to a market-priced asset
+      pricingPath:
+        priceData?.pricingPath ||
+        (tokenUsdPrice !== null
+          ? [{ address: tokenAddr, symbol: tokenSymbol, method: 'market', usdPrice: tokenUsdPrice }]
+          : null),
     });
 
     if (tokenUsdValue !== null) {
@@ -215,20 +448,280 @@ async function calculateRTokenNAV(rTokenAddress, chainId) {
     allUnderlyingPriced: allPriced,
     pricedCount,
     totalUnderlying: basketTokens.length,
-    basketStatus: status === 0 ? 'SOUND' : status === 1 ? 'IFFY' : 'UNKNOWN',
+    dtfType: composition.type,
+    // Index DTFs have no basket status — they hold their assets directly
+    basketStatus:
+      composition.type === 'index'
+        ? null
+        : composition.status === 0 ? 'SOUND' : composition.status === 1 ? 'IFFY' : 'UNKNOWN',
+    ...(blockTag !== null ? { blockNumber: blockTag } : {}),
   };
 
   console.log(
-    `[nav]   NAV = $${navUsd.toFixed(6)} (${pricedCount}/${basketTokens.length} priced, basket ${result.basketStatus})`
+    `[nav]   ${rTokenAddress}: NAV = $${navUsd.toFixed(6)} (${pricedCount}/${basketTokens.length} priced, ${composition.type} DTF, basket ${result.basketStatus ?? 'n/a'})`
   );
 
   return result;
 }
 
+// Underlying prices at past blocks, keyed like getTokenPricesBatched results
+// but grouped per block: `${chainId}@${blockTag}` → `${chainId}:${token}` → { usdPrice }
+async function getHistoricalUnderlyingPrices(requests) {
+  const unique = new Map();
+  for (const { tokenAddress, chainId, blockTag } of requests) {
+    unique.set(navKey(chainId, tokenAddress, blockTag), { tokenAddress, chainId, blockTag });
+  }
+  const entries = [...unique.values()];
+
+  const results = await batchedRequests(
+    entries.map(({ tokenAddress, chainId, blockTag }) => () =>
+      getHistoricalPrice(tokenAddress, getChain(chainId), blockTag)
+    )
+  );
+
+  const pricesByBlock = {};
+  entries.forEach(({ tokenAddress, chainId, blockTag }, i) => {
+    const usdPrice = results[i].status === 'fulfilled' ? results[i].value : null;
+    if (usdPrice === null) return;
+    const group = `${chainId}@${blockTag}`;
+    pricesByBlock[group] = pricesByBlock[group] || {};
+    pricesByBlock[group][basketKey(chainId, tokenAddress)] = { usdPrice };
+  });
+  return pricesByBlock;
+}
+
+/**
+ * Core function: calculate NAV for several RTokens at once.
+ * Basket reads are multicall-batched per chain and block (groups run in
+ * parallel). Every current underlying is priced in one
+ * getTokenPricesBatched call; historical ones at their block.
+ *
+ * @param {Array<{address: string, chainId: number, blockTag?: number}>} requests
+ * @param {object} options - { fresh } passed through to price lookups
+ * @returns {object} navKey → NAV result | null | Error
+ */
+async function computeRTokenNAVs(requests, options = {}) {
+  const results = {};
+  const groups = {};
+  for (const { address, chainId, blockTag = null } of requests) {
+    const groupKey = `${chainId}@${blockTag ?? 'latest'}`;
+    groups[groupKey] = groups[groupKey] || { chainId: Number(chainId), blockTag, addresses: new Set() };
+    groups[groupKey].addresses.add(address.toLowerCase());
+  }
+
+  // ── Basket compositions, one multicall pipeline per chain + block ──
+  const compositions = {};
+  await Promise.all(
+    Object.values(groups).map(async ({ chainId, blockTag, addresses: addressSet }) => {
+      const addresses = [...addressSet];
+
+      if (!getChain(chainId)) {
+        for (const address of addresses) {
+          results[navKey(chainId, address, blockTag)] = new Error(`Chain ${chainId} not supported`);
+        }
+        return;
+      }
+
+      console.log(
+        `[nav] Reading ${addresses.length} DTF baskets on chain ${chainId}${blockTag !== null ? ` at block ${blockTag}` : ''} via Multicall3`
+      );
+
+      try {
+        const chainCompositions = await readBasketCompositions(chainId, addresses, blockTag);
+        for (const [address, composition] of Object.entries(chainCompositions)) {
+          const key = navKey(chainId, address, blockTag);
+          if (composition instanceof Error) {
+            results[key] = composition;
+          } else {
+            compositions[key] = { chainId, address, blockTag, composition };
+          }
+        }
+      } catch (err) {
+        for (const address of addresses) {
+          results[navKey(chainId, address, blockTag)] = err;
+        }
+      }
+    })
+  );
+
+  // ── Price every current underlying across all baskets in one batch ──
+  const priceRequests = new Map();
+  const historicalRequests = [];
+  for (const { chainId, blockTag, composition } of Object.values(compositions)) {
+    for (const token of composition.tokens || []) {
+      const tokenAddress = token.address.toLowerCase();
+      if (blockTag !== null) {
+        historicalRequests.push({ tokenAddress, chainId, blockTag });
+        continue;
+      }
+      priceRequests.set(basketKey(chainId, tokenAddress), {
+        tokenAddress,
+        chain: getChain(chainId),
+      });
+    }
+  }
+  const [prices, historicalPrices] = await Promise.all([
+    getTokenPricesBatched([...priceRequests.values()], options),
+    getHistoricalUnderlyingPrices(historicalRequests),
+  ]);
+
+  // ── Unwrap underlyings the market could not price (ERC-4626, wstETH, …) ──
+  const unpricedGroups = {};
+  for (const { chainId, blockTag, composition } of Object.values(compositions)) {
+    const group = `${chainId}@${blockTag}`;
+    if (blockTag !== null) historicalPrices[group] = historicalPrices[group] || {};
+    const priceMap = blockTag === null ? prices : historicalPrices[group];
+    for (const token of composition.tokens || []) {
+      if (priceMap[basketKey(chainId, token.address)]?.usdPrice) continue;
+      unpricedGroups[group] = unpricedGroups[group] || { chainId, blockTag, tokens: new Map(), priceMap };
+      unpricedGroups[group].tokens.set(token.address.toLowerCase(), token);
+    }
+  }
+  await Promise.all(
+    Object.values(unpricedGroups).map(async ({ chainId, blockTag, tokens, priceMap }) => {
+      try {
+        const resolved = await resolveUnderlyingPrices(chainId, [...tokens.values()], {
+          ...options,
+          blockTag,
+        });
+        Object.assign(priceMap, resolved);
+      } catch (err) {
+        console.warn(`[nav] Underlying resolution failed on chain ${chainId}: ${err.message}`);
+      }
+    })
+  );
+
+  for (const [key, { chainId, address, blockTag, composition }] of Object.entries(compositions)) {
+    const priceMap = blockTag === null ? prices : historicalPrices[`${chainId}@${blockTag}`] || {};
+    results[key] = buildNavResult(address, chainId, composition, priceMap, blockTag);
+  }
+
+  return results;
+}
+
+// Throw stored per-RToken errors so they are never cached
+function unwrapNavResult(result) {
+  if (result instanceof Error) throw result;
+  return result ?? null;
+}
+
+// Block to read at for a chain: options.blockTag as given, the block closest
+// to options.timestamp (epoch ms), or null for the latest state
+async function resolveBlockTag(chainId, options) {
+  if (options.blockTag !== undefined && options.blockTag !== null && options.blockTag !== 'latest') {
+    const blockTag = Number(options.blockTag);
+    if (!Number.isInteger(blockTag) || blockTag < 0) {
+      throw new Error(`Invalid blockTag "${options.blockTag}"`);
+    }
+    return blockTag;
+  }
+  if (options.timestamp !== undefined && options.timestamp !== null) {
+    const block = await getBlockAtTimestamp(chainId, options.timestamp);
+    return block.blockNumber;
+  }
+  return null;
+}
+
+/**
+ * NAV for several RTokens, each cached per chain + address (+ block). Every
+ * cache miss in the same call joins one computeRTokenNAVs batch: the cache
+ * invokes loaders synchronously, so all misses are collected before the
+ * batch runs.
+ *
+ * options.blockTag reads every request at that block number — use
+ * options.timestamp instead when the requests span chains; it is resolved
+ * to the closest block on each chain.
+ *
+ * @param {Array<{address: string, chainId: number}>} requests
+ * @param {object} options - { fresh, blockTag, timestamp } — fresh bypasses the NAV and price caches
+ * @returns {Array<PromiseSettledResult>} One settled result per request, in order
+ */
+async function calculateRTokenNAVs(requests, options = {}) {
+  const blockTags = {};
+  const blockErrors = {};
+  for (const chainId of new Set(requests.map((r) => Number(r.chainId)))) {
+    try {
+      blockTags[chainId] = await resolveBlockTag(chainId, options);
+    } catch (err) {
+      blockErrors[chainId] = err;
+    }
+  }
+
+  const pending = [];
+  let batch = null;
+
+  const loaderFor = (request) => () => {
+    pending.push(request);
+    batch = batch || Promise.resolve().then(() => computeRTokenNAVs(pending, options));
+    return batch.then((results) =>
+      unwrapNavResult(results[navKey(request.chainId, request.address, request.blockTag)])
+    );
+  };
+
+  return Promise.allSettled(
+    requests.map((r) => {
+      const chainId = Number(r.chainId);
+      if (blockErrors[chainId]) return Promise.reject(blockErrors[chainId]);
+
+      const request = { address: r.address, chainId, blockTag: blockTags[chainId] };
+      if (request.blockTag === null) {
+        return navCache.get(navKey(chainId, r.address, null), loaderFor(request), { fresh: options.fresh });
+      }
+      return historicalNavCache.get(navKey(chainId, r.address, request.blockTag), loaderFor(request), {
+        fresh: options.fresh,
+        shouldCache: (nav) => nav !== null && nav.allUnderlyingPriced,
+      });
+    })
+  );
+}
+
+// NAV for a single RToken, cached per chain + address (+ block).
+// options.fresh bypasses both the NAV and the underlying price caches;
+// options.blockTag / options.timestamp read it at a past block.
+async function calculateRTokenNAV(rTokenAddress, chainId, options = {}) {
+  const [result] = await calculateRTokenNAVs([{ address: rTokenAddress, chainId }], options);
+  if (result.status === 'rejected') throw result.reason;
+  return result.value;
+}
+
+// NAV modes for applyNavPricing:
+//   missing  (default) NAV only for known DTFs Moralis could not price
+//   always   NAV for every known DTF; market-priced ones keep their market
+//            price and report the premium/discount to NAV in navDetails
+const NAV_MODES = ['missing', 'always'];
+
+// Requested mode, else NAV_PRICING_MODE, else 'missing'
+function resolveNavMode(mode) {
+  const resolved = (mode || process.env.NAV_PRICING_MODE || 'missing').toLowerCase();
+  return NAV_MODES.includes(resolved) ? resolved : 'missing';
+}
+
+// Market price relative to NAV: positive = premium, negative = discount
+function premiumDiscountPct(marketPrice, navPerToken) {
+  if (!marketPrice || !navPerToken) return null;
+  return ((marketPrice - navPerToken) / navPerToken) * 100;
+}
+
+function navDetailsFor(nav, marketPrice) {
+  return {
+    dtfType: nav.dtfType,
+    navPerToken: nav.navPerToken,
+    marketPrice,
+    premiumDiscountPct: premiumDiscountPct(marketPrice, nav.navPerToken),
+    basketTokens: nav.basketTokens,
+    allUnderlyingPriced: nav.allUnderlyingPriced,
+    basketStatus: nav.basketStatus,
+  };
+}
+
 // Apply NAV pricing to an array of token balances.
 // For any token with null price, check if it's a known DTF and calculate NAV.
+// With options.navMode 'always', market-priced known DTFs get NAV details too.
 // Also accepts an optional array of extra addresses to try NAV pricing on.
-async function applyNavPricing(tokens, extraDtfAddresses = []) {
+// options.fresh bypasses the NAV and price caches.
+async function applyNavPricing(tokens, extraDtfAddresses = [], options = {}) {
+  const navMode = resolveNavMode(options.navMode);
+
   // Build a set of addresses to check for NAV pricing
   const dtfAddressesByChain = {};
 
@@ -246,11 +739,11 @@ async function applyNavPricing(tokens, extraDtfAddresses = []) {
     dtfAddressesByChain[chainId].add(address.toLowerCase());
   }
 
-  // Find tokens with null price that are known DTFs.
+  // Find known DTFs that need NAV (null price, or any price in 'always' mode).
   // Only attempt on-chain NAV calls for tokens we know are RTokens —
   // calling quote() on random unpriced tokens would be slow and noisy.
   const tokensNeedingNav = tokens.filter((t) => {
-    if (t.usdPrice !== null) return false;
+    if (t.usdPrice !== null && navMode !== 'always') return false;
     if (!t.tokenAddress) return false;
 
     const knownSet = dtfAddressesByChain[t.chainId];
@@ -258,58 +751,110 @@ async function applyNavPricing(tokens, extraDtfAddresses = []) {
   });
 
   console.log(
-    `[nav] ${tokensNeedingNav.length} known DTFs with null price — attempting NAV pricing`
+    `[nav] ${tokensNeedingNav.length} known DTFs need NAV (mode: ${navMode}) — attempting NAV pricing`
   );
 
-  // Calculate NAV for each, with error handling per token
+  // Calculate NAV for all of them in one batch, with error handling per token
   const navResults = {};
-  for (const token of tokensNeedingNav) {
-    try {
-      const nav = await calculateRTokenNAV(token.tokenAddress, token.chainId);
-      if (nav) {
-        navResults[`${token.chainId}:${token.tokenAddress}`] = nav;
+  const settled = await calculateRTokenNAVs(
+    tokensNeedingNav.map((t) => ({ address: t.tokenAddress, chainId: t.chainId })),
+    options
+  );
+  settled.forEach((result, i) => {
+    const token = tokensNeedingNav[i];
+    if (result.status === 'fulfilled') {
+      if (result.value) {
+        navResults[`${token.chainId}:${token.tokenAddress}`] = result.value;
       }
-    } catch (err) {
+    } else {
       // Not an RToken or contract call failed — that's fine, skip it
       console.log(
-        `[nav] ${token.symbol || token.tokenAddress} is not an RToken or call failed: ${err.message}`
+        `[nav] ${token.symbol || token.tokenAddress} is not an RToken or call failed: ${result.reason?.message}`
       );
     }
-  }
+  });
 
   // Apply NAV prices to the token array
   const updatedTokens = tokens.map((token) => {
     const key = `${token.chainId}:${token.tokenAddress}`;
     const nav = navResults[key];
+    if (!nav) return token;
 
-    if (nav && token.usdPrice === null) {
-      const usdPrice = nav.navPerToken;
-      const usdValue = token.balanceFormatted * usdPrice;
-
-      return {
-        ...token,
-        usdPrice,
-        usdValue,
-        priceSource: 'nav',
-        navDetails: {
-          basketTokens: nav.basketTokens,
-          allUnderlyingPriced: nav.allUnderlyingPriced,
-          basketStatus: nav.basketStatus,
-        },
-      };
+    // Market-priced DTF ('always' mode): keep the market valuation
+    if (token.usdPrice !== null) {
+      return { ...token, navDetails: navDetailsFor(nav, token.usdPrice) };
     }
 
-    return token;
+    const usdPrice = nav.navPerToken;
+    const usdValue = token.balanceFormatted * usdPrice;
+
+    return {
+      ...token,
+      usdPrice,
+      usdValue,
+      priceSource: 'nav',
+      navDetails: navDetailsFor(nav, null),
+    };
   });
 
   return updatedTokens;
 }
 
+/**
+ * Market price vs NAV for every entry in KNOWN_DTFS.
+ *
+ * @param {object} options - { fresh } bypasses the NAV and price caches
+ * @returns {Array<object>} { chainId, chain, symbol, address, dtfType, marketPrice,
+ *   navPerToken, premiumDiscountPct, basketStatus, allUnderlyingPriced, error? }
+ */
+async function getDtfPremiums(options = {}) {
+  const dtfs = Object.entries(KNOWN_DTFS).flatMap(([chainId, list]) =>
+    list
+      .filter(() => getChain(chainId))
+      .map((dtf) => ({ ...dtf, chainId: Number(chainId), address: dtf.address.toLowerCase() }))
+  );
+
+  const [marketPrices, navs] = await Promise.all([
+    getTokenPricesBatched(
+      dtfs.map((dtf) => ({ tokenAddress: dtf.address, chain: getChain(dtf.chainId) })),
+      options
+    ),
+    calculateRTokenNAVs(dtfs.map(({ address, chainId }) => ({ address, chainId })), options),
+  ]);
+
+  return dtfs.map((dtf, i) => {
+    const marketPrice = marketPrices[basketKey(dtf.chainId, dtf.address)]?.usdPrice || null;
+    const navResult = navs[i];
+    const nav = navResult.status === 'fulfilled' ? navResult.value : null;
+
+    return {
+      chainId: dtf.chainId,
+      chain: getChain(dtf.chainId).name,
+      symbol: dtf.symbol,
+      address: dtf.address,
+      dtfType: nav?.dtfType ?? null,
+      marketPrice,
+      navPerToken: nav?.navPerToken ?? null,
+      premiumDiscountPct: nav ? premiumDiscountPct(marketPrice, nav.navPerToken) : null,
+      basketStatus: nav?.basketStatus ?? null,
+      allUnderlyingPriced: nav?.allUnderlyingPriced ?? null,
+      error:
+        navResult.status === 'rejected'
+          ? navResult.reason?.message
+          : nav
+            ? undefined
+            : 'NAV unavailable',
+    };
+  });
+}
+
 // Convenience: register a DTF address at runtime (e.g., from env vars or config)
 function registerDtf(chainId, symbol, address) {
   if (!KNOWN_DTFS[chainId]) {
     KNOWN_DTFS[chainId] = [];
   }
+  const lower = address.toLowerCase();
+  if (KNOWN_DTFS[chainId].some((d) => d.address.toLowerCase() === lower)) return;
   KNOWN_DTFS[chainId].push({ symbol, address });
   console.log(`[nav] Registered DTF: ${symbol} at ${address} on chain ${chainId}`);
 }
@@ -332,9 +877,22 @@ function loadDtfsFromEnv() {
 }
 
 module.exports = {
+  RTOKEN_ABI,
+  MAIN_ABI,
+  BASKET_HANDLER_ABI,
+  FOLIO_ABI,
+  ASSET_REGISTRY_ABI,
+  ASSET_ABI,
+  STRSR_ABI,
+  ERC20_ABI,
+  FIX_ONE,
   calculateRTokenNAV,
+  calculateRTokenNAVs,
   applyNavPricing,
+  getDtfPremiums,
   registerDtf,
   loadDtfsFromEnv,
   KNOWN_DTFS,
+  NAV_MODES,
+  resolveNavMode,
 };
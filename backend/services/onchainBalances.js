@@ -0,0 +1,127 @@
+const { ethers } = require('ethers');
+const { multicall, nativeBalanceCall } = require('./rpc');
+const { getNativeToken } = require('./chains');
+const { NATIVE_TOKEN_ADDRESS, getFallbackTokenList } = require('./tokenList');
+
+// ──────────────────────────────────────────────────────────────────────
+// On-chain balance fallback
+//
+// When Moralis fails for a chain, read the native balance and the known
+// token list's ERC-20 balances straight from the chain via Multicall3.
+// Returned tokens use the same shape as Moralis balances, carry
+// balanceSource: 'onchain', and are unpriced — the caller prices them.
+// ──────────────────────────────────────────────────────────────────────
+
+const ERC20_BALANCE_ABI = new ethers.Interface([
+  'function balanceOf(address owner) external view returns (uint256)',
+  'function symbol() external view returns (string)',
+  'function name() external view returns (string)',
+  'function decimals() external view returns (uint8)',
+]);
+
+function toToken(chain, fields) {
+  return {
+    chain: chain.name,
+    chainId: chain.id,
+    logo: null,
+    thumbnail: null,
+    usdPrice: null,
+    usdValue: null,
+    priceSource: null,
+    portfolioPercentage: 0,
+    balanceSource: 'onchain',
+    ...fields,
+  };
+}
+
+/**
+ * Read native + known ERC-20 balances for one wallet on one chain.
+ * Two round-trips: balances first, then metadata for held tokens whose
+ * decimals are not already known.
+ *
+ * @param {string} walletAddress - The 0x wallet address
+ * @param {object} chain - Entry from SUPPORTED_CHAINS
+ * @returns {Array<object>} Tokens with a non-zero balance
+ */
+async function getOnchainChainBalances(walletAddress, chain) {
+  const tokenList = getFallbackTokenList(chain.id);
+  const native = getNativeToken(chain.id);
+
+  const balanceResults = await multicall(chain.id, [
+    nativeBalanceCall(walletAddress),
+    ...tokenList.map((token) => ({
+      target: token.address,
+      iface: ERC20_BALANCE_ABI,
+      method: 'balanceOf',
+      args: [walletAddress],
+    })),
+  ]);
+
+  const [nativeResult, ...tokenResults] = balanceResults;
+  const held = tokenList
+    .map((token, i) => ({ token, raw: tokenResults[i].success ? tokenResults[i].value : 0n }))
+    .filter(({ raw }) => raw > 0n);
+
+  // Fill in metadata for held tokens the list does not describe (e.g. DTFs)
+  const needsMetadata = held.filter(({ token }) => token.decimals === undefined);
+  const metadataResults = await multicall(
+    chain.id,
+    needsMetadata.flatMap(({ token }) =>
+      ['decimals', 'symbol', 'name'].map((method) => ({
+        target: token.address,
+        iface: ERC20_BALANCE_ABI,
+        method,
+      }))
+    )
+  );
+  needsMetadata.forEach((entry, i) => {
+    const [decimals, symbol, name] = metadataResults.slice(i * 3, i * 3 + 3);
+    entry.token = {
+      ...entry.token,
+      decimals: decimals.success ? Number(decimals.value) : 18,
+      symbol: symbol.success ? symbol.value : entry.token.symbol,
+      name: name.success ? name.value : entry.token.symbol,
+    };
+  });
+
+  const tokens = [];
+
+  const nativeRaw = nativeResult.success ? nativeResult.value : 0n;
+  if (native && nativeRaw > 0n) {
+    tokens.push(
+      toToken(chain, {
+        tokenAddress: NATIVE_TOKEN_ADDRESS,
+        symbol: native.symbol,
+        name: native.name,
+        decimals: native.decimals,
+        balance: nativeRaw.toString(),
+        balanceFormatted: parseFloat(ethers.formatUnits(nativeRaw, native.decimals)),
+        nativeToken: true,
+      })
+    );
+  }
+
+  for (const { token, raw } of held) {
+    tokens.push(
+      toToken(chain, {
+        tokenAddress: token.address,
+        symbol: token.symbol,
+        name: token.name,
+        decimals: token.decimals,
+        balance: raw.toString(),
+        balanceFormatted: parseFloat(ethers.formatUnits(raw, token.decimals)),
+        nativeToken: false,
+      })
+    );
+  }
+
+  console.log(
+    `[onchain] ${chain.name}: read ${tokens.length} non-zero balances (${tokenList.length} tokens checked)`
+  );
+
+  return tokens;
+}
+
+module.exports = {
+  getOnchainChainBalances,
+};
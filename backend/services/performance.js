@@ -0,0 +1,165 @@
+const { loadSnapshots } = require('./snapshots');
+const { buildPortfolio } = require('./portfolio');
+const {
+  calculateCAGR,
+  calculateSharpeRatio,
+  calculateVolatility,
+  calculateSortinoRatio,
+  calculateMaxDrawdown,
+  calculatePeriodReturn,
+} = require('./calculations');
+
+// ──────────────────────────────────────────────────────────────────────
+// Performance analytics
+//
+// Builds a daily portfolio value series from stored snapshots (the last
+// snapshot of each UTC day) and runs the return/risk math over it.
+// ──────────────────────────────────────────────────────────────────────
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RISK_FREE_RATE = 0.045;
+
+// Sharpe/Sortino need a reasonable sample before they mean anything
+const MIN_POINTS_FOR_RATIOS = 30;
+
+function toDateKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Collapse snapshots into one value per UTC day (last snapshot wins)
+function buildDailySeries(snapshots) {
+  const byDay = new Map();
+  for (const snapshot of snapshots) {
+    byDay.set(toDateKey(snapshot.timestamp), {
+      date: toDateKey(snapshot.timestamp),
+      timestamp: snapshot.timestamp,
+      value: snapshot.totalUsdValue,
+    });
+  }
+  return [...byDay.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Latest point on or before a given date key
+function pointOnOrBefore(series, dateKey) {
+  let match = null;
+  for (const point of series) {
+    if (point.date <= dateKey) match = point;
+  }
+  return match;
+}
+
+function calculatePeriodReturns(series) {
+  if (series.length < 2) {
+    return { '1d': null, '7d': null, '30d': null, ytd: null };
+  }
+
+  const last = series[series.length - 1];
+  const lookback = (days) => {
+    const start = pointOnOrBefore(series, toDateKey(last.timestamp - days * DAY_MS));
+    return start ? calculatePeriodReturn(start.value, last.value) : null;
+  };
+
+  // YTD is measured from the prior year's close, falling back to the first
+  // point of the current year when no earlier snapshot exists.
+  const year = new Date(last.timestamp).getUTCFullYear();
+  const ytdStart =
+    pointOnOrBefore(series, `${year - 1}-12-31`) ||
+    series.find((p) => p.date >= `${year}-01-01`);
+
+  return {
+    '1d': lookback(1),
+    '7d': lookback(7),
+    '30d': lookback(30),
+    ytd:
+      ytdStart && ytdStart !== last
+        ? calculatePeriodReturn(ytdStart.value, last.value)
+        : null,
+  };
+}
+
+/**
+ * Return/risk metrics for a daily value series (oldest first). Shared by
+ * wallet performance and DTF NAV history.
+ *
+ * @param {Array<{date, timestamp, value}>} series
+ * @param {number} riskFreeRate - Annual, as a decimal
+ * @param {string} pointName - What a data point is, for warnings
+ * @returns {object} { metrics, periodReturns, warnings }
+ */
+function computeSeriesMetrics(series, riskFreeRate = DEFAULT_RISK_FREE_RATE, pointName = 'data points') {
+  const values = series.map((p) => p.value);
+  const warnings = [];
+
+  if (series.length < 2) {
+    warnings.push(`At least two daily ${pointName} are required to compute performance`);
+  } else if (series.length < MIN_POINTS_FOR_RATIOS) {
+    warnings.push(
+      `Only ${series.length} daily data points — Sharpe/Sortino are not meaningful below ${MIN_POINTS_FOR_RATIOS}`
+    );
+  }
+
+  const first = series[0] || null;
+  const last = series[series.length - 1] || null;
+  const years = first && last ? (last.timestamp - first.timestamp) / (365.25 * DAY_MS) : 0;
+
+  return {
+    metrics: {
+      startValue: first?.value ?? null,
+      endValue: last?.value ?? null,
+      cagr: series.length >= 2 ? calculateCAGR(first.value, last.value, years) : null,
+      sharpeRatio: calculateSharpeRatio(values, riskFreeRate),
+      sortinoRatio: calculateSortinoRatio(values, riskFreeRate),
+      volatility: calculateVolatility(values),
+      maxDrawdown: calculateMaxDrawdown(values),
+    },
+    periodReturns: calculatePeriodReturns(series),
+    warnings,
+  };
+}
+
+/**
+ * Compute performance metrics for an address from its stored snapshots.
+ *
+ * @param {string} walletAddress - Lowercased 0x wallet address
+ * @param {object} options - { from, to (epoch ms), riskFreeRate, live }
+ *   live: append the current live portfolio value as today's data point
+ * @returns {object} { series, metrics, periodReturns, ... }
+ */
+async function computePerformance(
+  walletAddress,
+  { from = null, to = null, riskFreeRate = DEFAULT_RISK_FREE_RATE, live = false } = {}
+) {
+  const snapshots = await loadSnapshots(walletAddress, { from, to });
+
+  if (live) {
+    // Only the total is needed — skip the transfer-history lookup
+    const portfolio = await buildPortfolio(walletAddress, { costBasisMethod: 'none' });
+    snapshots.push({ timestamp: Date.now(), totalUsdValue: portfolio.totalUsdValue });
+  }
+
+  const series = buildDailySeries(snapshots);
+  const { metrics, periodReturns, warnings } = computeSeriesMetrics(series, riskFreeRate, 'snapshots');
+
+  console.log(
+    `[performance] ${walletAddress}: ${series.length} daily points from ${snapshots.length} snapshots`
+  );
+
+  return {
+    address: walletAddress,
+    from: series[0]?.date ?? null,
+    to: series[series.length - 1]?.date ?? null,
+    dataPoints: series.length,
+    riskFreeRate,
+    metrics,
+    periodReturns,
+    series: series.map(({ date, value }) => ({ date, value })),
+    warnings: warnings.length > 0 ? warnings : undefined,
+  };
+}
+
+module.exports = {
+  DEFAULT_RISK_FREE_RATE,
+  buildDailySeries,
+  computeSeriesMetrics,
+  computePerformance,
+};
@@ -0,0 +1,477 @@
+const { getMultiChainBalances, DUST_THRESHOLD_USD } = require('./moralis');
+const { findProtocolToken } = require('./protocolTokens');
+const { getDefiPositions } = require('./protocols');
+const { applyNavPricing, resolveNavMode } = require('./navPricing');
+const { recalculatePortfolioPercentages } = require('./calculations');
+const { applyCostBasis } = require('./costBasis');
+const { discoverDtfs } = require('./dtfDiscovery');
+
+// ──────────────────────────────────────────────────────────────────────
+// Portfolio pipeline
+//
+// Shared by /api/balances (one wallet) and /api/portfolio (many wallets):
+//   1. Wallet token balances from Moralis (multi-chain)
+//   2. DeFi positions (staked, supplied, borrowed, LP'd) read on-chain for
+//      supported protocols, Moralis DeFi API for the rest
+//   3. NAV-priced DTF tokens (ixEDEL, ixETH, etc.) via on-chain calls
+//   4. Cost basis and PnL from transfer history (single wallet only)
+// ──────────────────────────────────────────────────────────────────────
+
+const ADDRESS_REGEX = /^0x[a-fA-F0-9]{40}$/;
+
+const DISCLAIMER =
+  'Cost basis estimated from on-chain data. DeFi positions read on-chain for supported protocols, otherwise sourced from Moralis. NAV pricing calculated from on-chain basket composition.';
+
+function isValidAddress(address) {
+  return typeof address === 'string' && ADDRESS_REGEX.test(address);
+}
+
+// Mark a wallet token as held through a DeFi position
+function tagDefiToken(token, pos) {
+  token.isDefiPosition = true;
+  token.defiProtocol = pos.protocol;
+  token.defiProtocolLogo = pos.protocolLogo;
+  token.defiPositionType = pos.positionType;
+}
+
+// Fetch wallet tokens + DeFi positions for one wallet and merge them into a
+// single holdings list. No NAV pricing or dust filtering happens here so the
+// caller can run those once over a combined set of wallets.
+// options.fresh bypasses the balance/DeFi/price/NAV caches.
+async function fetchWalletHoldings(walletAddress, options = {}) {
+  // ── Step 1: Fetch wallet token balances + DeFi positions in parallel ──
+  const [balancesResult, defiResult] = await Promise.allSettled([
+    getMultiChainBalances(walletAddress, options),
+    getDefiPositions(walletAddress, options),
+  ]);
+
+  let walletTokens = [];
+  let defiPositions = [];
+  const errors = [];
+
+  if (balancesResult.status === 'fulfilled') {
+    walletTokens = balancesResult.value.tokens;
+    errors.push(...balancesResult.value.errors);
+  } else {
+    errors.push({
+      source: 'balances',
+      error: balancesResult.reason?.message || 'Failed to fetch balances',
+    });
+    console.error(
+      '[portfolio] Balance fetch failed:',
+      balancesResult.reason?.message
+    );
+  }
+
+  if (defiResult.status === 'fulfilled') {
+    defiPositions = defiResult.value.positions;
+    errors.push(
+      ...defiResult.value.errors.map((e) => ({ source: 'defi', ...e }))
+    );
+    console.log(
+      `[portfolio] Fetched ${defiPositions.length} DeFi positions`
+    );
+  } else {
+    errors.push({
+      source: 'defi',
+      error: defiResult.reason?.message || 'Failed to fetch DeFi positions',
+    });
+    console.error(
+      '[portfolio] DeFi fetch failed:',
+      defiResult.reason?.message
+    );
+  }
+
+  // ── Step 2: Convert DeFi positions to holdings-compatible format and merge ──
+  // A position token whose receipt token is already in the wallet (aToken,
+  // cUSDCv3, wstETH) tags that wallet token instead of adding a second
+  // holding; a debt token the wallet lists is replaced by the debt holding.
+  const walletByAddress = new Map(
+    walletTokens.filter((t) => t.tokenAddress).map((t) => [`${t.chainId}:${t.tokenAddress}`, t])
+  );
+  const replacedWalletTokens = new Set();
+  const defiHoldings = [];
+  for (const pos of defiPositions) {
+    for (const token of pos.tokens) {
+      // Debt is negative — compare magnitudes
+      if (token.valueUsd !== null && Math.abs(token.valueUsd) < DUST_THRESHOLD_USD) continue;
+
+      const receipt = token.receiptTokenAddress
+        ? walletByAddress.get(`${pos.chainId}:${token.receiptTokenAddress.toLowerCase()}`)
+        : null;
+      if (receipt && !token.isDebt) {
+        tagDefiToken(receipt, pos);
+        // aTokens / Comets are a claim on the position token — kept for the exposure report
+        if (receipt.tokenAddress !== token.tokenAddress) {
+          receipt.underlyingSymbol = token.symbol;
+          receipt.underlyingAddress = token.tokenAddress;
+        }
+        if (receipt.usdPrice === null && token.price !== null) {
+          receipt.usdPrice = token.price;
+          receipt.usdValue = receipt.balanceFormatted * token.price;
+          receipt.priceSource = 'defi';
+        }
+        continue;
+      }
+      if (receipt) replacedWalletTokens.add(receipt);
+
+      defiHoldings.push({
+        chain: pos.chain,
+        chainId: pos.chainId,
+        tokenAddress: token.tokenAddress,
+        symbol: token.symbol,
+        name: token.name,
+        decimals: token.decimals || null,
+        balance: String(token.balance),
+        balanceFormatted: token.balance,
+        usdPrice: token.price ?? null,
+        usdValue: token.valueUsd ?? null,
+        logo: null,
+        thumbnail: null,
+        priceSource: token.price ? 'defi' : null,
+        nativeToken: false,
+        portfolioPercentage: 0,
+        isDefiPosition: true,
+        defiProtocol: pos.protocol,
+        defiProtocolLogo: pos.protocolLogo,
+        defiPositionType: token.isDebt ? 'debt' : pos.positionType,
+        ...(token.isDebt ? { isDebt: true } : {}),
+        // LP NFTs stay separate holdings per position
+        ...(pos.details?.tokenId !== undefined
+          ? { defiPositionId: pos.details.tokenId, inRange: pos.inRange }
+          : {}),
+      });
+    }
+  }
+  walletTokens = walletTokens.filter((t) => !replacedWalletTokens.has(t));
+
+  // ── Step 2b: Tag wallet tokens that are known DeFi/staking positions ──
+  // Moralis getDefiPositionsSummary detects protocols but often returns unusable
+  // token data. Instead of relying on the DeFi response, directly tag wallet
+  // tokens using the protocol-token registry (services/protocolTokens.js).
+  // Build a logo lookup from detected DeFi positions for UI purposes.
+  const protocolLogos = {};
+  for (const pos of defiPositions) {
+    if (pos.protocolLogo) {
+      protocolLogos[pos.protocol] = pos.protocolLogo;
+    }
+  }
+
+  console.log('[portfolio] Tagging known staking tokens as DeFi positions...');
+  for (const token of walletTokens) {
+    const mapping = findProtocolToken(token.chainId, token.tokenAddress);
+    if (!mapping) continue;
+    token.isDefiPosition = true;
+    token.defiProtocol = mapping.protocol;
+    token.defiProtocolLogo = protocolLogos[mapping.protocol] || null;
+    token.defiPositionType = mapping.positionType;
+    console.log(
+      `[portfolio]   Tagged ${token.symbol} ($${(token.usdValue || 0).toFixed(2)}) as ${mapping.protocol} ${mapping.positionType} position`
+    );
+  }
+
+  console.log(
+    `[portfolio] Merged: ${walletTokens.length} wallet + ${defiHoldings.length} DeFi = ${walletTokens.length + defiHoldings.length} total`
+  );
+
+  return {
+    tokens: [...walletTokens, ...defiHoldings],
+    errors,
+    defiPositionsIncluded: defiResult.status === 'fulfilled',
+  };
+}
+
+// NAV pricing, dust filter, portfolio percentages and sorting — run once over
+// the final merged holdings set. options.navMode is passed to applyNavPricing.
+async function finalizeHoldings(tokens, options = {}) {
+  let allTokens = tokens;
+
+  // ── Step 3: Apply NAV pricing for tokens with null price ──
+  // This attempts on-chain Reserve Protocol calls for DTF tokens.
+  // Unpriced tokens not yet known are probed first in case they are DTFs.
+  // navMode 'always' also computes NAV for market-priced DTFs (premium/discount).
+  const nullPriceCount = allTokens.filter((t) => t.usdPrice === null).length;
+  if (nullPriceCount > 0) {
+    try {
+      await discoverDtfs(allTokens);
+    } catch (err) {
+      console.warn(`[portfolio] DTF discovery failed: ${err.message}`);
+    }
+  }
+  if (resolveNavMode(options.navMode) === 'always') {
+    allTokens = await applyNavPricing(allTokens, [], options);
+  } else if (nullPriceCount > 0) {
+    console.log(
+      `[portfolio] ${nullPriceCount} tokens with null price — applying NAV pricing`
+    );
+    allTokens = await applyNavPricing(allTokens, [], options);
+  }
+
+  // ── Step 4: Final dust filter (after NAV pricing may have filled in values) ──
+  allTokens = allTokens.filter(
+    (t) => t.usdValue === null || Math.abs(t.usdValue) >= DUST_THRESHOLD_USD
+  );
+
+  // ── Step 5: Recalculate portfolio percentages across the merged set ──
+  allTokens = recalculatePortfolioPercentages(allTokens);
+
+  // ── Step 6: Sort by USD value descending ──
+  allTokens.sort((a, b) => (b.usdValue || 0) - (a.usdValue || 0));
+
+  return allTokens;
+}
+
+// Totals for a finalized holdings list
+function summarizeHoldings(tokens) {
+  const sumValue = (list) => list.reduce((sum, t) => sum + (t.usdValue || 0), 0);
+
+  const totalUsdValue = sumValue(tokens);
+  // DeFi value = tokens from DeFi holdings + wallet tokens tagged as DeFi positions
+  const totalDefiValue = sumValue(tokens.filter((t) => t.isDefiPosition));
+  const navPricedTokens = tokens.filter((t) => t.priceSource === 'nav');
+  const navPricedValue = sumValue(navPricedTokens);
+
+  return {
+    totalUsdValue,
+    breakdown: {
+      walletTokensValue: totalUsdValue - totalDefiValue,
+      defiPositionsValue: totalDefiValue,
+      navPricedValue,
+    },
+    navPricedCount: navPricedTokens.length,
+  };
+}
+
+function logSummary(label, summary, tokenCount) {
+  console.log(`[portfolio] Portfolio summary (${label}):`);
+  console.log(`[portfolio]   Wallet tokens: $${summary.breakdown.walletTokensValue.toFixed(2)}`);
+  console.log(`[portfolio]   DeFi positions: $${summary.breakdown.defiPositionsValue.toFixed(2)}`);
+  console.log(`[portfolio]   NAV-priced: $${summary.breakdown.navPricedValue.toFixed(2)} (${summary.navPricedCount} tokens)`);
+  console.log(`[portfolio]   Total: $${summary.totalUsdValue.toFixed(2)}`);
+  console.log(`[portfolio]   Tokens: ${tokenCount}`);
+}
+
+// ── Step 7: Cost basis / PnL — a history failure leaves the fields null ──
+async function addCostBasis(walletAddress, tokens, options) {
+  try {
+    return await applyCostBasis(walletAddress, tokens, {
+      method: options.costBasisMethod,
+      fresh: options.fresh,
+    });
+  } catch (err) {
+    console.error('[portfolio] Cost basis failed:', err.message);
+    return {
+      tokens: tokens.map((t) => ({
+        ...t,
+        costBasisUsd: null,
+        unrealizedPnlUsd: null,
+        realizedPnlUsd: null,
+      })),
+      summary: null,
+      errors: [{ source: 'costBasis', error: err.message }],
+    };
+  }
+}
+
+/**
+ * Build the full merged portfolio for a single wallet.
+ * This is the payload served by GET /api/balances.
+ *
+ * @param {string} walletAddress - Lowercased 0x wallet address
+ * @param {object} options - { fresh: true } bypasses the caches;
+ *   navMode: 'missing' | 'always' (default NAV_PRICING_MODE);
+ *   costBasisMethod: 'fifo' | 'lifo' | 'average' | 'none' (default COST_BASIS_METHOD)
+ * @returns {object} { address, totalUsdValue, breakdown, tokens, costBasis, ... }
+ */
+async function buildPortfolio(walletAddress, options = {}) {
+  console.log(`\n[portfolio] Fetching full portfolio for ${walletAddress}`);
+
+  const holdings = await fetchWalletHoldings(walletAddress, options);
+  let tokens = await finalizeHoldings(holdings.tokens, options);
+  const summary = summarizeHoldings(tokens);
+
+  let costBasis;
+  if (options.costBasisMethod !== 'none') {
+    const result = await addCostBasis(walletAddress, tokens, options);
+    tokens = result.tokens;
+    costBasis = result.summary || undefined;
+    holdings.errors.push(...result.errors);
+  }
+
+  logSummary(walletAddress, summary, tokens.length);
+
+  return {
+    address: walletAddress,
+    totalUsdValue: summary.totalUsdValue,
+    breakdown: summary.breakdown,
+    tokenCount: tokens.length,
+    tokens,
+    defiPositionsIncluded: holdings.defiPositionsIncluded,
+    navPricingApplied: summary.navPricedCount > 0,
+    costBasis,
+    disclaimer: DISCLAIMER,
+    errors: holdings.errors.length > 0 ? holdings.errors : undefined,
+  };
+}
+
+// Holdings from different wallets are combined when they are the same token
+// on the same chain held in the same way (wallet vs a given DeFi protocol).
+function holdingKey(token) {
+  const tokenKey = token.tokenAddress || (token.nativeToken ? 'native' : token.symbol);
+  const positionKey = token.isDefiPosition
+    ? `${token.defiProtocol}:${token.defiPositionType}${token.defiPositionId ? `:${token.defiPositionId}` : ''}`
+    : 'wallet';
+  return `${token.chainId}:${tokenKey}:${positionKey}`;
+}
+
+// Sum raw integer balances when every entry has one; DeFi holdings carry
+// decimal strings, in which case fall back to the formatted sum.
+function sumRawBalances(entries, formattedTotal) {
+  try {
+    return entries.reduce((sum, e) => sum + BigInt(e.balance), 0n).toString();
+  } catch {
+    return String(formattedTotal);
+  }
+}
+
+function combineHoldings(walletHoldings) {
+  const combined = new Map();
+
+  for (const { address, label, tokens } of walletHoldings) {
+    for (const token of tokens) {
+      const key = holdingKey(token);
+      if (!combined.has(key)) {
+        combined.set(key, { token: { ...token }, entries: [] });
+      }
+      combined.get(key).entries.push({ address, label, token });
+    }
+  }
+
+  return [...combined.values()].map(({ token, entries }) => {
+    const balanceFormatted = entries.reduce(
+      (sum, e) => sum + (e.token.balanceFormatted || 0),
+      0
+    );
+    const valued = entries.filter((e) => e.token.usdValue !== null);
+
+    return {
+      ...token,
+      balance: sumRawBalances(entries.map((e) => e.token), balanceFormatted),
+      balanceFormatted,
+      usdValue:
+        valued.length > 0
+          ? valued.reduce((sum, e) => sum + e.token.usdValue, 0)
+          : null,
+      wallets: entries.map((e) => ({
+        address: e.address,
+        label: e.label,
+        balance: e.token.balance,
+        balanceFormatted: e.token.balanceFormatted,
+        usdValue: e.token.usdValue,
+      })),
+    };
+  });
+}
+
+// After NAV pricing fills in a combined token's price, bring each wallet's
+// share of it up to date as well.
+function priceWalletBreakdown(token) {
+  if (!token.wallets) return token;
+
+  const wallets = token.wallets.map((w) => ({
+    ...w,
+    usdValue:
+      token.usdPrice !== null
+        ? w.balanceFormatted * token.usdPrice
+        : w.usdValue,
+    sharePercentage:
+      token.balanceFormatted > 0
+        ? (w.balanceFormatted / token.balanceFormatted) * 100
+        : 0,
+  }));
+
+  return { ...token, wallets };
+}
+
+/**
+ * Build one combined portfolio across several wallets.
+ * Each wallet runs the same Moralis + DeFi pipeline as /api/balances; the
+ * holdings are then combined per token and NAV pricing, dust filtering and
+ * portfolio percentages are applied once across the whole set.
+ *
+ * @param {Array<{address: string, label: string|null}>} wallets - Lowercased addresses
+ * @param {object} options - { fresh: true } bypasses the caches
+ * @returns {object} { wallets, totalUsdValue, breakdown, tokens, ... }
+ */
+async function buildAggregatePortfolio(wallets, options = {}) {
+  console.log(`\n[portfolio] Fetching aggregate portfolio for ${wallets.length} wallets`);
+
+  const results = await Promise.allSettled(
+    wallets.map((w) => fetchWalletHoldings(w.address, options))
+  );
+
+  const walletHoldings = [];
+  const errors = [];
+  let defiPositionsIncluded = true;
+
+  results.forEach((result, index) => {
+    const { address, label } = wallets[index];
+    if (result.status === 'fulfilled') {
+      walletHoldings.push({ address, label, tokens: result.value.tokens });
+      errors.push(...result.value.errors.map((e) => ({ address, ...e })));
+      defiPositionsIncluded = defiPositionsIncluded && result.value.defiPositionsIncluded;
+    } else {
+      errors.push({
+        address,
+        source: 'portfolio',
+        error: result.reason?.message || 'Failed to fetch wallet holdings',
+      });
+      console.error(
+        `[portfolio] Holdings fetch failed for ${address}:`,
+        result.reason?.message
+      );
+    }
+  });
+
+  const combined = combineHoldings(walletHoldings);
+  const tokens = (await finalizeHoldings(combined, options)).map(priceWalletBreakdown);
+  const summary = summarizeHoldings(tokens);
+
+  logSummary(`${wallets.length} wallets`, summary, tokens.length);
+
+  const walletSummaries = wallets.map(({ address, label }) => {
+    const totalUsdValue = tokens.reduce((sum, t) => {
+      const entry = t.wallets.find((w) => w.address === address);
+      return sum + (entry?.usdValue || 0);
+    }, 0);
+    return {
+      address,
+      label,
+      totalUsdValue,
+      portfolioPercentage:
+        summary.totalUsdValue > 0 ? (totalUsdValue / summary.totalUsdValue) * 100 : 0,
+    };
+  });
+
+  return {
+    wallets: walletSummaries,
+    totalUsdValue: summary.totalUsdValue,
+    breakdown: summary.breakdown,
+    tokenCount: tokens.length,
+    tokens,
+    defiPositionsIncluded,
+    navPricingApplied: summary.navPricedCount > 0,
+    disclaimer: DISCLAIMER,
+    errors: errors.length > 0 ? errors : undefined,
+  };
+}
+
+module.exports = {
+  isValidAddress,
+  fetchWalletHoldings,
+  finalizeHoldings,
+  summarizeHoldings,
+  buildPortfolio,
+  buildAggregatePortfolio,
+  holdingKey,
+};
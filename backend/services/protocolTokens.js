@@ -0,0 +1,155 @@
+const path = require('path');
+const { dataPath, readJson, writeJson } = require('./storage');
+
+// ──────────────────────────────────────────────────────────────────────
+// Protocol-token registry
+//
+// Maps wallet tokens that represent a DeFi position (LSTs, LRTs, savings
+// and receipt tokens) to their protocol. Used to tag wallet tokens as DeFi
+// positions and to fill in Moralis DeFi positions that come back without
+// token data.
+//
+// Seeded from config/protocol-tokens.json. Admin edits are persisted to
+// DATA_DIR/protocol-tokens.json as { added, removed } on top of the seed,
+// so seed entries added in later releases still show up.
+//
+// Entry: { protocol, chainId, address (lowercase), symbol, positionType,
+//          underlying } — underlying is the base asset symbol the token is
+//          a claim on (ETH for LSTs/LRTs), used by the exposure report
+// ──────────────────────────────────────────────────────────────────────
+
+const SEED_PATH = path.join(__dirname, '..', 'config', 'protocol-tokens.json');
+const OVERRIDES_FILE = dataPath('protocol-tokens.json');
+
+const POSITION_TYPES = ['staking', 'restaking', 'savings', 'lending', 'liquidity'];
+
+const seed = require(SEED_PATH).tokens;
+
+let overrides = { added: [], removed: [] };
+let registry = buildRegistry();
+
+function entryKey(chainId, address) {
+  return `${chainId}:${address.toLowerCase()}`;
+}
+
+// Protocol names differ in case and punctuation between sources ("EtherFi" vs "ether.fi")
+function normalizeProtocol(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function buildRegistry() {
+  const removed = new Set(overrides.removed);
+  const entries = new Map();
+  for (const entry of [...seed, ...overrides.added]) {
+    const key = entryKey(entry.chainId, entry.address);
+    if (!removed.has(key)) entries.set(key, { ...entry, address: entry.address.toLowerCase() });
+  }
+  return entries;
+}
+
+/**
+ * Apply persisted admin edits on top of the seed. Called on startup.
+ *
+ * @returns {number} Registry size
+ */
+async function loadProtocolTokens() {
+  overrides = await readJson(OVERRIDES_FILE, { added: [], removed: [] });
+  registry = buildRegistry();
+  return registry.size;
+}
+
+/**
+ * @returns {Array<object>} Every mapping, sorted by chain then protocol
+ */
+function listProtocolTokens() {
+  return [...registry.values()].sort(
+    (a, b) => a.chainId - b.chainId || a.protocol.localeCompare(b.protocol) || (a.symbol || '').localeCompare(b.symbol || '')
+  );
+}
+
+/**
+ * @param {number} chainId
+ * @param {string} address
+ * @returns {object|null} The mapping for a token, if any
+ */
+function findProtocolToken(chainId, address) {
+  if (!address) return null;
+  return registry.get(entryKey(chainId, address)) || null;
+}
+
+/**
+ * Token addresses mapped to a protocol on a chain.
+ *
+ * @param {string} protocol - Protocol name (matched ignoring case and punctuation)
+ * @param {number} chainId
+ * @returns {Array<string>} Lowercased addresses
+ */
+function protocolTokenAddresses(protocol, chainId) {
+  const wanted = normalizeProtocol(protocol);
+  return listProtocolTokens()
+    .filter((e) => e.chainId === chainId && normalizeProtocol(e.protocol) === wanted)
+    .map((e) => e.address);
+}
+
+/**
+ * Add or replace the mapping for a token and persist it.
+ *
+ * @param {object} entry - { protocol, chainId, address, symbol, positionType, underlying }
+ * @returns {object} { entry, created }
+ */
+async function addProtocolToken({ protocol, chainId, address, symbol, positionType = 'staking', underlying }) {
+  const entry = {
+    protocol,
+    chainId,
+    symbol: symbol || null,
+    address: address.toLowerCase(),
+    positionType,
+    underlying: underlying || null,
+  };
+  const key = entryKey(chainId, address);
+  const created = !registry.has(key);
+
+  overrides = {
+    added: [...overrides.added.filter((e) => entryKey(e.chainId, e.address) !== key), entry],
+    removed: overrides.removed.filter((k) => k !== key),
+  };
+  await writeJson(OVERRIDES_FILE, overrides);
+  registry = buildRegistry();
+
+  console.log(`[protocolTokens] ${created ? 'Added' : 'Updated'} ${protocol} ${symbol || address} on chain ${chainId}`);
+  return { entry, created };
+}
+
+/**
+ * Remove the mapping for a token and persist it.
+ *
+ * @param {number} chainId
+ * @param {string} address
+ * @returns {object|null} The removed mapping, or null if there was none
+ */
+async function removeProtocolToken(chainId, address) {
+  const key = entryKey(chainId, address);
+  const existing = registry.get(key);
+  if (!existing) return null;
+
+  const inSeed = seed.some((e) => entryKey(e.chainId, e.address) === key);
+  overrides = {
+    added: overrides.added.filter((e) => entryKey(e.chainId, e.address) !== key),
+    removed: inSeed ? [...new Set([...overrides.removed, key])] : overrides.removed,
+  };
+  await writeJson(OVERRIDES_FILE, overrides);
+  registry = buildRegistry();
+
+  console.log(`[protocolTokens] Removed ${existing.protocol} ${existing.symbol || address} on chain ${chainId}`);
+  return existing;
+}
+
+module.exports = {
+  POSITION_TYPES,
+  loadProtocolTokens,
+  listProtocolTokens,
+  findProtocolToken,
+  protocolTokenAddresses,
+  addProtocolToken,
+  removeProtocolToken,
+};
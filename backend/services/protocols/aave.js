@@ -0,0 +1,157 @@
+const { ethers } = require('ethers');
+const { multicall } = require('../rpc');
+
+// ──────────────────────────────────────────────────────────────────────
+// Aave V3 adapter
+//
+// Reads a wallet's supplied (aToken) and borrowed (variable debt token)
+// balances for every reserve of the Pool, plus the account summary from
+// getUserAccountData(): collateral, debt and health factor. Aave reports
+// account values in its base currency — USD with 8 decimals.
+//
+// The reserve list (asset → aToken / debt token, decimals, symbol) is read
+// once and refreshed hourly, so a warm read is a single multicall.
+// ──────────────────────────────────────────────────────────────────────
+
+const POOLS = {
+  1: '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2',
+  8453: '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5',
+  42161: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+  10: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+};
+
+const BASE_CURRENCY_DECIMALS = 8;
+const RESERVES_MAX_AGE_MS = 3600 * 1000;
+
+const POOL_ABI = [
+  'function getReservesList() external view returns (address[])',
+  'function getUserAccountData(address user) external view returns (uint256 totalCollateralBase, uint256 totalDebtBase, uint256 availableBorrowsBase, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)',
+  'function getReserveData(address asset) external view returns (tuple(tuple(uint256 data) configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint128 accruedToTreasury, uint128 unbacked, uint128 isolationModeTotalDebt))',
+];
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) external view returns (uint256)',
+  'function decimals() external view returns (uint8)',
+  'function symbol() external view returns (string)',
+];
+
+const poolInterface = new ethers.Interface(POOL_ABI);
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+// chainId → { reserves: [{ asset, symbol, decimals, aToken, debtToken }], fetchedAt }
+const reservesCache = new Map();
+
+async function getReserves(chainId) {
+  const cached = reservesCache.get(chainId);
+  if (cached && Date.now() - cached.fetchedAt < RESERVES_MAX_AGE_MS) return cached.reserves;
+
+  const pool = POOLS[chainId];
+  const [list] = await multicall(chainId, [{ target: pool, iface: poolInterface, method: 'getReservesList' }]);
+  if (!list.success) throw new Error(`getReservesList() failed on Aave Pool ${pool}`);
+
+  const assets = [...list.value];
+  const results = await multicall(
+    chainId,
+    assets.flatMap((asset) => [
+      { target: pool, iface: poolInterface, method: 'getReserveData', args: [asset] },
+      { target: asset, iface: erc20Interface, method: 'decimals' },
+      { target: asset, iface: erc20Interface, method: 'symbol' },
+    ])
+  );
+
+  const reserves = [];
+  assets.forEach((asset, i) => {
+    const [data, decimals, symbol] = results.slice(i * 3, i * 3 + 3);
+    if (!data.success || !decimals.success) return;
+    reserves.push({
+      asset: asset.toLowerCase(),
+      symbol: symbol.success ? symbol.value : 'UNKNOWN',
+      decimals: Number(decimals.value),
+      aToken: data.value.aTokenAddress.toLowerCase(),
+      debtToken: data.value.variableDebtTokenAddress.toLowerCase(),
+    });
+  });
+
+  reservesCache.set(chainId, { reserves, fetchedAt: Date.now() });
+  return reserves;
+}
+
+function toUsd(base) {
+  return parseFloat(ethers.formatUnits(base, BASE_CURRENCY_DECIMALS));
+}
+
+function positionToken(reserve, raw, isDebt) {
+  const amount = parseFloat(ethers.formatUnits(raw, reserve.decimals));
+  return {
+    symbol: reserve.symbol,
+    name: reserve.symbol,
+    balance: isDebt ? -amount : amount,
+    price: null,
+    valueUsd: null,
+    tokenAddress: reserve.asset,
+    decimals: reserve.decimals,
+    receiptTokenAddress: isDebt ? reserve.debtToken : reserve.aToken,
+    isDebt,
+  };
+}
+
+/**
+ * Supplied and borrowed balances plus account health on one chain.
+ *
+ * @param {string} walletAddress
+ * @param {object} chain - Entry from SUPPORTED_CHAINS
+ * @returns {Array<object>} Zero or one position
+ */
+async function readPositions(walletAddress, chain) {
+  const pool = POOLS[chain.id];
+  const reserves = await getReserves(chain.id);
+
+  const [account, ...balances] = await multicall(chain.id, [
+    { target: pool, iface: poolInterface, method: 'getUserAccountData', args: [walletAddress] },
+    ...reserves.flatMap((reserve) => [
+      { target: reserve.aToken, iface: erc20Interface, method: 'balanceOf', args: [walletAddress] },
+      { target: reserve.debtToken, iface: erc20Interface, method: 'balanceOf', args: [walletAddress] },
+    ]),
+  ]);
+  if (!account.success) throw new Error(`getUserAccountData() failed on Aave Pool ${pool}`);
+
+  const tokens = [];
+  reserves.forEach((reserve, i) => {
+    const [supplied, borrowed] = balances.slice(i * 2, i * 2 + 2);
+    if (supplied.success && supplied.value > 0n) tokens.push(positionToken(reserve, supplied.value, false));
+    if (borrowed.success && borrowed.value > 0n) tokens.push(positionToken(reserve, borrowed.value, true));
+  });
+  if (tokens.length === 0) return [];
+
+  const [totalCollateralBase, totalDebtBase, availableBorrowsBase, liquidationThreshold, ltv, healthFactor] =
+    account.value;
+
+  return [
+    {
+      chain: chain.name,
+      chainId: chain.id,
+      protocol: 'Aave V3',
+      protocolLogo: null,
+      positionType: 'lending',
+      tokens,
+      totalValueUsd: 0,
+      // No debt → health factor is uint256 max
+      healthFactor: totalDebtBase > 0n ? parseFloat(ethers.formatUnits(healthFactor, 18)) : null,
+      details: {
+        totalCollateralUsd: toUsd(totalCollateralBase),
+        totalDebtUsd: toUsd(totalDebtBase),
+        availableBorrowsUsd: toUsd(availableBorrowsBase),
+        // Basis points → percent
+        liquidationThresholdPct: Number(liquidationThreshold) / 100,
+        ltvPct: Number(ltv) / 100,
+      },
+    },
+  ];
+}
+
+module.exports = {
+  name: 'Aave V3',
+  moralisNames: ['Aave V3'],
+  chainIds: Object.keys(POOLS).map(Number),
+  readPositions,
+};
@@ -0,0 +1,229 @@
+const { ethers } = require('ethers');
+const { multicall } = require('../rpc');
+
+// ──────────────────────────────────────────────────────────────────────
+// Compound V3 (Comet) adapter
+//
+// Each Comet market lends one base asset against a set of collateral
+// assets. Per market the wallet can hold a base supply (the Comet token
+// itself, e.g. cUSDCv3), a base borrow, and collateral balances.
+//
+// Comet has no health factor getter, so it is derived after pricing:
+//   Σ collateral value × liquidateCollateralFactor / debt value
+// matching Aave's definition (liquidatable below 1).
+//
+// Market configuration (base token, collateral assets and factors) is
+// read once and refreshed hourly; a warm read is a single multicall.
+// ──────────────────────────────────────────────────────────────────────
+
+const COMETS = {
+  1: [
+    '0xc3d688B66703497DAA19211EEdff47f25384cdc3', // cUSDCv3
+    '0xA17581A9E3356d9A858b789D68B4d866e593aE94', // cWETHv3
+    '0x3Afdc9BCA9213A35503b077a6072F3D0d5AB0840', // cUSDTv3
+  ],
+  8453: [
+    '0xb125E6687d4313864e53df431d5425969c15Eb2F', // cUSDCv3
+    '0x46e6b214b524310239732D51387075E0e70970bf', // cWETHv3
+    '0x9c4ec768c28520B50860ea7a15bd7213a9fF58bf', // cUSDbCv3
+  ],
+  42161: [
+    '0x9c4ec768c28520B50860ea7a15bd7213a9fF58bf', // cUSDCv3
+  ],
+};
+
+const MARKETS_MAX_AGE_MS = 3600 * 1000;
+
+const COMET_ABI = [
+  'function baseToken() external view returns (address)',
+  'function decimals() external view returns (uint8)',
+  'function numAssets() external view returns (uint8)',
+  'function getAssetInfo(uint8 i) external view returns (tuple(uint8 offset, address asset, address priceFeed, uint64 scale, uint64 borrowCollateralFactor, uint64 liquidateCollateralFactor, uint64 liquidationFactor, uint128 supplyCap))',
+  'function balanceOf(address account) external view returns (uint256)',
+  'function borrowBalanceOf(address account) external view returns (uint256)',
+  'function collateralBalanceOf(address account, address asset) external view returns (uint128)',
+];
+
+const ERC20_ABI = ['function symbol() external view returns (string)'];
+
+const cometInterface = new ethers.Interface(COMET_ABI);
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+// chainId → { markets: [{ comet, base: { address, decimals, symbol }, assets: [...] }], fetchedAt }
+const marketsCache = new Map();
+
+// Three round-trips: base token + asset count, asset info, symbols
+async function readMarkets(chainId) {
+  const comets = COMETS[chainId];
+
+  const phase1 = await multicall(
+    chainId,
+    comets.flatMap((comet) =>
+      ['baseToken', 'decimals', 'numAssets'].map((method) => ({ target: comet, iface: cometInterface, method }))
+    )
+  );
+  const markets = [];
+  comets.forEach((comet, i) => {
+    const [baseToken, decimals, numAssets] = phase1.slice(i * 3, i * 3 + 3);
+    if (!baseToken.success || !decimals.success || !numAssets.success) {
+      console.warn(`[protocols] Could not read Comet ${comet} on chain ${chainId}`);
+      return;
+    }
+    markets.push({
+      comet: comet.toLowerCase(),
+      base: { address: baseToken.value.toLowerCase(), decimals: Number(decimals.value) },
+      numAssets: Number(numAssets.value),
+    });
+  });
+
+  const phase2 = await multicall(
+    chainId,
+    markets.flatMap((m) =>
+      Array.from({ length: m.numAssets }, (_, i) => ({
+        target: m.comet,
+        iface: cometInterface,
+        method: 'getAssetInfo',
+        args: [i],
+      }))
+    )
+  );
+  let offset = 0;
+  for (const m of markets) {
+    m.assets = phase2
+      .slice(offset, offset + m.numAssets)
+      .filter((r) => r.success)
+      .map((r) => ({
+        address: r.value.asset.toLowerCase(),
+        // scale is 10^decimals
+        decimals: r.value.scale.toString().length - 1,
+        liquidateCollateralFactor: parseFloat(ethers.formatUnits(r.value.liquidateCollateralFactor, 18)),
+      }));
+    offset += m.numAssets;
+  }
+
+  const tokens = [...new Set(markets.flatMap((m) => [m.base.address, ...m.assets.map((a) => a.address)]))];
+  const symbols = await multicall(
+    chainId,
+    tokens.map((address) => ({ target: address, iface: erc20Interface, method: 'symbol' }))
+  );
+  const symbolOf = new Map(tokens.map((address, i) => [address, symbols[i].success ? symbols[i].value : 'UNKNOWN']));
+  for (const m of markets) {
+    m.base.symbol = symbolOf.get(m.base.address);
+    for (const asset of m.assets) asset.symbol = symbolOf.get(asset.address);
+  }
+
+  return markets;
+}
+
+async function getMarkets(chainId) {
+  const cached = marketsCache.get(chainId);
+  if (cached && Date.now() - cached.fetchedAt < MARKETS_MAX_AGE_MS) return cached.markets;
+
+  const markets = await readMarkets(chainId);
+  marketsCache.set(chainId, { markets, fetchedAt: Date.now() });
+  return markets;
+}
+
+function positionToken(token, raw, fields) {
+  return {
+    symbol: token.symbol,
+    name: token.symbol,
+    balance: parseFloat(ethers.formatUnits(raw, token.decimals)),
+    price: null,
+    valueUsd: null,
+    tokenAddress: token.address,
+    decimals: token.decimals,
+    receiptTokenAddress: null,
+    isDebt: false,
+    ...fields,
+  };
+}
+
+/**
+ * Base supply, base borrow and collateral per Comet market on one chain.
+ *
+ * @param {string} walletAddress
+ * @param {object} chain - Entry from SUPPORTED_CHAINS
+ * @returns {Array<object>} One position per market the wallet uses
+ */
+async function readPositions(walletAddress, chain) {
+  const markets = await getMarkets(chain.id);
+
+  const calls = markets.map((m) => [
+    { target: m.comet, iface: cometInterface, method: 'balanceOf', args: [walletAddress] },
+    { target: m.comet, iface: cometInterface, method: 'borrowBalanceOf', args: [walletAddress] },
+    ...m.assets.map((asset) => ({
+      target: m.comet,
+      iface: cometInterface,
+      method: 'collateralBalanceOf',
+      args: [walletAddress, asset.address],
+    })),
+  ]);
+  const results = await multicall(chain.id, calls.flat());
+
+  const positions = [];
+  let offset = 0;
+  markets.forEach((m, i) => {
+    const [supplied, borrowed, ...collateral] = results.slice(offset, offset + calls[i].length);
+    offset += calls[i].length;
+
+    const tokens = [];
+    if (supplied.success && supplied.value > 0n) {
+      // The Comet token itself is the base supply receipt (e.g. cUSDCv3)
+      tokens.push(positionToken(m.base, supplied.value, { receiptTokenAddress: m.comet }));
+    }
+    if (borrowed.success && borrowed.value > 0n) {
+      const token = positionToken(m.base, borrowed.value, { isDebt: true });
+      tokens.push({ ...token, balance: -token.balance });
+    }
+    m.assets.forEach((asset, j) => {
+      if (!collateral[j].success || collateral[j].value === 0n) return;
+      tokens.push(
+        positionToken(asset, collateral[j].value, { liquidateCollateralFactor: asset.liquidateCollateralFactor })
+      );
+    });
+    if (tokens.length === 0) return;
+
+    positions.push({
+      chain: chain.name,
+      chainId: chain.id,
+      protocol: 'Compound V3',
+      protocolLogo: null,
+      positionType: 'lending',
+      tokens,
+      totalValueUsd: 0,
+      healthFactor: null,
+      details: { market: m.comet, baseSymbol: m.base.symbol },
+    });
+  });
+
+  return positions;
+}
+
+/**
+ * Health factor and totals once the position's tokens are priced.
+ *
+ * @param {object} position - Priced position from readPositions
+ */
+function summarize(position) {
+  const collateral = position.tokens.filter((t) => t.liquidateCollateralFactor !== undefined);
+  const debt = position.tokens.filter((t) => t.isDebt);
+  const debtUsd = debt.reduce((sum, t) => sum + Math.abs(t.valueUsd || 0), 0);
+  const liquidationCapacityUsd = collateral.reduce(
+    (sum, t) => sum + (t.valueUsd || 0) * t.liquidateCollateralFactor,
+    0
+  );
+  const unpriced = [...collateral, ...debt].some((t) => t.valueUsd === null);
+
+  position.healthFactor = debtUsd > 0 && !unpriced ? liquidationCapacityUsd / debtUsd : null;
+  position.details.totalCollateralUsd = collateral.reduce((sum, t) => sum + (t.valueUsd || 0), 0);
+  position.details.totalDebtUsd = debtUsd;
+}
+
+module.exports = {
+  name: 'Compound V3',
+  moralisNames: ['Compound V3', 'Compound III'],
+  chainIds: Object.keys(COMETS).map(Number),
+  readPositions,
+  summarize,
+};
@@ -0,0 +1,303 @@
+const { ethers } = require('ethers');
+const { multicall } = require('../rpc');
+const { amountsForLiquidity, uncollectedFees } = require('./liquidityMath');
+
+// ──────────────────────────────────────────────────────────────────────
+// Concentrated-liquidity LP adapters (Uniswap V3, Aerodrome Slipstream)
+//
+// LP positions are NFTs held by the wallet on the protocol's
+// NonfungiblePositionManager. Each open position (liquidity or unclaimed
+// fees) becomes one DeFi position whose tokens are the underlying token
+// amounts — principal from liquidity and the tick range at the pool's
+// current price, plus uncollected fees — flagged inRange when the current
+// tick lies inside [tickLower, tickUpper).
+//
+// Reads, each one multicall for every position on the chain:
+//   1. manager balanceOf() + factory()
+//   2. tokenOfOwnerByIndex() per NFT
+//   3. positions() per NFT
+//   4. factory getPool() + token decimals/symbol (both cached)
+//   5. pool slot0(), fee growth globals, lower/upper ticks
+//
+// Slipstream positions staked in a gauge are held by the gauge, not the
+// wallet, and are not listed.
+// ──────────────────────────────────────────────────────────────────────
+
+const ERC20_ABI = [
+  'function decimals() external view returns (uint8)',
+  'function symbol() external view returns (string)',
+];
+
+const MANAGER_BASE_ABI = [
+  'function balanceOf(address owner) external view returns (uint256)',
+  'function factory() external view returns (address)',
+  'function tokenOfOwnerByIndex(address owner, uint256 index) external view returns (uint256)',
+];
+
+const POOL_FEE_ABI = [
+  'function feeGrowthGlobal0X128() external view returns (uint256)',
+  'function feeGrowthGlobal1X128() external view returns (uint256)',
+];
+
+// The two protocols share the math but differ in how pools are keyed
+// (fee tier vs tick spacing) and in the slot0() / ticks() layouts
+const PROTOCOLS = [
+  {
+    name: 'Uniswap V3',
+    moralisNames: ['Uniswap V3'],
+    managers: {
+      1: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
+      8453: '0x03a520b32C04BF3bEEf7BEb72E919cf822Ed34f1',
+      42161: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
+      10: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
+    },
+    poolKey: 'fee',
+    managerAbi: [
+      'function positions(uint256 tokenId) external view returns (uint96 nonce, address operator, address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)',
+    ],
+    factoryAbi: ['function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address)'],
+    poolAbi: [
+      'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+      'function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)',
+    ],
+  },
+  {
+    name: 'Aerodrome Slipstream',
+    moralisNames: ['Aerodrome Slipstream'],
+    managers: {
+      8453: '0x827922686190790b37229fd06084350E74485b72',
+    },
+    poolKey: 'tickSpacing',
+    managerAbi: [
+      'function positions(uint256 tokenId) external view returns (uint96 nonce, address operator, address token0, address token1, int24 tickSpacing, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)',
+    ],
+    factoryAbi: ['function getPool(address tokenA, address tokenB, int24 tickSpacing) external view returns (address)'],
+    poolAbi: [
+      'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, bool unlocked)',
+      'function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet, int128 stakedLiquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, uint256 rewardGrowthOutsideX128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)',
+    ],
+  },
+];
+
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+// Pools and token metadata never change
+const poolCache = new Map();
+const tokenMetadataCache = new Map();
+
+function createAdapter(protocol) {
+  const managerInterface = new ethers.Interface([...MANAGER_BASE_ABI, ...protocol.managerAbi]);
+  const factoryInterface = new ethers.Interface(protocol.factoryAbi);
+  const poolInterface = new ethers.Interface([...POOL_FEE_ABI, ...protocol.poolAbi]);
+
+  // ── 1–3: open positions owned by the wallet ──
+  async function readOwnedPositions(walletAddress, chainId) {
+    const manager = protocol.managers[chainId];
+    const [balance, factory] = await multicall(chainId, [
+      { target: manager, iface: managerInterface, method: 'balanceOf', args: [walletAddress] },
+      { target: manager, iface: managerInterface, method: 'factory' },
+    ]);
+    if (!balance.success || !factory.success) {
+      throw new Error(`balanceOf()/factory() failed on ${protocol.name} position manager ${manager}`);
+    }
+
+    const count = Number(balance.value);
+    const ids = await multicall(
+      chainId,
+      Array.from({ length: count }, (_, i) => ({
+        target: manager,
+        iface: managerInterface,
+        method: 'tokenOfOwnerByIndex',
+        args: [walletAddress, i],
+      }))
+    );
+    const tokenIds = ids.filter((r) => r.success).map((r) => r.value);
+
+    const details = await multicall(
+      chainId,
+      tokenIds.map((id) => ({ target: manager, iface: managerInterface, method: 'positions', args: [id] }))
+    );
+    const positions = [];
+    tokenIds.forEach((tokenId, i) => {
+      if (!details[i].success) return;
+      const p = details[i].value;
+      // Closed positions keep their NFT — skip them
+      if (p.liquidity === 0n && p.tokensOwed0 === 0n && p.tokensOwed1 === 0n) return;
+      positions.push({
+        tokenId: tokenId.toString(),
+        token0: p.token0.toLowerCase(),
+        token1: p.token1.toLowerCase(),
+        poolKey: Number(p[protocol.poolKey]),
+        tickLower: Number(p.tickLower),
+        tickUpper: Number(p.tickUpper),
+        liquidity: p.liquidity,
+        feeGrowthInside0LastX128: p.feeGrowthInside0LastX128,
+        feeGrowthInside1LastX128: p.feeGrowthInside1LastX128,
+        tokensOwed0: p.tokensOwed0,
+        tokensOwed1: p.tokensOwed1,
+      });
+    });
+
+    return { factory: factory.value, positions };
+  }
+
+  // ── 4: pool addresses and token metadata not seen before ──
+  async function resolvePoolsAndTokens(chainId, factory, positions) {
+    const poolId = (p) => `${chainId}:${p.token0}:${p.token1}:${p.poolKey}`;
+    const newPools = [...new Map(positions.filter((p) => !poolCache.has(poolId(p))).map((p) => [poolId(p), p])).values()];
+    const newTokens = [
+      ...new Set(
+        positions.flatMap((p) => [p.token0, p.token1]).filter((t) => !tokenMetadataCache.has(`${chainId}:${t}`))
+      ),
+    ];
+
+    const results = await multicall(chainId, [
+      ...newPools.map((p) => ({
+        target: factory,
+        iface: factoryInterface,
+        method: 'getPool',
+        args: [p.token0, p.token1, p.poolKey],
+      })),
+      ...newTokens.flatMap((t) => [
+        { target: t, iface: erc20Interface, method: 'decimals' },
+        { target: t, iface: erc20Interface, method: 'symbol' },
+      ]),
+    ]);
+
+    newPools.forEach((p, i) => {
+      if (results[i].success) poolCache.set(poolId(p), results[i].value.toLowerCase());
+    });
+    const metadata = results.slice(newPools.length);
+    newTokens.forEach((t, i) => {
+      const [decimals, symbol] = metadata.slice(i * 2, i * 2 + 2);
+      if (decimals.success) {
+        tokenMetadataCache.set(`${chainId}:${t}`, {
+          decimals: Number(decimals.value),
+          symbol: symbol.success ? symbol.value : 'UNKNOWN',
+        });
+      }
+    });
+
+    for (const p of positions) p.pool = poolCache.get(poolId(p)) || null;
+  }
+
+  // ── 5: pool state and the ticks bounding each position ──
+  async function readPoolStates(chainId, positions) {
+    const pools = [...new Set(positions.map((p) => p.pool).filter(Boolean))];
+    const poolCalls = pools.flatMap((pool) =>
+      ['slot0', 'feeGrowthGlobal0X128', 'feeGrowthGlobal1X128'].map((method) => ({
+        target: pool,
+        iface: poolInterface,
+        method,
+      }))
+    );
+    const withPool = positions.filter((p) => p.pool);
+    const tickCalls = withPool.flatMap((p) => [
+      { target: p.pool, iface: poolInterface, method: 'ticks', args: [p.tickLower] },
+      { target: p.pool, iface: poolInterface, method: 'ticks', args: [p.tickUpper] },
+    ]);
+    const results = await multicall(chainId, [...poolCalls, ...tickCalls]);
+
+    const states = new Map();
+    pools.forEach((pool, i) => {
+      const [slot0, global0, global1] = results.slice(i * 3, i * 3 + 3);
+      if (!slot0.success || !global0.success || !global1.success) return;
+      states.set(pool, {
+        sqrtPriceX96: slot0.value.sqrtPriceX96,
+        tick: Number(slot0.value.tick),
+        feeGrowthGlobal0X128: global0.value,
+        feeGrowthGlobal1X128: global1.value,
+      });
+    });
+
+    const ticks = results.slice(poolCalls.length);
+    withPool.forEach((p, i) => {
+      const [lower, upper] = ticks.slice(i * 2, i * 2 + 2);
+      if (lower.success && upper.success) p.ticks = { lower: lower.value, upper: upper.value };
+    });
+    return states;
+  }
+
+  function positionToken(chainId, address, principalRaw, feesRaw) {
+    const { decimals, symbol } = tokenMetadataCache.get(`${chainId}:${address}`);
+    const principal = principalRaw / 10 ** decimals;
+    const fees = parseFloat(ethers.formatUnits(feesRaw, decimals));
+    return {
+      symbol,
+      name: symbol,
+      balance: principal + fees,
+      price: null,
+      valueUsd: null,
+      tokenAddress: address,
+      decimals,
+      receiptTokenAddress: null,
+      isDebt: false,
+      principal,
+      uncollectedFees: fees,
+    };
+  }
+
+  /**
+   * Open LP positions on one chain, one DeFi position per NFT.
+   *
+   * @param {string} walletAddress
+   * @param {object} chain - Entry from SUPPORTED_CHAINS
+   * @returns {Array<object>}
+   */
+  async function readPositions(walletAddress, chain) {
+    const { factory, positions } = await readOwnedPositions(walletAddress, chain.id);
+    if (positions.length === 0) return [];
+
+    await resolvePoolsAndTokens(chain.id, factory, positions);
+    const states = await readPoolStates(chain.id, positions);
+
+    const results = [];
+    for (const p of positions) {
+      const pool = states.get(p.pool);
+      const known =
+        tokenMetadataCache.has(`${chain.id}:${p.token0}`) && tokenMetadataCache.has(`${chain.id}:${p.token1}`);
+      if (!pool || !p.ticks || !known) {
+        console.warn(`[protocols] ${protocol.name} position #${p.tokenId} on ${chain.name}: pool state unavailable`);
+        continue;
+      }
+
+      const { amount0, amount1 } = amountsForLiquidity(p.liquidity, pool.sqrtPriceX96, p.tickLower, p.tickUpper);
+      const tokens = [
+        positionToken(chain.id, p.token0, amount0, uncollectedFees(p, pool, p.ticks.lower, p.ticks.upper, 0)),
+        positionToken(chain.id, p.token1, amount1, uncollectedFees(p, pool, p.ticks.lower, p.ticks.upper, 1)),
+      ];
+      const inRange = pool.tick >= p.tickLower && pool.tick < p.tickUpper;
+
+      results.push({
+        chain: chain.name,
+        chainId: chain.id,
+        protocol: protocol.name,
+        protocolLogo: null,
+        positionType: 'liquidity',
+        tokens,
+        totalValueUsd: 0,
+        inRange,
+        details: {
+          tokenId: p.tokenId,
+          pool: p.pool,
+          [protocol.poolKey]: p.poolKey,
+          tickLower: p.tickLower,
+          tickUpper: p.tickUpper,
+          currentTick: pool.tick,
+          liquidity: p.liquidity.toString(),
+        },
+      });
+    }
+
+    return results;
+  }
+
+  return {
+    name: protocol.name,
+    moralisNames: protocol.moralisNames,
+    chainIds: Object.keys(protocol.managers).map(Number),
+    readPositions,
+  };
+}
+
+module.exports = PROTOCOLS.map(createAdapter);
@@ -0,0 +1,178 @@
+const { SUPPORTED_CHAINS } = require('../chains');
+const { fetchDefiPositions, getTokenPricesBatched } = require('../moralis');
+const { createCache } = require('../cache');
+
+// ──────────────────────────────────────────────────────────────────────
+// On-chain DeFi protocol adapters
+//
+// Moralis getDefiPositionsSummary detects protocols but often returns
+// unusable token data, so supported protocols are read straight from
+// their contracts. Each adapter exports:
+//   name            protocol name used in positions
+//   moralisNames    protocol names Moralis uses for the same protocol
+//   chainIds        chains the adapter knows contracts for
+//   readPositions(walletAddress, chain) → unpriced positions
+//   summarize(position)  (optional) derived fields once priced
+//
+// Positions keep the /api/defi-positions shape ({ chain, chainId,
+// protocol, positionType, tokens, totalValueUsd }) and add source,
+// healthFactor, inRange (LP positions) and details. Tokens add isDebt
+// (borrowed — negative balance and value), receiptTokenAddress (the
+// wallet token that represents the position, if any), exchangeRate for
+// LSTs, and principal / uncollectedFees for LP positions.
+//
+// Moralis remains the fallback: its positions are kept for every
+// protocol/chain no adapter read successfully.
+// ──────────────────────────────────────────────────────────────────────
+
+const ADAPTERS = [
+  require('./aave'),
+  require('./compound'),
+  ...require('./liquidStaking'),
+  ...require('./concentratedLiquidity'),
+];
+
+const protocolCache = createCache('protocols', 120);
+
+function normalizeProtocol(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function coverageKey(chainId, protocolName) {
+  return `${chainId}:${normalizeProtocol(protocolName)}`;
+}
+
+// Price every position token in one batch; tokens the market cannot price
+// fall back to priceVia (rate × price of another token)
+async function pricePositions(positions, options) {
+  const requests = new Map();
+  for (const pos of positions) {
+    const chain = SUPPORTED_CHAINS.find((c) => c.id === pos.chainId);
+    for (const token of pos.tokens) {
+      for (const tokenAddress of [token.tokenAddress, token.priceVia?.tokenAddress]) {
+        if (tokenAddress) requests.set(`${pos.chainId}:${tokenAddress}`, { tokenAddress, chain });
+      }
+    }
+  }
+  const prices = await getTokenPricesBatched([...requests.values()], options);
+
+  for (const pos of positions) {
+    for (const token of pos.tokens) {
+      const market = prices[`${pos.chainId}:${token.tokenAddress}`]?.usdPrice || null;
+      const via = token.priceVia
+        ? prices[`${pos.chainId}:${token.priceVia.tokenAddress}`]?.usdPrice || null
+        : null;
+      token.price = market ?? (via !== null ? via * token.priceVia.rate : null);
+      token.valueUsd = token.price !== null ? token.balance * token.price : null;
+      delete token.priceVia;
+    }
+    pos.totalValueUsd = pos.tokens.reduce((sum, t) => sum + (t.valueUsd || 0), 0);
+  }
+}
+
+async function loadProtocolPositions(walletAddress, options) {
+  const jobs = [];
+  for (const adapter of ADAPTERS) {
+    for (const chain of SUPPORTED_CHAINS) {
+      if (adapter.chainIds.includes(chain.id)) jobs.push({ adapter, chain });
+    }
+  }
+
+  const results = await Promise.allSettled(
+    jobs.map(({ adapter, chain }) => adapter.readPositions(walletAddress.toLowerCase(), chain))
+  );
+
+  const positions = [];
+  const errors = [];
+  const covered = [];
+  results.forEach((result, i) => {
+    const { adapter, chain } = jobs[i];
+    if (result.status === 'fulfilled') {
+      covered.push(...adapter.moralisNames.map((name) => coverageKey(chain.id, name)));
+      positions.push(...result.value.map((pos) => ({ ...pos, source: 'onchain' })));
+      return;
+    }
+    errors.push({ chain: chain.name, protocol: adapter.name, error: result.reason?.message || 'Unknown error' });
+    console.error(`[protocols] ${adapter.name} on ${chain.name} failed: ${result.reason?.message}`);
+  });
+
+  await pricePositions(positions, options);
+  for (const pos of positions) {
+    ADAPTERS.find((a) => a.name === pos.protocol)?.summarize?.(pos);
+  }
+
+  console.log(
+    `[protocols] ${walletAddress}: ${positions.length} on-chain positions from ${jobs.length - errors.length}/${jobs.length} protocol reads`
+  );
+
+  return { positions, errors, covered };
+}
+
+/**
+ * Positions read directly from protocol contracts, cached per wallet.
+ * Results with adapter errors are not cached.
+ *
+ * @param {string} walletAddress - The 0x wallet address
+ * @param {object} options - { fresh: true } bypasses the cache
+ * @returns {object} { positions, errors, covered: chainId:protocol keys read successfully }
+ */
+async function getProtocolPositions(walletAddress, options = {}) {
+  return protocolCache.get(
+    walletAddress.toLowerCase(),
+    () => loadProtocolPositions(walletAddress, options),
+    { fresh: options.fresh, shouldCache: (result) => result.errors.length === 0 }
+  );
+}
+
+/**
+ * All DeFi positions for a wallet: on-chain adapter positions first, then
+ * Moralis positions for protocols/chains the adapters did not cover.
+ * Throws only when both sources fail.
+ *
+ * @param {string} walletAddress - The 0x wallet address
+ * @param {object} options - { fresh: true } bypasses the caches
+ * @returns {object} { positions, errors }
+ */
+async function getDefiPositions(walletAddress, options = {}) {
+  const [onchainResult, moralisResult] = await Promise.allSettled([
+    getProtocolPositions(walletAddress, options),
+    fetchDefiPositions(walletAddress, options),
+  ]);
+
+  if (onchainResult.status === 'rejected' && moralisResult.status === 'rejected') {
+    throw new Error(moralisResult.reason?.message || 'Failed to fetch DeFi positions');
+  }
+
+  const positions = [];
+  const errors = [];
+
+  const covered = new Set();
+  if (onchainResult.status === 'fulfilled') {
+    positions.push(...onchainResult.value.positions);
+    errors.push(...onchainResult.value.errors);
+    onchainResult.value.covered.forEach((key) => covered.add(key));
+  } else {
+    errors.push({ protocol: 'on-chain adapters', error: onchainResult.reason?.message || 'Unknown error' });
+  }
+
+  if (moralisResult.status === 'fulfilled') {
+    const fallback = moralisResult.value.positions.filter(
+      (pos) => !covered.has(coverageKey(pos.chainId, pos.protocol))
+    );
+    positions.push(...fallback.map((pos) => ({ ...pos, source: 'moralis' })));
+    errors.push(...moralisResult.value.errors);
+    console.log(
+      `[protocols] Moralis fallback: kept ${fallback.length}/${moralisResult.value.positions.length} positions`
+    );
+  } else {
+    errors.push({ protocol: 'moralis', error: moralisResult.reason?.message || 'Unknown error' });
+  }
+
+  return { positions, errors };
+}
+
+module.exports = {
+  ADAPTERS,
+  getProtocolPositions,
+  getDefiPositions,
+};
@@ -0,0 +1,126 @@
+const { ethers } = require('ethers');
+const { multicall } = require('../rpc');
+const { getNativeToken } = require('../chains');
+
+// ──────────────────────────────────────────────────────────────────────
+// Liquid staking adapters (Lido, EtherFi, Rocket Pool)
+//
+// Staked ETH positions live in the wallet as LST balances. Each adapter
+// reads the wallet's LST balances and each token's exchange rate to ETH
+// in one multicall. Rebasing tokens (stETH, eETH) are 1:1 with ETH.
+//
+// Tokens carry priceVia (ETH × rate) so an LST the market cannot price
+// is still valued.
+// ──────────────────────────────────────────────────────────────────────
+
+const LST_ABI = [
+  'function balanceOf(address owner) external view returns (uint256)',
+  'function stEthPerToken() external view returns (uint256)',
+  'function getRate() external view returns (uint256)',
+  'function getExchangeRate() external view returns (uint256)',
+];
+
+const lstInterface = new ethers.Interface(LST_ABI);
+
+// rateMethod returns ETH per token with 18 decimals; null = rebasing, 1:1
+const PROTOCOLS = [
+  {
+    name: 'Lido',
+    moralisNames: ['Lido'],
+    tokens: {
+      1: [
+        { symbol: 'stETH', name: 'Liquid staked Ether 2.0', address: '0xae7ab96520de3a18e5e111b5eaab095312d7fe84', rateMethod: null },
+        { symbol: 'wstETH', name: 'Wrapped liquid staked Ether 2.0', address: '0x7f39c581f595b53c5cb19bd0b3f8da6c935e2ca0', rateMethod: 'stEthPerToken' },
+      ],
+    },
+  },
+  {
+    name: 'EtherFi',
+    moralisNames: ['EtherFi', 'ether.fi'],
+    tokens: {
+      1: [
+        { symbol: 'eETH', name: 'ether.fi ETH', address: '0x35fa164735182de50811e8e2e824cfb9b6118ac2', rateMethod: null },
+        { symbol: 'weETH', name: 'Wrapped eETH', address: '0xcd5fe23c85820f7b72d0926fc9b05b43e359b7ee', rateMethod: 'getRate' },
+      ],
+    },
+  },
+  {
+    name: 'Rocket Pool',
+    moralisNames: ['Rocket Pool'],
+    tokens: {
+      1: [
+        { symbol: 'rETH', name: 'Rocket Pool ETH', address: '0xae78736cd615f374d3085123a210448e74fc6393', rateMethod: 'getExchangeRate' },
+      ],
+    },
+  },
+];
+
+function createAdapter(protocol) {
+  /**
+   * LST balances and exchange rates on one chain.
+   *
+   * @param {string} walletAddress
+   * @param {object} chain - Entry from SUPPORTED_CHAINS
+   * @returns {Array<object>} Zero or one staking position
+   */
+  async function readPositions(walletAddress, chain) {
+    const lsts = protocol.tokens[chain.id];
+    const results = await multicall(
+      chain.id,
+      lsts.flatMap((lst) => [
+        { target: lst.address, iface: lstInterface, method: 'balanceOf', args: [walletAddress] },
+        ...(lst.rateMethod ? [{ target: lst.address, iface: lstInterface, method: lst.rateMethod }] : []),
+      ])
+    );
+
+    const wrappedNative = getNativeToken(chain.id)?.wrappedAddress || null;
+    const tokens = [];
+    let offset = 0;
+    for (const lst of lsts) {
+      const balance = results[offset++];
+      const rate = lst.rateMethod ? results[offset++] : null;
+      if (!balance.success || balance.value === 0n) continue;
+      if (rate && !rate.success) {
+        throw new Error(`${lst.rateMethod}() failed on ${lst.symbol} ${lst.address}`);
+      }
+
+      const exchangeRate = rate ? parseFloat(ethers.formatUnits(rate.value, 18)) : 1;
+      tokens.push({
+        symbol: lst.symbol,
+        name: lst.name,
+        balance: parseFloat(ethers.formatUnits(balance.value, 18)),
+        price: null,
+        valueUsd: null,
+        tokenAddress: lst.address,
+        decimals: 18,
+        receiptTokenAddress: lst.address,
+        isDebt: false,
+        exchangeRate,
+        underlyingSymbol: 'ETH',
+        priceVia: wrappedNative ? { tokenAddress: wrappedNative, rate: exchangeRate } : null,
+      });
+    }
+    if (tokens.length === 0) return [];
+
+    return [
+      {
+        chain: chain.name,
+        chainId: chain.id,
+        protocol: protocol.name,
+        protocolLogo: null,
+        positionType: 'staking',
+        tokens,
+        totalValueUsd: 0,
+      },
+    ];
+  }
+
+  return {
+    name: protocol.name,
+    moralisNames: protocol.moralisNames,
+    chainIds: Object.keys(protocol.tokens).map(Number),
+    readPositions,
+  };
+}
+
+module.exports = PROTOCOLS.map(createAdapter);
@@ -0,0 +1,59 @@
+// ──────────────────────────────────────────────────────────────────────
+// Concentrated-liquidity math
+//
+// Float and BigInt ports of the Uniswap V3 position math the LP adapters
+// (concentratedLiquidity.js) need: principal token amounts for a tick
+// range at the pool's price, and uncollected fees from the fee growth
+// counters. Aerodrome Slipstream uses the same math.
+// ──────────────────────────────────────────────────────────────────────
+
+const Q128 = 2n ** 128n;
+const Q256 = 2n ** 256n;
+const Q96 = 2 ** 96;
+
+function sqrtPriceAtTick(tick) {
+  return Math.pow(1.0001, tick / 2);
+}
+
+/**
+ * Token amounts (raw units, as floats) held by `liquidity` between two
+ * ticks at the current sqrt price.
+ *
+ * @returns {object} { amount0, amount1 }
+ */
+function amountsForLiquidity(liquidity, sqrtPriceX96, tickLower, tickUpper) {
+  const L = Number(liquidity);
+  const sp = Number(sqrtPriceX96) / Q96;
+  const sa = sqrtPriceAtTick(tickLower);
+  const sb = sqrtPriceAtTick(tickUpper);
+
+  if (sp <= sa) return { amount0: (L * (sb - sa)) / (sa * sb), amount1: 0 };
+  if (sp >= sb) return { amount0: 0, amount1: L * (sb - sa) };
+  return { amount0: (L * (sb - sp)) / (sp * sb), amount1: L * (sp - sa) };
+}
+
+const mod256 = (x) => ((x % Q256) + Q256) % Q256;
+
+/**
+ * Uncollected fees (raw units) for one token side of a position — owed
+ * amount plus fees accrued since the position was last touched. Fee growth
+ * counters wrap around 2^256, like the contracts.
+ */
+function uncollectedFees(position, pool, lowerTick, upperTick, side) {
+  const global = pool[`feeGrowthGlobal${side}X128`];
+  const lowerOutside = lowerTick[`feeGrowthOutside${side}X128`];
+  const upperOutside = upperTick[`feeGrowthOutside${side}X128`];
+
+  const below = pool.tick >= position.tickLower ? lowerOutside : mod256(global - lowerOutside);
+  const above = pool.tick < position.tickUpper ? upperOutside : mod256(global - upperOutside);
+  const inside = mod256(global - below - above);
+
+  const accrued = (position.liquidity * mod256(inside - position[`feeGrowthInside${side}LastX128`])) / Q128;
+  return position[`tokensOwed${side}`] + accrued;
+}
+
+module.exports = {
+  sqrtPriceAtTick,
+  amountsForLiquidity,
+  uncollectedFees,
+};
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// ──────────────────────────────────────────────────────────────────────
+// Record / replay data providers
+//
+// record: wraps the live provider and writes every Moralis response and
+//         JSON-RPC call result to FIXTURES_DIR as it happens.
+// replay: serves those captured responses without network access or an
+//         API key. A request with no captured fixture fails loudly.
+//
+// Fixture layout:
+//   <FIXTURES_DIR>/moralis/<method>/<hash>.json   { request, result | error }
+//   <FIXTURES_DIR>/rpc/<chainId>/<hash>.json      { request, result | error }
+//
+// The hash covers the request (method + arguments, with chains reduced to
+// their chain id; JSON-RPC ids are ignored) so the same call always maps
+// to the same file.
+// ──────────────────────────────────────────────────────────────────────
+
+function hashRequest(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 32);
+}
+
+// Chain config objects carry SDK instances — fixtures only need the id
+function serializeArgs(args) {
+  return args.map((arg) =>
+    arg && typeof arg === 'object' && 'moralisChain' in arg ? { chainId: arg.id } : arg
+  );
+}
+
+function moralisFixturePath(fixturesDir, method, request) {
+  return path.join(fixturesDir, 'moralis', method, `${hashRequest(request)}.json`);
+}
+
+function rpcFixturePath(fixturesDir, chainId, request) {
+  return path.join(fixturesDir, 'rpc', String(chainId), `${hashRequest(request)}.json`);
+}
+
+function writeFixture(filePath, fixture) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2));
+}
+
+function readFixture(filePath, description) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`[replay] No fixture recorded for ${description}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function rpcRequest(payload) {
+  return { method: payload.method, params: payload.params };
+}
+
+// JSON-RPC provider that forwards to the real node and captures each result
+class RecordingJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(url, chainId, fixturesDir) {
+    const network = ethers.Network.from(chainId);
+    super(url, network, { staticNetwork: network });
+    this.fixtureChainId = chainId;
+    this.fixturesDir = fixturesDir;
+  }
+
+  async _send(payload) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const results = await super._send(payload);
+
+    for (const p of payloads) {
+      const response = results.find((r) => r.id === p.id);
+      if (!response) continue;
+      const request = rpcRequest(p);
+      writeFixture(rpcFixturePath(this.fixturesDir, this.fixtureChainId, request), {
+        request,
+        ...('error' in response ? { error: response.error } : { result: response.result }),
+      });
+    }
+
+    return results;
+  }
+}
+
+// JSON-RPC provider that answers every call from captured fixtures
+class ReplayJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(chainId, fixturesDir) {
+    const network = ethers.Network.from(chainId);
+    super('http://replay.invalid', network, { staticNetwork: network });
+    this.fixtureChainId = chainId;
+    this.fixturesDir = fixturesDir;
+  }
+
+  async _send(payload) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+
+    return payloads.map((p) => {
+      const request = rpcRequest(p);
+      const fixture = readFixture(
+        rpcFixturePath(this.fixturesDir, this.fixtureChainId, request),
+        `${p.method} on chain ${this.fixtureChainId}`
+      );
+      return 'error' in fixture
+        ? { id: p.id, error: fixture.error }
+        : { id: p.id, result: fixture.result };
+    });
+  }
+}
+
+// Moralis-backed methods shared by record and replay
+const MORALIS_METHODS = [
+  'getWalletTokenBalances',
+  'getTokenPrice',
+  'getHistoricalTokenPrice',
+  'getWalletHistory',
+  'getBlockByDate',
+  'getDefiPositions',
+];
+
+/**
+ * Wrap a live provider so every response is also written to fixtures.
+ */
+function createRecordingProvider(liveProvider, fixturesDir) {
+  const rpcProviders = {};
+  const provider = {
+    name: 'record',
+    init: () => liveProvider.init(),
+    getRpcProvider(chainId) {
+      if (!rpcProviders[chainId]) {
+        rpcProviders[chainId] = new RecordingJsonRpcProvider(
+          liveProvider.getRpcUrl(chainId),
+          chainId,
+          fixturesDir
+        );
+      }
+      return rpcProviders[chainId];
+    },
+  };
+
+  for (const method of MORALIS_METHODS) {
+    provider[method] = async (...args) => {
+      const request = { method, args: serializeArgs(args) };
+      const filePath = moralisFixturePath(fixturesDir, method, request);
+      try {
+        const result = await liveProvider[method](...args);
+        writeFixture(filePath, { request, result });
+        return result;
+      } catch (err) {
+        // Errors are part of the recording — e.g. tokens Moralis cannot price.
+        // The HTTP status tells "no data" (4xx) from a transient failure.
+        writeFixture(filePath, {
+          request,
+          error: { message: err.message, status: err.details?.status ?? null },
+        });
+        throw err;
+      }
+    };
+  }
+
+  console.log(`[providers] Recording fixtures to ${fixturesDir}`);
+  return provider;
+}
+
+/**
+ * Provider that serves previously recorded fixtures only.
+ */
+function createReplayProvider(fixturesDir) {
+  const rpcProviders = {};
+  const provider = {
+    name: 'replay',
+    init: async () => {},
+    getRpcProvider(chainId) {
+      if (!rpcProviders[chainId]) {
+        rpcProviders[chainId] = new ReplayJsonRpcProvider(chainId, fixturesDir);
+      }
+      return rpcProviders[chainId];
+    },
+  };
+
+  for (const method of MORALIS_METHODS) {
+    provider[method] = async (...args) => {
+      const request = { method, args: serializeArgs(args) };
+      const fixture = readFixture(
+        moralisFixturePath(fixturesDir, method, request),
+        `${method}(${JSON.stringify(request.args)})`
+      );
+      if (fixture.error) {
+        const err = new Error(fixture.error.message);
+        if (fixture.error.status) err.details = { status: fixture.error.status };
+        throw err;
+      }
+      return fixture.result;
+    };
+  }
+
+  console.log(`[providers] Replaying fixtures from ${fixturesDir}`);
+  return provider;
+}
+
+module.exports = {
+  MORALIS_METHODS,
+  createRecordingProvider,
+  createReplayProvider,
+};
@@ -0,0 +1,77 @@
+const path = require('path');
+const liveProvider = require('./live');
+const { createRecordingProvider, createReplayProvider } = require('./fixtures');
+
+// ──────────────────────────────────────────────────────────────────────
+// Data provider selection
+//
+// All external data (wallet balances, prices, DeFi positions, JSON-RPC)
+// goes through one provider with this interface:
+//   init()                                       → Promise<void>
+//   getWalletTokenBalances(walletAddress, chain) → Promise<token[]>
+//   getTokenPrice(tokenAddress, chain)           → Promise<{ usdPrice, ... }> (throws if unpriced)
+//   getHistoricalTokenPrice(tokenAddress, chain, blockNumber)
+//                                                → Promise<{ usdPrice, blockNumber }> (throws if unpriced)
+//   getWalletHistory(walletAddress, chain, cursor)
+//                                                → Promise<{ transactions, cursor }> (one page, oldest first)
+//   getBlockByDate(chain, isoDate)               → Promise<{ blockNumber, timestamp }>
+//   getDefiPositions(walletAddress, chain)       → Promise<position[]>
+//   getRpcProvider(chainId)                      → ethers Provider
+//
+// DATA_PROVIDER selects the implementation:
+//   live   (default) Moralis + JSON-RPC over the network
+//   record live, and every response is saved to FIXTURES_DIR
+//   replay served entirely from FIXTURES_DIR — no network, no API key
+// ──────────────────────────────────────────────────────────────────────
+
+const PROVIDER_MODES = ['live', 'record', 'replay'];
+
+let activeProvider = null;
+
+function getFixturesDir() {
+  return path.resolve(
+    process.env.FIXTURES_DIR || path.join(__dirname, '..', '..', 'fixtures')
+  );
+}
+
+function createProvider(mode) {
+  switch (mode) {
+    case 'live':
+      return liveProvider;
+    case 'record':
+      return createRecordingProvider(liveProvider, getFixturesDir());
+    case 'replay':
+      return createReplayProvider(getFixturesDir());
+    default:
+      throw new Error(
+        `Unknown DATA_PROVIDER "${mode}" — expected one of: ${PROVIDER_MODES.join(', ')}`
+      );
+  }
+}
+
+function getDataProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider(process.env.DATA_PROVIDER || 'live');
+  }
+  return activeProvider;
+}
+
+// Swap the active provider (e.g. a replay provider pointed at test fixtures)
+function setDataProvider(provider) {
+  activeProvider = provider;
+}
+
+async function initDataProvider() {
+  const provider = getDataProvider();
+  await provider.init();
+  console.log(`[providers] Using ${provider.name} data provider`);
+}
+
+module.exports = {
+  PROVIDER_MODES,
+  getDataProvider,
+  setDataProvider,
+  initDataProvider,
+  createReplayProvider,
+  createRecordingProvider,
+};
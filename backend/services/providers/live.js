@@ -0,0 +1,318 @@
+const Moralis = require('moralis').default;
+const { ethers } = require('ethers');
+const { getRpcUrls } = require('../chains');
+const { NATIVE_TOKEN_ADDRESS } = require('../tokenList');
+
+// ──────────────────────────────────────────────────────────────────────
+// Live data provider — Moralis Web3 Data API + public/configured JSON-RPC
+//
+// Every method returns plain JSON-serializable data so the record/replay
+// provider can capture and serve it unchanged.
+// ──────────────────────────────────────────────────────────────────────
+
+let moralisInitialized = false;
+const rpcProviders = {};
+
+async function init() {
+  if (moralisInitialized) return;
+
+  const apiKey = process.env.MORALIS_API_KEY;
+  if (!apiKey) {
+    throw new Error('MORALIS_API_KEY environment variable is required');
+  }
+
+  await Moralis.start({ apiKey });
+  moralisInitialized = true;
+  console.log('[moralis] SDK initialized');
+}
+
+// Token balances (with prices) for one wallet on one chain
+async function getWalletTokenBalances(walletAddress, chain) {
+  await init();
+
+  const response = await Moralis.EvmApi.wallets.getWalletTokenBalancesPrice({
+    address: walletAddress,
+    chain: chain.moralisChain,
+  });
+
+  return response.result.map((token) => ({
+    chain: chain.name,
+    chainId: chain.id,
+    tokenAddress: token.tokenAddress?.lowercase || null,
+    symbol: token.symbol,
+    name: token.name,
+    decimals: token.decimals,
+    balance: token.balance?.toString() || '0',
+    balanceFormatted: parseFloat(token.balanceFormatted) || 0,
+    usdPrice: token.usdPrice || null,
+    usdValue: token.usdValue || null,
+    logo: token.logo || null,
+    thumbnail: token.thumbnail || null,
+    priceSource: token.usdPrice ? 'market' : null,
+    nativeToken: token.nativeToken || false,
+    portfolioPercentage: token.portfolioPercentage || 0,
+  }));
+}
+
+// Current USD price for one token. Throws when Moralis has no price.
+async function getTokenPrice(tokenAddress, chain) {
+  await init();
+
+  const response = await Moralis.EvmApi.token.getTokenPrice({
+    address: tokenAddress,
+    chain: chain.moralisChain,
+  });
+
+  return {
+    usdPrice: response.result.usdPrice,
+    exchangeName: response.result.exchangeName,
+    exchangeAddress: response.result.exchangeAddress,
+  };
+}
+
+// USD price of one token as of a past block. Throws when Moralis has no price.
+async function getHistoricalTokenPrice(tokenAddress, chain, blockNumber) {
+  await init();
+
+  const response = await Moralis.EvmApi.token.getTokenPrice({
+    address: tokenAddress,
+    chain: chain.moralisChain,
+    toBlock: blockNumber,
+  });
+
+  return {
+    usdPrice: response.result.usdPrice,
+    blockNumber,
+  };
+}
+
+// Block closest to a date on one chain. `date` is an ISO string.
+async function getBlockByDate(chain, date) {
+  await init();
+
+  const response = await Moralis.EvmApi.block.getDateToBlock({
+    chain: chain.moralisChain,
+    date,
+  });
+
+  return {
+    blockNumber: Number(response.result.block),
+    timestamp: Number(response.result.timestamp),
+  };
+}
+
+const HISTORY_PAGE_SIZE = 100;
+
+function lower(address) {
+  return typeof address === 'string' ? address.toLowerCase() : null;
+}
+
+// Token movements of one history transaction, from the wallet's point of
+// view. Native transfers are reported under NATIVE_TOKEN_ADDRESS; transfers
+// Moralis flags as spam are dropped.
+function mapHistoryTransfers(tx, wallet, chain) {
+  const direction = (from, to) => (lower(to) === wallet ? 'in' : lower(from) === wallet ? 'out' : null);
+
+  const erc20 = (tx.erc20_transfers || [])
+    .filter((t) => !t.possible_spam)
+    .map((t) => ({
+      tokenAddress: lower(t.address),
+      symbol: t.token_symbol,
+      name: t.token_name,
+      decimals: t.token_decimals ? Number(t.token_decimals) : null,
+      amount: parseFloat(t.value_formatted) || 0,
+      rawAmount: t.value,
+      from: lower(t.from_address),
+      to: lower(t.to_address),
+      direction: direction(t.from_address, t.to_address),
+      nativeToken: false,
+    }));
+
+  const native = (tx.native_transfers || []).map((t) => ({
+    tokenAddress: NATIVE_TOKEN_ADDRESS,
+    symbol: t.token_symbol || chain.nativeToken.symbol,
+    name: chain.nativeToken.name,
+    decimals: chain.nativeToken.decimals,
+    amount: parseFloat(t.value_formatted) || 0,
+    rawAmount: t.value,
+    from: lower(t.from_address),
+    to: lower(t.to_address),
+    direction: direction(t.from_address, t.to_address),
+    nativeToken: true,
+  }));
+
+  return [...erc20, ...native].filter((t) => t.direction !== null && t.from !== t.to);
+}
+
+// One page of a wallet's transaction history on one chain, oldest first.
+// Pass the returned cursor back in to get the next page; null means done.
+async function getWalletHistory(walletAddress, chain, cursor = null) {
+  await init();
+
+  const response = await Moralis.EvmApi.wallets.getWalletHistory({
+    address: walletAddress,
+    chain: chain.moralisChain,
+    order: 'ASC',
+    limit: HISTORY_PAGE_SIZE,
+    ...(cursor ? { cursor } : {}),
+  });
+
+  const raw = response.toJSON();
+  const wallet = walletAddress.toLowerCase();
+
+  const transactions = (raw.result || [])
+    .filter((tx) => !tx.possible_spam)
+    .map((tx) => ({
+      chain: chain.name,
+      chainId: chain.id,
+      hash: tx.hash,
+      blockNumber: Number(tx.block_number),
+      timestamp: new Date(tx.block_timestamp).toISOString(),
+      from: lower(tx.from_address),
+      to: lower(tx.to_address),
+      category: tx.category || null,
+      summary: tx.summary || null,
+      methodLabel: tx.method_label || null,
+      status: tx.receipt_status === '0' ? 'failed' : 'success',
+      feeNative: parseFloat(tx.transaction_fee) || 0,
+      transfers: mapHistoryTransfers(tx, wallet, chain),
+    }));
+
+  return { transactions, cursor: raw.cursor || null };
+}
+
+// DeFi positions summary for one wallet on one chain, mapped to the
+// tracker's position shape
+async function getDefiPositions(walletAddress, chain) {
+  await init();
+
+  const response = await Moralis.EvmApi.wallets.getDefiPositionsSummary({
+    address: walletAddress,
+    chain: chain.moralisChain,
+  });
+
+  const raw = response.result || [];
+  const positions = [];
+
+  for (const pos of raw) {
+    // Moralis nests token data under pos.position (an inner object with label, tokens, balanceUsd).
+    // The outer object has protocolName, protocolLogo, etc.
+    const positionData = pos.position || {};
+    const tokenList = positionData.tokens || pos.tokens || [];
+
+    const mappedTokens = tokenList.map((t) => {
+      const balance = parseFloat(
+        t.balanceFormatted || t.balance_formatted || t.balance || 0
+      );
+      const price = t.usdPrice ?? t.usd_price ?? null;
+      const valueUsd = t.usdValue ?? t.usd_value ?? null;
+      const computedValue =
+        valueUsd !== null
+          ? valueUsd
+          : price !== null && balance > 0
+            ? balance * price
+            : null;
+
+      return {
+        symbol: t.symbol,
+        name: t.name,
+        balance,
+        price,
+        valueUsd: computedValue,
+        tokenAddress: t.tokenAddress || t.address || t.token_address || null,
+        decimals: t.decimals ? Number(t.decimals) : 18,
+      };
+    });
+
+    const totalFromTokens = mappedTokens.reduce(
+      (sum, t) => sum + (t.valueUsd || 0),
+      0
+    );
+    const totalValueUsd =
+      positionData.balanceUsd ||
+      positionData.balance_usd ||
+      pos.totalUsdValue ||
+      pos.usdValue ||
+      totalFromTokens ||
+      0;
+
+    positions.push({
+      chain: chain.name,
+      chainId: chain.id,
+      protocol: pos.protocolName || pos.protocol?.name || 'Unknown',
+      protocolLogo: pos.protocolLogo || pos.protocol?.logo || null,
+      positionType: positionData.label || pos.positionType || pos.type || 'deposit',
+      tokens: mappedTokens,
+      totalValueUsd,
+    });
+  }
+
+  console.log(`[moralis] ${chain.name}: fetched ${raw.length} DeFi positions`);
+  if (raw.length > 0) {
+    // Log structure of first position for debugging
+    const first = raw[0];
+    console.log(
+      `[moralis]   First position keys: ${Object.keys(first).join(', ')}`
+    );
+    if (first.position) {
+      console.log(
+        `[moralis]   position.position keys: ${Object.keys(first.position).join(', ')}`
+      );
+      const innerTokens = first.position.tokens || [];
+      console.log(
+        `[moralis]   position.position.tokens count: ${innerTokens.length}`
+      );
+      if (innerTokens.length > 0) {
+        console.log(
+          `[moralis]   First token keys: ${Object.keys(innerTokens[0]).join(', ')}`
+        );
+      }
+    }
+  }
+
+  return positions;
+}
+
+// Primary RPC URL for a chain (from the chain registry)
+function getRpcUrl(chainId) {
+  return getRpcUrls(chainId)[0];
+}
+
+function createJsonRpcProvider(url, chainId) {
+  const network = ethers.Network.from(chainId);
+  return new ethers.JsonRpcProvider(url, network, { staticNetwork: network });
+}
+
+// One provider per chain, reused across requests. Chains with several RPC
+// URLs get a FallbackProvider that fails over between them in order.
+function getRpcProvider(chainId) {
+  if (!rpcProviders[chainId]) {
+    const urls = getRpcUrls(chainId);
+    rpcProviders[chainId] =
+      urls.length === 1
+        ? createJsonRpcProvider(urls[0], chainId)
+        : new ethers.FallbackProvider(
+            urls.map((url, i) => ({
+              provider: createJsonRpcProvider(url, chainId),
+              priority: i + 1,
+              weight: 1,
+            })),
+            ethers.Network.from(chainId),
+            { quorum: 1 }
+          );
+  }
+  return rpcProviders[chainId];
+}
+
+module.exports = {
+  name: 'live',
+  init,
+  getWalletTokenBalances,
+  getTokenPrice,
+  getHistoricalTokenPrice,
+  getWalletHistory,
+  getBlockByDate,
+  getDefiPositions,
+  getRpcProvider,
+  getRpcUrl,
+};
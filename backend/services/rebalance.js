@@ -0,0 +1,334 @@
+const { buildPortfolio } = require('./portfolio');
+const { baseAssetSymbol, buildExposure } = require('./exposure');
+const { getTokenPricesBatched } = require('./moralis');
+const { SUPPORTED_CHAINS, getChain, getNativeToken } = require('./chains');
+
+// ──────────────────────────────────────────────────────────────────────
+// Rebalancing planner
+//
+// Compares live holdings with target weights and lists the trades that
+// bring every position outside the tolerance band back to its target.
+//
+// Targets are either tokens (a symbol on any chain, or chainId:address)
+// or look-through assets (one asset, or a group such as stablecoins).
+// Holdings matched by a token target are traded as a unit; everything
+// else is decomposed with the exposure report and counted toward asset
+// targets. Assets no target covers have a target of 0 and are sold.
+//
+// Trades are paired greedily into swaps (largest sell funds largest buy),
+// which gives the estimated trade count; legs left over when the band
+// leaves buys and sells unequal are one trade each (to or from cash).
+//
+// Token amounts need a price: an asset is priced by a holding of it
+// (WETH prices ETH), else by a Moralis lookup of a reference token — the
+// wrapped native token for a native asset, or a registry known token with
+// that symbol. Legs nothing prices are listed in unpricedTrades.
+// ──────────────────────────────────────────────────────────────────────
+
+const DEFAULT_TOLERANCE_PCT = 5;
+
+// Trades smaller than this are noise
+const MIN_TRADE_USD = 0.01;
+
+const TOKEN_TARGET_REGEX = /^(\d+):(0x[a-fA-F0-9]{40})$/;
+
+/**
+ * Normalize target input into
+ * { label, kind: 'token' | 'asset', weight, symbol?, chainId?, address?, assets? }.
+ * Weights are percentages and must add up to 100.
+ *
+ * @param {Array<object>} input - [{ token | asset | assets, weight, label? }]
+ * @returns {object} { targets } or { error, received }
+ */
+function parseTargets(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'targets must be a non-empty array', received: input };
+  }
+
+  const targets = [];
+  for (const entry of input) {
+    const weight = Number(entry?.weight);
+    if (!Number.isFinite(weight) || weight < 0) {
+      return { error: 'Every target needs a non-negative weight (percent)', received: entry };
+    }
+    const label = typeof entry.label === 'string' && entry.label.trim() ? entry.label.trim() : null;
+    const assets = entry.assets ?? (entry.asset !== undefined ? [entry.asset] : null);
+
+    if (typeof entry.token === 'string' && entry.token.trim() && !assets) {
+      const token = entry.token.trim();
+      const match = token.match(TOKEN_TARGET_REGEX);
+      if (match && !getChain(match[1])) {
+        return { error: 'Unsupported chain in token target', received: entry };
+      }
+      targets.push(
+        match
+          ? { label: label || token, kind: 'token', weight, chainId: Number(match[1]), address: match[2].toLowerCase() }
+          : { label: label || token, kind: 'token', weight, symbol: token.toUpperCase() }
+      );
+    } else if (
+      entry.token === undefined &&
+      Array.isArray(assets) &&
+      assets.length > 0 &&
+      assets.every((a) => typeof a === 'string' && a.trim())
+    ) {
+      const names = assets.map((a) => a.trim());
+      targets.push({ label: label || names.join('+'), kind: 'asset', weight, assets: names.map((a) => a.toUpperCase()) });
+    } else {
+      return { error: 'Each target needs either token or asset/assets', received: entry };
+    }
+  }
+
+  const labels = targets.map((t) => t.label);
+  const duplicate = labels.find((l, i) => labels.indexOf(l) !== i);
+  if (duplicate) {
+    return { error: 'Duplicate target', received: duplicate };
+  }
+
+  const totalWeight = targets.reduce((sum, t) => sum + t.weight, 0);
+  if (Math.abs(totalWeight - 100) > 0.01) {
+    return { error: 'Target weights must add up to 100', received: totalWeight };
+  }
+
+  return { targets };
+}
+
+function matchesTokenTarget(target, token) {
+  if (target.address) {
+    return token.chainId === target.chainId && token.tokenAddress?.toLowerCase() === target.address;
+  }
+  return token.symbol?.toUpperCase() === target.symbol;
+}
+
+async function fetchPrice(chainId, address, options) {
+  const prices = await getTokenPricesBatched([{ tokenAddress: address, chain: getChain(chainId) }], options);
+  return prices[`${chainId}:${address}`]?.usdPrice || null;
+}
+
+// Token to price a symbol by when no holding does: the wrapped native token
+// for a native asset, else a registry known token. First enabled chain wins.
+function referenceToken(symbol) {
+  const upper = symbol.toUpperCase();
+  for (const chain of SUPPORTED_CHAINS) {
+    const native = getNativeToken(chain.id);
+    if (native?.wrappedAddress && native.symbol.toUpperCase() === upper) {
+      return { chainId: chain.id, address: native.wrappedAddress };
+    }
+  }
+  for (const chain of SUPPORTED_CHAINS) {
+    const known = chain.knownTokens.find((t) => t.symbol.toUpperCase() === upper);
+    if (known) return { chainId: chain.id, address: known.address };
+  }
+  return null;
+}
+
+// Price of a symbol: from a holding of it, else via its reference token
+async function priceSymbol(symbol, heldPrices, options) {
+  const held = heldPrices.get(symbol.toUpperCase());
+  if (held) return held;
+  const reference = referenceToken(symbol);
+  return reference ? fetchPrice(reference.chainId, reference.address, options) : null;
+}
+
+// What a trade on a position buys or sells: the largest matched holding for
+// token targets; for assets the largest held asset when selling, the first
+// listed asset when buying.
+async function tradeInstrument(position, action, heldPrices, options) {
+  if (position.kind === 'token') {
+    const top = position.holdings[0];
+    if (top) {
+      return { symbol: top.symbol, chainId: top.chainId, tokenAddress: top.tokenAddress, price: top.usdPrice };
+    }
+    const { target } = position;
+    return {
+      symbol: target.symbol || null,
+      chainId: target.chainId || null,
+      tokenAddress: target.address || null,
+      price: target.address
+        ? await fetchPrice(target.chainId, target.address, options)
+        : await priceSymbol(target.symbol, heldPrices, options),
+    };
+  }
+
+  const symbol = action === 'sell' && position.sources.length > 0
+    ? position.heldAssets[0]
+    : position.assets[0];
+  return { symbol, chainId: null, tokenAddress: null, price: await priceSymbol(symbol, heldPrices, options) };
+}
+
+/**
+ * Greedy pairing of sells with buys, largest first.
+ *
+ * @param {Array<object>} trades - { action: 'buy' | 'sell', symbol, usdValue }, largest first
+ * @returns {object} { swaps: [{ sell, buy, usdValue }], unmatched: [{ action, symbol, usdValue }] }
+ */
+function pairSwaps(trades) {
+  const sells = trades.filter((t) => t.action === 'sell').map((t) => ({ ...t, remaining: t.usdValue }));
+  const buys = trades.filter((t) => t.action === 'buy').map((t) => ({ ...t, remaining: t.usdValue }));
+  const swaps = [];
+
+  while (sells.length > 0 && buys.length > 0) {
+    const sell = sells[0];
+    const buy = buys[0];
+    const usdValue = Math.min(sell.remaining, buy.remaining);
+    swaps.push({ sell: sell.symbol, buy: buy.symbol, usdValue });
+    sell.remaining -= usdValue;
+    buy.remaining -= usdValue;
+    if (sell.remaining < MIN_TRADE_USD) sells.shift();
+    if (buy.remaining < MIN_TRADE_USD) buys.shift();
+  }
+
+  const unmatched = [...sells, ...buys].map((t) => ({ action: t.action, symbol: t.symbol, usdValue: t.remaining }));
+  return { swaps, unmatched };
+}
+
+/**
+ * Rebalancing plan for a wallet against target weights.
+ *
+ * @param {string} walletAddress - Lowercased 0x wallet address
+ * @param {Array<object>} targets - Parsed targets from parseTargets
+ * @param {object} options - { tolerancePct (default 5), fresh, navMode }
+ * @returns {object} { positions, trades, swaps, estimatedTradeCount, netTradeUsd, unpricedTrades, ... }
+ */
+async function planRebalance(walletAddress, targets, options = {}) {
+  const tolerancePct = options.tolerancePct ?? DEFAULT_TOLERANCE_PCT;
+  const portfolio = await buildPortfolio(walletAddress, {
+    fresh: options.fresh,
+    navMode: options.navMode,
+    costBasisMethod: 'none',
+  });
+
+  const priced = portfolio.tokens.filter((t) => t.usdValue !== null);
+  const totalUsdValue = priced.reduce((sum, t) => sum + t.usdValue, 0);
+
+  const newPosition = (target) => ({
+    target,
+    kind: target.kind,
+    holdings: [],
+    sources: [],
+    heldAssets: [],
+    assets: target.assets || [],
+    currentUsd: 0,
+  });
+
+  // Token targets claim their holdings first
+  const positions = targets.map(newPosition);
+  const unclaimed = [];
+  for (const token of priced) {
+    const position = positions.find((p) => p.kind === 'token' && matchesTokenTarget(p.target, token));
+    if (position) {
+      position.holdings.push(token);
+      position.currentUsd += token.usdValue;
+    } else {
+      unclaimed.push(token);
+    }
+  }
+  for (const position of positions) position.holdings.sort((a, b) => b.usdValue - a.usdValue);
+
+  // Everything else counts toward asset targets, or is untargeted
+  const exposure = await buildExposure(unclaimed, options);
+  for (const asset of exposure.byAsset) {
+    let position = positions.find((p) => p.kind === 'asset' && p.assets.includes(asset.asset.toUpperCase()));
+    if (!position) {
+      position = {
+        ...newPosition({ label: asset.asset, kind: 'asset', weight: 0, assets: [asset.asset.toUpperCase()] }),
+        untargeted: true,
+      };
+      positions.push(position);
+    }
+    position.currentUsd += asset.usdValue;
+    position.heldAssets.push(asset.asset);
+    position.sources.push(...asset.sources.map((s) => ({ asset: asset.asset, ...s })));
+  }
+
+  // Prices from holdings, by symbol and by the asset they are (WETH → ETH)
+  const heldPrices = new Map();
+  for (const token of priced) {
+    if (!token.usdPrice || token.isDebt || !token.symbol) continue;
+    for (const symbol of [token.symbol, baseAssetSymbol(token.chainId, token.tokenAddress, token.symbol)]) {
+      if (!heldPrices.has(symbol.toUpperCase())) heldPrices.set(symbol.toUpperCase(), token.usdPrice);
+    }
+  }
+
+  const pct = (value) => (totalUsdValue > 0 ? (value / totalUsdValue) * 100 : null);
+  const trades = [];
+  const report = [];
+  for (const position of positions) {
+    const currentPct = pct(position.currentUsd);
+    const targetUsd = (totalUsdValue * position.target.weight) / 100;
+    const deltaUsd = targetUsd - position.currentUsd;
+    const driftPct = currentPct !== null ? currentPct - position.target.weight : null;
+    const withinTolerance = driftPct === null || Math.abs(driftPct) <= tolerancePct;
+
+    report.push({
+      label: position.target.label,
+      kind: position.kind,
+      targetPct: position.target.weight,
+      currentPct,
+      driftPct,
+      currentUsd: position.currentUsd,
+      targetUsd,
+      deltaUsd,
+      withinTolerance,
+      ...(position.untargeted ? { untargeted: true } : {}),
+      holdings: position.holdings.map((t) => ({
+        symbol: t.symbol,
+        chainId: t.chainId,
+        tokenAddress: t.tokenAddress,
+        balance: t.balanceFormatted,
+        usdValue: t.usdValue,
+      })),
+      sources: position.sources,
+    });
+
+    if (withinTolerance || Math.abs(deltaUsd) < MIN_TRADE_USD) continue;
+
+    const action = deltaUsd > 0 ? 'buy' : 'sell';
+    const instrument = await tradeInstrument(position, action, heldPrices, options);
+    const usdValue = Math.abs(deltaUsd);
+    trades.push({
+      action,
+      position: position.target.label,
+      ...instrument,
+      amount: instrument.price ? usdValue / instrument.price : null,
+      usdValue,
+    });
+  }
+
+  trades.sort((a, b) => b.usdValue - a.usdValue);
+  const unpricedTrades = trades
+    .filter((t) => t.price === null)
+    .map((t) => ({ action: t.action, position: t.position, symbol: t.symbol, usdValue: t.usdValue }));
+  const { swaps, unmatched } = pairSwaps(trades);
+  const sumOf = (action) => trades.filter((t) => t.action === action).reduce((sum, t) => sum + t.usdValue, 0);
+
+  console.log(
+    `[rebalance] ${walletAddress}: ${trades.length} trades outside ±${tolerancePct}% (${swaps.length} swaps, ${unmatched.length} unmatched legs)`
+  );
+
+  return {
+    address: walletAddress,
+    timestamp: new Date().toISOString(),
+    totalUsdValue,
+    tolerancePct,
+    positions: report.sort((a, b) => Math.abs(b.driftPct ?? 0) - Math.abs(a.driftPct ?? 0)),
+    trades,
+    swaps,
+    unmatched,
+    estimatedTradeCount: swaps.length + unmatched.length,
+    // Positive = cash needed, negative = cash freed (the band leaves some drift untraded)
+    netTradeUsd: sumOf('buy') - sumOf('sell'),
+    // Legs with no price — their amount is null, only usdValue is known
+    unpricedTrades,
+    unpricedTokens: portfolio.tokens
+      .filter((t) => t.usdValue === null)
+      .map((t) => ({ chainId: t.chainId, symbol: t.symbol, tokenAddress: t.tokenAddress || null })),
+    errors: portfolio.errors,
+  };
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE_PCT,
+  parseTargets,
+  pairSwaps,
+  planRebalance,
+};
@@ -0,0 +1,132 @@
+const { buildPortfolio } = require('./portfolio');
+const { buildExposure } = require('./exposure');
+const {
+  calculateHerfindahlIndex,
+  calculatePricingBreakdown,
+  calculateUnsoundBasketShare,
+  findThresholdBreaches,
+} = require('./calculations');
+
+// ──────────────────────────────────────────────────────────────────────
+// Portfolio risk metrics
+//
+// Concentration (Herfindahl index over look-through asset exposure and
+// the largest asset / protocol / chain share), how the value was priced
+// (market vs NAV vs unpriced) and how much sits in DTFs whose basket is
+// not SOUND. Each metric has a threshold — RISK_MAX_* in the environment,
+// overridable per request — and a wallet is flagged when any is breached.
+// ──────────────────────────────────────────────────────────────────────
+
+// Metric → env variable and default threshold. Percentages are 0–100,
+// the Herfindahl index 0–1 (0.25 is the usual "highly concentrated" line).
+// A null threshold is not checked — most wallets live on one chain, so
+// chain concentration is only flagged when configured. unpricedPct is a
+// share of the holdings count (an unpriced token has no value to weigh),
+// so one worthless airdrop moves it as much as a large position; it too
+// is only flagged when configured.
+const THRESHOLDS = {
+  herfindahlIndex: { env: 'RISK_MAX_HERFINDAHL', fallback: 0.25 },
+  largestAssetPct: { env: 'RISK_MAX_ASSET_PCT', fallback: 50 },
+  largestProtocolPct: { env: 'RISK_MAX_PROTOCOL_PCT', fallback: 50 },
+  largestChainPct: { env: 'RISK_MAX_CHAIN_PCT', fallback: null },
+  navPricedPct: { env: 'RISK_MAX_NAV_PRICED_PCT', fallback: 50 },
+  unpricedPct: { env: 'RISK_MAX_UNPRICED_PCT', fallback: null },
+  unsoundBasketPct: { env: 'RISK_MAX_UNSOUND_BASKET_PCT', fallback: 0 },
+};
+
+const RISK_METRICS = Object.keys(THRESHOLDS);
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Thresholds for every metric: per-request overrides, else RISK_MAX_*,
+ * else the defaults.
+ *
+ * @param {object} overrides - metric name → threshold
+ * @returns {object} metric name → threshold
+ */
+function resolveThresholds(overrides = {}) {
+  return Object.fromEntries(
+    Object.entries(THRESHOLDS).map(([metric, { env, fallback }]) => [
+      metric,
+      overrides[metric] ?? envNumber(env, fallback),
+    ])
+  );
+}
+
+// Top entry of an exposure group list (already sorted by value), without sources
+function largestOf(groups) {
+  if (groups.length === 0) return null;
+  const { sources, ...top } = groups[0];
+  return top;
+}
+
+/**
+ * Risk report for a wallet. Runs the portfolio pipeline with NAV for every
+ * known DTF (so basket status is known) and no cost basis.
+ *
+ * @param {string} walletAddress - Lowercased 0x wallet address
+ * @param {object} options - { fresh, thresholds: { metric: value } }
+ * @returns {object} { address, metrics, concentration, pricing, unsoundBaskets, thresholds, breaches, flagged, ... }
+ */
+async function computeRisk(walletAddress, options = {}) {
+  const portfolio = await buildPortfolio(walletAddress, {
+    fresh: options.fresh,
+    navMode: 'always',
+    costBasisMethod: 'none',
+  });
+  const exposure = await buildExposure(portfolio.tokens, { fresh: options.fresh });
+
+  const herfindahlIndex = calculateHerfindahlIndex(exposure.byAsset.map((a) => a.usdValue));
+  const largestAsset = largestOf(exposure.byAsset);
+  const largestProtocol = largestOf(exposure.byProtocol);
+  const largestChain = largestOf(exposure.byChain);
+  const pricing = calculatePricingBreakdown(portfolio.tokens);
+  const unsoundBaskets = calculateUnsoundBasketShare(portfolio.tokens);
+
+  const metrics = {
+    herfindahlIndex,
+    largestAssetPct: largestAsset?.sharePct ?? null,
+    largestProtocolPct: largestProtocol?.sharePct ?? null,
+    largestChainPct: largestChain?.sharePct ?? null,
+    navPricedPct: pricing.navPct,
+    unpricedPct: pricing.unpricedPct,
+    unsoundBasketPct: unsoundBaskets.pct,
+  };
+  const thresholds = resolveThresholds(options.thresholds);
+  const breaches = findThresholdBreaches(metrics, thresholds);
+
+  console.log(
+    `[risk] ${walletAddress}: HHI ${herfindahlIndex?.toFixed(3) ?? 'n/a'}, ${breaches.length} threshold breaches`
+  );
+
+  return {
+    address: walletAddress,
+    timestamp: new Date().toISOString(),
+    totalUsdValue: portfolio.totalUsdValue,
+    metrics,
+    concentration: {
+      herfindahlIndex,
+      // Number of equal-sized assets with the same concentration
+      effectiveAssetCount: herfindahlIndex ? 1 / herfindahlIndex : null,
+      largestAsset,
+      largestProtocol,
+      largestChain,
+    },
+    pricing,
+    unsoundBaskets,
+    thresholds,
+    breaches,
+    flagged: breaches.length > 0,
+    errors: portfolio.errors,
+  };
+}
+
+module.exports = {
+  RISK_METRICS,
+  resolveThresholds,
+  computeRisk,
+};
@@ -0,0 +1,135 @@
+const { ethers } = require('ethers');
+const { getDataProvider } = require('./providers');
+
+// ──────────────────────────────────────────────────────────────────────
+// JSON-RPC helpers
+//
+// getProvider() is the single place on-chain code gets a provider from —
+// live, recording or replaying depending on the active data provider.
+//
+// multicall() batches many contract reads into Multicall3 aggregate3()
+// calls. Multicall3 is deployed at the same address on every chain we
+// support (https://www.multicall3.com).
+// ──────────────────────────────────────────────────────────────────────
+
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) external payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) external view returns (uint256 balance)',
+];
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+// Keep each eth_call well under typical RPC gas / response size limits
+const MULTICALL_CHUNK_SIZE = 300;
+
+function getProvider(chainId) {
+  return getDataProvider().getRpcProvider(chainId);
+}
+
+/**
+ * Execute many read calls through Multicall3.
+ *
+ * Each call is { target, iface, method, args } where iface is an
+ * ethers.Interface (or ABI array). Calls never throw individually: each
+ * result is { success, value }, with value decoded (single return values
+ * unwrapped) or null when the call reverted or could not be decoded.
+ *
+ * @param {number} chainId
+ * @param {Array<object>} calls
+ * @param {object} options - { blockTag } to read historical state
+ * @returns {Array<{success: boolean, value: any}>} Results in call order
+ */
+async function multicall(chainId, calls, { blockTag } = {}) {
+  if (calls.length === 0) return [];
+
+  const multicallContract = new ethers.Contract(
+    MULTICALL3_ADDRESS,
+    multicallInterface,
+    getProvider(chainId)
+  );
+
+  const prepared = calls.map((call) => {
+    const iface = call.iface instanceof ethers.Interface
+      ? call.iface
+      : new ethers.Interface(call.iface);
+    return {
+      iface,
+      method: call.method,
+      request: {
+        target: call.target,
+        allowFailure: true,
+        callData: iface.encodeFunctionData(call.method, call.args || []),
+      },
+    };
+  });
+
+  const chunks = [];
+  for (let i = 0; i < prepared.length; i += MULTICALL_CHUNK_SIZE) {
+    chunks.push(prepared.slice(i, i + MULTICALL_CHUNK_SIZE));
+  }
+
+  // Chunks go out together — the JSON-RPC provider batches them into one request
+  const chunkResults = await Promise.all(
+    chunks.map((chunk) =>
+      multicallContract.aggregate3.staticCall(
+        chunk.map((c) => c.request),
+        blockTag !== undefined ? { blockTag } : {}
+      )
+    )
+  );
+
+  return chunkResults.flat().map(([success, returnData], index) => {
+    const { iface, method } = prepared[index];
+    if (!success) return { success: false, value: null };
+
+    try {
+      const decoded = iface.decodeFunctionResult(method, returnData);
+      return {
+        success: true,
+        value: decoded.length === 1 ? decoded[0] : decoded,
+      };
+    } catch {
+      // Target is not the contract we expected (e.g. an EOA returns 0x)
+      return { success: false, value: null };
+    }
+  });
+}
+
+/**
+ * eth_getLogs over a block range, split into chunks so public RPCs with
+ * range limits accept it. Chunks run one after another.
+ *
+ * @param {number} chainId
+ * @param {object} filter - { address, topics }
+ * @param {object} range - { fromBlock, toBlock, chunkSize }
+ * @returns {Array<ethers.Log>}
+ */
+async function getLogsChunked(chainId, filter, { fromBlock, toBlock, chunkSize = 10000 }) {
+  const provider = getProvider(chainId);
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, toBlock);
+    logs.push(...(await provider.getLogs({ ...filter, fromBlock: start, toBlock: end })));
+  }
+  return logs;
+}
+
+// Multicall entry for a native balance read
+function nativeBalanceCall(address) {
+  return {
+    target: MULTICALL3_ADDRESS,
+    iface: multicallInterface,
+    method: 'getEthBalance',
+    args: [address],
+  };
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  getProvider,
+  multicall,
+  nativeBalanceCall,
+  getLogsChunked,
+};
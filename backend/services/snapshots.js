@@ -0,0 +1,268 @@
+const path = require('path');
+const { dataPath, readJson, writeJson, listFiles, removeFile } = require('./storage');
+const { buildPortfolio, isValidAddress } = require('./portfolio');
+
+// ──────────────────────────────────────────────────────────────────────
+// Portfolio snapshots
+//
+// Persists the full /api/balances result so portfolio value can be
+// tracked over time. Layout under DATA_DIR:
+//   snapshots/<address>/<timestampMs>.json   one captured portfolio
+//   snapshots/tracked.json                   addresses added via the API
+//
+// Snapshots are captured on demand (POST /api/snapshots) and on a schedule
+// for every tracked address (SNAPSHOT_ADDRESSES + tracked.json). At most
+// SNAPSHOT_MAX_TRACKED (default 50) addresses can be added via the API.
+// ──────────────────────────────────────────────────────────────────────
+
+const SNAPSHOT_DIR = dataPath('snapshots');
+const TRACKED_FILE = path.join(SNAPSHOT_DIR, 'tracked.json');
+const DEFAULT_MAX_TRACKED = 50;
+
+let schedulerTimer = null;
+let captureInProgress = false;
+
+function addressDir(address) {
+  return path.join(SNAPSHOT_DIR, address.toLowerCase());
+}
+
+function snapshotFile(address, timestamp) {
+  return path.join(addressDir(address), `${timestamp}.json`);
+}
+
+// Parse a timestamp given as epoch milliseconds or an ISO date string
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value))) return Number(value);
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function maxTrackedAddresses() {
+  const value = parseInt(process.env.SNAPSHOT_MAX_TRACKED, 10);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_TRACKED;
+}
+
+function envAddresses() {
+  return (process.env.SNAPSHOT_ADDRESSES || '')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean)
+    .filter((address) => {
+      if (isValidAddress(address)) return true;
+      console.warn(`[snapshots] Invalid SNAPSHOT_ADDRESSES entry: "${address}"`);
+      return false;
+    });
+}
+
+// All addresses captured on the schedule: env-configured plus API-tracked
+async function getTrackedAddresses() {
+  const tracked = await readJson(TRACKED_FILE, []);
+  return [...new Set([...envAddresses(), ...tracked])];
+}
+
+/**
+ * Add an address to the scheduled capture set.
+ *
+ * @param {string} address - 0x wallet address
+ * @returns {boolean} false when SNAPSHOT_MAX_TRACKED addresses are already tracked via the API
+ */
+async function trackAddress(address) {
+  const tracked = await readJson(TRACKED_FILE, []);
+  const normalized = address.toLowerCase();
+  if (tracked.includes(normalized)) return true;
+  if (tracked.length >= maxTrackedAddresses()) return false;
+
+  tracked.push(normalized);
+  await writeJson(TRACKED_FILE, tracked);
+  console.log(`[snapshots] Now tracking ${normalized}`);
+  return true;
+}
+
+async function untrackAddress(address) {
+  const tracked = await readJson(TRACKED_FILE, []);
+  const normalized = address.toLowerCase();
+  const remaining = tracked.filter((a) => a !== normalized);
+  if (remaining.length === tracked.length) return false;
+  await writeJson(TRACKED_FILE, remaining);
+  console.log(`[snapshots] Stopped tracking ${normalized}`);
+  return true;
+}
+
+// Timestamps (ms) of all snapshots for an address, oldest first
+async function listSnapshotTimestamps(address) {
+  const files = await listFiles(addressDir(address));
+  return files
+    .filter((f) => /^\d+\.json$/.test(f))
+    .map((f) => Number(f.replace('.json', '')))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Capture the current portfolio for an address and persist it.
+ *
+ * @param {string} address - 0x wallet address
+ * @param {string} trigger - 'manual' | 'scheduled'
+ * @returns {object} The stored snapshot
+ */
+async function captureSnapshot(address, trigger = 'manual') {
+  const walletAddress = address.toLowerCase();
+  const portfolio = await buildPortfolio(walletAddress);
+  const timestamp = Date.now();
+
+  const snapshot = {
+    address: walletAddress,
+    timestamp,
+    capturedAt: new Date(timestamp).toISOString(),
+    trigger,
+    totalUsdValue: portfolio.totalUsdValue,
+    portfolio,
+  };
+
+  await writeJson(snapshotFile(walletAddress, timestamp), snapshot);
+  console.log(
+    `[snapshots] Captured ${walletAddress} at ${snapshot.capturedAt} ($${portfolio.totalUsdValue.toFixed(2)}, ${trigger})`
+  );
+
+  return snapshot;
+}
+
+/**
+ * List snapshot summaries for an address, newest first.
+ *
+ * @param {string} address - 0x wallet address
+ * @param {object} options - { from, to, limit } — from/to in epoch ms
+ */
+async function listSnapshots(address, { from = null, to = null, limit = null } = {}) {
+  const timestamps = (await listSnapshotTimestamps(address))
+    .filter((ts) => (from === null || ts >= from) && (to === null || ts <= to))
+    .reverse();
+
+  const selected = limit ? timestamps.slice(0, limit) : timestamps;
+
+  const summaries = [];
+  for (const ts of selected) {
+    const snapshot = await readJson(snapshotFile(address, ts));
+    if (!snapshot) continue;
+    summaries.push({
+      timestamp: snapshot.timestamp,
+      capturedAt: snapshot.capturedAt,
+      trigger: snapshot.trigger,
+      totalUsdValue: snapshot.totalUsdValue,
+      tokenCount: snapshot.portfolio?.tokenCount ?? null,
+    });
+  }
+
+  return summaries;
+}
+
+/**
+ * Load full snapshots for an address within a time range, oldest first.
+ * Used by analytics that need the stored holdings, not just summaries.
+ */
+async function loadSnapshots(address, { from = null, to = null } = {}) {
+  const timestamps = (await listSnapshotTimestamps(address)).filter(
+    (ts) => (from === null || ts >= from) && (to === null || ts <= to)
+  );
+
+  const snapshots = [];
+  for (const ts of timestamps) {
+    const snapshot = await readJson(snapshotFile(address, ts));
+    if (snapshot) snapshots.push(snapshot);
+  }
+  return snapshots;
+}
+
+/**
+ * Fetch one snapshot by timestamp. Returns the exact match when it exists,
+ * otherwise the most recent snapshot taken at or before the timestamp.
+ */
+async function getSnapshot(address, timestamp) {
+  const timestamps = await listSnapshotTimestamps(address);
+  const match = [...timestamps].reverse().find((ts) => ts <= timestamp);
+  if (match === undefined) return null;
+  return readJson(snapshotFile(address, match));
+}
+
+// Drop snapshots older than SNAPSHOT_RETENTION_DAYS (if configured)
+async function pruneSnapshots(address) {
+  const retentionDays = parseFloat(process.env.SNAPSHOT_RETENTION_DAYS);
+  if (!retentionDays || retentionDays <= 0) return 0;
+
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const expired = (await listSnapshotTimestamps(address)).filter((ts) => ts < cutoff);
+  for (const ts of expired) {
+    await removeFile(snapshotFile(address, ts));
+  }
+  if (expired.length > 0) {
+    console.log(`[snapshots] Pruned ${expired.length} expired snapshots for ${address}`);
+  }
+  return expired.length;
+}
+
+// Capture every tracked address once. Sequential to stay well inside
+// Moralis rate limits; one failing address does not stop the others.
+async function captureTrackedSnapshots() {
+  if (captureInProgress) {
+    console.warn('[snapshots] Previous scheduled capture still running — skipping');
+    return;
+  }
+
+  captureInProgress = true;
+  try {
+    const addresses = await getTrackedAddresses();
+    console.log(`[snapshots] Scheduled capture for ${addresses.length} addresses`);
+
+    for (const address of addresses) {
+      try {
+        await captureSnapshot(address, 'scheduled');
+        await pruneSnapshots(address);
+      } catch (err) {
+        console.error(`[snapshots] Capture failed for ${address}: ${err.message}`);
+      }
+    }
+  } finally {
+    captureInProgress = false;
+  }
+}
+
+// Start the capture schedule. Interval comes from SNAPSHOT_INTERVAL_MINUTES;
+// unset or 0 disables scheduled capture (on-demand capture still works).
+function startSnapshotScheduler() {
+  const minutes = parseFloat(process.env.SNAPSHOT_INTERVAL_MINUTES);
+  if (!minutes || minutes <= 0) {
+    console.log('[snapshots] Scheduled capture disabled (SNAPSHOT_INTERVAL_MINUTES not set)');
+    return;
+  }
+
+  stopSnapshotScheduler();
+  schedulerTimer = setInterval(() => {
+    captureTrackedSnapshots().catch((err) =>
+      console.error('[snapshots] Scheduled capture failed:', err.message)
+    );
+  }, minutes * 60 * 1000);
+
+  console.log(`[snapshots] Scheduled capture every ${minutes} minutes`);
+}
+
+function stopSnapshotScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  parseTimestamp,
+  maxTrackedAddresses,
+  getTrackedAddresses,
+  trackAddress,
+  untrackAddress,
+  captureSnapshot,
+  captureTrackedSnapshots,
+  listSnapshots,
+  loadSnapshots,
+  getSnapshot,
+  startSnapshotScheduler,
+  stopSnapshotScheduler,
+};
@@ -0,0 +1,70 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// ──────────────────────────────────────────────────────────────────────
+// Local file-backed storage
+//
+// Everything the backend persists (snapshots, registries, alert rules)
+// lives as JSON under DATA_DIR. Writes go to a temp file first and are
+// renamed into place so a crash never leaves a half-written file behind.
+// ──────────────────────────────────────────────────────────────────────
+
+const DATA_DIR = path.resolve(
+  process.env.DATA_DIR || path.join(__dirname, '..', 'data')
+);
+
+function dataPath(...segments) {
+  return path.join(DATA_DIR, ...segments);
+}
+
+async function ensureDir(dir) {
+  await fs.mkdir(dir, { recursive: true });
+}
+
+// Read and parse a JSON file; returns `fallback` when the file does not exist
+async function readJson(filePath, fallback = null) {
+  try {
+    const raw = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+}
+
+async function writeJson(filePath, data) {
+  await ensureDir(path.dirname(filePath));
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+  await fs.rename(tmpPath, filePath);
+}
+
+// List file names in a directory; a missing directory is simply empty
+async function listFiles(dir) {
+  try {
+    return await fs.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+async function removeFile(filePath) {
+  try {
+    await fs.unlink(filePath);
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  ensureDir,
+  readJson,
+  writeJson,
+  listFiles,
+  removeFile,
+};
@@ -0,0 +1,42 @@
+const { getChain } = require('./chains');
+
+// ──────────────────────────────────────────────────────────────────────
+// Known token list
+//
+// Tokens whose balances are read directly on-chain when Moralis cannot
+// serve a chain (see services/onchainBalances.js): each chain's
+// `knownTokens` from the chain registry plus the DTFs we NAV-price.
+// This is a fallback, not discovery. Addresses are lowercase.
+// ──────────────────────────────────────────────────────────────────────
+
+// Moralis reports native balances under this pseudo-address
+const NATIVE_TOKEN_ADDRESS = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+
+/**
+ * Tokens to check on-chain for a chain: the registry's known tokens plus
+ * every registered DTF. DTF entries carry no metadata — it is read on-chain.
+ *
+ * @param {number} chainId
+ * @returns {Array<{address, symbol, name?, decimals?}>} Deduplicated by address
+ */
+function getFallbackTokenList(chainId) {
+  // Required lazily: navPricing depends on moralis.js, which depends on this module
+  const { KNOWN_DTFS } = require('./navPricing');
+
+  const byAddress = new Map();
+  for (const token of getChain(chainId)?.knownTokens || []) {
+    byAddress.set(token.address, token);
+  }
+  for (const dtf of KNOWN_DTFS[chainId] || []) {
+    const address = dtf.address.toLowerCase();
+    if (!byAddress.has(address)) {
+      byAddress.set(address, { symbol: dtf.symbol, address });
+    }
+  }
+  return [...byAddress.values()];
+}
+
+module.exports = {
+  NATIVE_TOKEN_ADDRESS,
+  getFallbackTokenList,
+};
@@ -0,0 +1,174 @@
+const { getWalletHistory, priceTransactions } = require('./history');
+const { findProtocolToken } = require('./protocolTokens');
+const { KNOWN_DTFS } = require('./navPricing');
+
+// ──────────────────────────────────────────────────────────────────────
+// Wallet transactions
+//
+// Wallet history (services/history.js) classified by what the
+// transaction did to the wallet's holdings:
+//   transfer_in / transfer_out   tokens only arrived / only left
+//   swap                         one token left, another arrived
+//   dtf_mint / dtf_redeem        a known DTF was minted to / burned from the wallet
+//   stake / unstake              a staking receipt token arrived / left
+//   approval                     token approval, no movement
+//   other                        anything else (e.g. contract calls with no transfers)
+//
+// Only the requested page is priced (USD at the block of the transaction).
+// ──────────────────────────────────────────────────────────────────────
+
+const TRANSACTION_TYPES = [
+  'transfer_in',
+  'transfer_out',
+  'swap',
+  'dtf_mint',
+  'dtf_redeem',
+  'stake',
+  'unstake',
+  'approval',
+  'other',
+];
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function isDtf(chainId, tokenAddress) {
+  return (KNOWN_DTFS[chainId] || []).some((d) => d.address.toLowerCase() === tokenAddress);
+}
+
+function isStakingToken(chainId, tokenAddress) {
+  return findProtocolToken(chainId, tokenAddress) !== null;
+}
+
+/**
+ * Classify one history transaction from the wallet's point of view.
+ *
+ * @param {object} tx - Normalized history transaction
+ * @returns {string} One of TRANSACTION_TYPES
+ */
+function classifyTransaction(tx) {
+  const incoming = tx.transfers.filter((t) => t.direction === 'in');
+  const outgoing = tx.transfers.filter((t) => t.direction === 'out');
+  const category = (tx.category || '').toLowerCase();
+
+  if (tx.transfers.length === 0) {
+    if (category === 'approve' || /^approve/i.test(tx.methodLabel || '')) return 'approval';
+    return 'other';
+  }
+
+  if (incoming.some((t) => t.from === ZERO_ADDRESS && isDtf(tx.chainId, t.tokenAddress))) {
+    return 'dtf_mint';
+  }
+  if (outgoing.some((t) => t.to === ZERO_ADDRESS && isDtf(tx.chainId, t.tokenAddress))) {
+    return 'dtf_redeem';
+  }
+
+  if (incoming.some((t) => isStakingToken(tx.chainId, t.tokenAddress)) && outgoing.length > 0) {
+    return 'stake';
+  }
+  if (outgoing.some((t) => isStakingToken(tx.chainId, t.tokenAddress)) && incoming.length > 0) {
+    return 'unstake';
+  }
+  if (category === 'deposit') return 'stake';
+  if (category === 'withdraw') return 'unstake';
+
+  if (incoming.length > 0 && outgoing.length > 0) return 'swap';
+  return incoming.length > 0 ? 'transfer_in' : 'transfer_out';
+}
+
+function sumUsd(transfers) {
+  const priced = transfers.filter((t) => t.usdValue !== null);
+  return priced.length > 0 ? priced.reduce((sum, t) => sum + t.usdValue, 0) : null;
+}
+
+// Response shape for one priced transaction. usdValue is the larger side
+// of the movement — what was received or what was sent, whichever is known
+// and bigger.
+function toTransaction(tx) {
+  const usdValueIn = sumUsd(tx.transfers.filter((t) => t.direction === 'in'));
+  const usdValueOut = sumUsd(tx.transfers.filter((t) => t.direction === 'out'));
+  const known = [usdValueIn, usdValueOut].filter((v) => v !== null);
+
+  return {
+    chain: tx.chain,
+    chainId: tx.chainId,
+    hash: tx.hash,
+    blockNumber: tx.blockNumber,
+    timestamp: tx.timestamp,
+    type: tx.type,
+    category: tx.category,
+    summary: tx.summary,
+    methodLabel: tx.methodLabel,
+    status: tx.status,
+    from: tx.from,
+    to: tx.to,
+    transfers: tx.transfers,
+    usdValueIn,
+    usdValueOut,
+    usdValue: known.length > 0 ? Math.max(...known) : null,
+    feeNative: tx.feeNative,
+  };
+}
+
+function matchesToken(tx, token) {
+  return tx.transfers.some(
+    (t) => t.tokenAddress === token || (t.symbol || '').toLowerCase() === token
+  );
+}
+
+/**
+ * Classified, paginated transactions for a wallet, newest first.
+ *
+ * @param {string} walletAddress - Lowercased 0x wallet address
+ * @param {object} filters - { chainId, token (address or symbol), type, from, to (epoch ms) }
+ * @param {object} options - { page (1-based), limit, fresh }
+ * @returns {object} { address, transactions, pagination, incompleteChains, errors }
+ */
+async function getTransactions(walletAddress, filters = {}, options = {}) {
+  const history = await getWalletHistory(walletAddress, options);
+  const token = filters.token?.toLowerCase();
+
+  const matching = history.transactions
+    .map((tx) => ({ ...tx, type: classifyTransaction(tx) }))
+    .filter((tx) => {
+      if (filters.chainId && tx.chainId !== filters.chainId) return false;
+      if (filters.type && tx.type !== filters.type) return false;
+      if (token && !matchesToken(tx, token)) return false;
+      const ms = Date.parse(tx.timestamp);
+      if (filters.from !== null && filters.from !== undefined && ms < filters.from) return false;
+      if (filters.to !== null && filters.to !== undefined && ms > filters.to) return false;
+      return true;
+    })
+    .reverse();
+
+  const limit = Math.min(options.limit || DEFAULT_LIMIT, MAX_LIMIT);
+  const page = options.page || 1;
+  const pageItems = matching.slice((page - 1) * limit, page * limit);
+  const priced = await priceTransactions(pageItems);
+
+  console.log(
+    `[transactions] ${walletAddress}: ${matching.length} matching, page ${page} (${priced.length})`
+  );
+
+  return {
+    address: walletAddress,
+    transactions: priced.map(toTransaction),
+    pagination: {
+      page,
+      limit,
+      total: matching.length,
+      totalPages: Math.ceil(matching.length / limit),
+      hasMore: page * limit < matching.length,
+    },
+    incompleteChains: history.incompleteChains,
+    errors: history.errors.length > 0 ? history.errors : undefined,
+  };
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  MAX_LIMIT,
+  classifyTransaction,
+  getTransactions,
+};
@@ -0,0 +1,307 @@
+const { ethers } = require('ethers');
+const { getTokenPricesBatched, batchedRequests } = require('./moralis');
+const { getHistoricalPrice } = require('./history');
+const { getChain, getNativeToken } = require('./chains');
+const { multicall } = require('./rpc');
+
+// ──────────────────────────────────────────────────────────────────────
+// Wrapped / yield-bearing underlying resolver
+//
+// DTF baskets often hold tokens Moralis cannot price: ERC-4626 vault
+// shares, aTokens, cTokens, wstETH, rETH. These are unwrapped on-chain
+// to the asset they redeem for, and priced as
+//   price(token) = rate × price(underlying)
+// where rate is underlying units per whole token:
+//   erc4626  convertToAssets(1 share)          → asset()
+//   wsteth   stEthPerToken()                   → stETH()
+//   ctoken   exchangeRateStored()              → underlying()
+//   atoken   1 (balances rebase)               → UNDERLYING_ASSET_ADDRESS()
+//   reth     getExchangeRate()                 → wrapped native token
+//            (known rETH deployments only — getExchangeRate() is too
+//            common a name to identify a token by)
+// An underlying that is itself unpriced is unwrapped again, up to
+// NAV_UNWRAP_MAX_DEPTH levels (default 3).
+//
+// Each level costs two multicalls (wrapper detection, then rates and
+// underlying metadata) plus one price batch. Detection results never
+// change and are kept for the life of the process, so warm levels skip
+// the first multicall.
+// ──────────────────────────────────────────────────────────────────────
+
+const DEFAULT_MAX_DEPTH = 3;
+
+const WRAPPER_ABI = [
+  'function decimals() external view returns (uint8)',
+  'function symbol() external view returns (string)',
+  // ERC-4626
+  'function asset() external view returns (address)',
+  'function convertToAssets(uint256 shares) external view returns (uint256)',
+  // Lido wstETH
+  'function stETH() external view returns (address)',
+  'function stEthPerToken() external view returns (uint256)',
+  // Compound v2 cToken
+  'function underlying() external view returns (address)',
+  'function exchangeRateStored() external view returns (uint256)',
+  // Aave aToken
+  'function UNDERLYING_ASSET_ADDRESS() external view returns (address)',
+  // Rocket Pool rETH
+  'function getExchangeRate() external view returns (uint256)',
+];
+
+const wrapperInterface = new ethers.Interface(WRAPPER_ABI);
+
+// Rocket Pool rETH per chain (lowercase)
+const RETH_ADDRESSES = {
+  1: '0xae78736cd615f374d3085123a210448e74fc6393',
+  10: '0x9bcef72be871e61ed4fbbc7630889bee758eb81d',
+  8453: '0xb6fe221fe9eef5aba221c348ba20a1bf5e73624c',
+  42161: '0xec70dcb4a1efa46b8f2d97c310c9c4790ba5ffa8',
+};
+
+// `${chainId}:${address}` → { method, underlying, decimals } | { method: null }
+const wrapperCache = new Map();
+
+// `${chainId}:${address}` → { decimals, symbol }
+const metadataCache = new Map();
+
+function getMaxDepth() {
+  const value = parseInt(process.env.NAV_UNWRAP_MAX_DEPTH, 10);
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_MAX_DEPTH;
+}
+
+function tokenKey(chainId, address) {
+  return `${chainId}:${address.toLowerCase()}`;
+}
+
+const detectionCalls = (address) => [
+  'decimals',
+  'asset',
+  'stETH',
+  'stEthPerToken',
+  'underlying',
+  'exchangeRateStored',
+  'UNDERLYING_ASSET_ADDRESS',
+  'getExchangeRate',
+].map((method) => ({ target: address, iface: wrapperInterface, method }));
+
+// Which wrapper (if any) a token is, from its detection results
+function classifyWrapper(chainId, address, results) {
+  const [decimals, asset, stETH, stEthPerToken, underlying, exchangeRateStored, aTokenUnderlying, getExchangeRate] =
+    results;
+  if (!decimals.success) return { method: null };
+  const base = { decimals: Number(decimals.value) };
+
+  if (stETH.success && stEthPerToken.success) return { ...base, method: 'wsteth', underlying: stETH.value };
+  if (asset.success) return { ...base, method: 'erc4626', underlying: asset.value };
+  if (underlying.success && exchangeRateStored.success) {
+    return { ...base, method: 'ctoken', underlying: underlying.value };
+  }
+  if (aTokenUnderlying.success) return { ...base, method: 'atoken', underlying: aTokenUnderlying.value };
+
+  const wrappedNative = getNativeToken(chainId)?.wrappedAddress;
+  if (getExchangeRate.success && wrappedNative && RETH_ADDRESSES[chainId] === address.toLowerCase()) {
+    return { ...base, method: 'reth', underlying: wrappedNative };
+  }
+  return { method: null };
+}
+
+function rateCall(address, wrapper) {
+  switch (wrapper.method) {
+    case 'erc4626':
+      return {
+        target: address,
+        iface: wrapperInterface,
+        method: 'convertToAssets',
+        args: [10n ** BigInt(wrapper.decimals)],
+      };
+    case 'wsteth':
+      return { target: address, iface: wrapperInterface, method: 'stEthPerToken' };
+    case 'ctoken':
+      return { target: address, iface: wrapperInterface, method: 'exchangeRateStored' };
+    case 'reth':
+      return { target: address, iface: wrapperInterface, method: 'getExchangeRate' };
+    default:
+      return null;
+  }
+}
+
+// Underlying units per whole token
+function toRate(wrapper, rawRate, underlyingDecimals) {
+  switch (wrapper.method) {
+    case 'erc4626':
+    case 'wsteth':
+      return parseFloat(ethers.formatUnits(rawRate, underlyingDecimals));
+    case 'ctoken':
+      // Scaled by 1e(18 - 8 + underlying decimals) for an 8-decimal cToken
+      return parseFloat(ethers.formatUnits(rawRate, 18 + underlyingDecimals - wrapper.decimals));
+    case 'reth':
+      return parseFloat(ethers.formatUnits(rawRate, 18));
+    default:
+      return 1;
+  }
+}
+
+/**
+ * Unwrap one level: detect wrappers among `addresses` and read their
+ * current rate and underlying metadata.
+ *
+ * @returns {Map<string, object>} lowercased address → { method, underlying, underlyingSymbol, rate }
+ */
+async function unwrapLevel(chainId, addresses, blockTag) {
+  const callOptions = blockTag !== null ? { blockTag } : {};
+
+  // ── Detection (tokens not seen before) ──
+  const undetected = addresses.filter((a) => !wrapperCache.has(tokenKey(chainId, a)));
+  const detection = await multicall(chainId, undetected.flatMap(detectionCalls), callOptions);
+  const callsPerToken = detectionCalls(ethers.ZeroAddress).length;
+  undetected.forEach((address, i) => {
+    const results = detection.slice(i * callsPerToken, (i + 1) * callsPerToken);
+    const wrapper = classifyWrapper(chainId, address, results);
+    // A token can be missing at an old block — only remember what was found then
+    if (blockTag === null || wrapper.method) wrapperCache.set(tokenKey(chainId, address), wrapper);
+  });
+
+  const wrapped = addresses
+    .map((address) => ({ address, wrapper: wrapperCache.get(tokenKey(chainId, address)) }))
+    .filter((w) => w.wrapper?.method);
+
+  // ── Rates + underlying metadata ──
+  const rateCalls = wrapped.map((w) => rateCall(w.address, w.wrapper)).filter(Boolean);
+  const needMetadata = [
+    ...new Set(
+      wrapped
+        .map((w) => w.wrapper.underlying.toLowerCase())
+        .filter((u) => !metadataCache.has(tokenKey(chainId, u)))
+    ),
+  ];
+  const results = await multicall(
+    chainId,
+    [
+      ...rateCalls,
+      ...needMetadata.flatMap((u) => [
+        { target: u, iface: wrapperInterface, method: 'decimals' },
+        { target: u, iface: wrapperInterface, method: 'symbol' },
+      ]),
+    ],
+    callOptions
+  );
+
+  const metadataResults = results.slice(rateCalls.length);
+  needMetadata.forEach((u, i) => {
+    const [decimals, symbol] = metadataResults.slice(i * 2, i * 2 + 2);
+    if (decimals.success && symbol.success) {
+      metadataCache.set(tokenKey(chainId, u), { decimals: Number(decimals.value), symbol: symbol.value });
+    }
+  });
+
+  const unwrapped = new Map();
+  let rateIndex = 0;
+  for (const { address, wrapper } of wrapped) {
+    const rateResult = wrapper.method === 'atoken' ? { success: true, value: null } : results[rateIndex++];
+    const metadata = metadataCache.get(tokenKey(chainId, wrapper.underlying));
+    if (!rateResult.success || !metadata) continue;
+
+    unwrapped.set(address.toLowerCase(), {
+      method: wrapper.method,
+      underlying: wrapper.underlying.toLowerCase(),
+      underlyingSymbol: metadata.symbol,
+      rate: toRate(wrapper, rateResult.value, metadata.decimals),
+    });
+  }
+  return unwrapped;
+}
+
+// Market prices for addresses on one chain, current or at a block
+async function priceAddresses(chainId, addresses, blockTag, options) {
+  const chain = getChain(chainId);
+  const prices = new Map();
+
+  if (blockTag === null) {
+    const batch = await getTokenPricesBatched(
+      addresses.map((tokenAddress) => ({ tokenAddress, chain })),
+      options
+    );
+    for (const address of addresses) {
+      prices.set(address, batch[tokenKey(chainId, address)]?.usdPrice || null);
+    }
+    return prices;
+  }
+
+  const results = await batchedRequests(
+    addresses.map((address) => () => getHistoricalPrice(address, chain, blockTag))
+  );
+  addresses.forEach((address, i) => {
+    prices.set(address, results[i].status === 'fulfilled' ? results[i].value || null : null);
+  });
+  return prices;
+}
+
+/**
+ * Price tokens the market could not price by unwrapping them on-chain.
+ *
+ * Each resolved token gets a pricingPath: one step per unwrap
+ * ({ address, symbol, method, rate }) ending in the market-priced base
+ * asset ({ address, symbol, method: 'market', usdPrice }).
+ *
+ * @param {number} chainId
+ * @param {Array<{address: string, symbol: string}>} tokens - Unpriced tokens
+ * @param {object} options - { blockTag (null = latest), fresh }
+ * @returns {object} `${chainId}:${address}` → { usdPrice, pricingPath } for every token resolved
+ */
+async function resolveUnderlyingPrices(chainId, tokens, options = {}) {
+  const blockTag = options.blockTag ?? null;
+  const maxDepth = getMaxDepth();
+  const steps = new Map();
+  const marketPrices = new Map();
+  const seen = new Set(tokens.map((t) => t.address.toLowerCase()));
+
+  let frontier = [...seen];
+  for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+    const unwrapped = await unwrapLevel(chainId, frontier, blockTag);
+    const next = [];
+    for (const [address, step] of unwrapped) {
+      steps.set(address, step);
+      if (!seen.has(step.underlying)) {
+        seen.add(step.underlying);
+        next.push(step.underlying);
+      }
+    }
+
+    const prices = await priceAddresses(chainId, next, blockTag, options);
+    for (const [address, usdPrice] of prices) {
+      if (usdPrice !== null) marketPrices.set(address, usdPrice);
+    }
+    frontier = next.filter((address) => !marketPrices.has(address));
+  }
+
+  const resolved = {};
+  for (const { address, symbol } of tokens) {
+    const pricingPath = [];
+    let current = address.toLowerCase();
+    let currentSymbol = symbol;
+    let rate = 1;
+
+    while (steps.has(current) && !marketPrices.has(current)) {
+      const step = steps.get(current);
+      pricingPath.push({ address: current, symbol: currentSymbol, method: step.method, rate: step.rate });
+      rate *= step.rate;
+      current = step.underlying;
+      currentSymbol = step.underlyingSymbol;
+      if (pricingPath.length > maxDepth) break;
+    }
+
+    const usdPrice = marketPrices.get(current);
+    if (pricingPath.length === 0 || usdPrice === undefined) continue;
+
+    pricingPath.push({ address: current, symbol: currentSymbol, method: 'market', usdPrice });
+    resolved[tokenKey(chainId, address)] = { usdPrice: rate * usdPrice, pricingPath };
+    console.log(
+      `[nav]   ${symbol} priced via ${pricingPath.map((p) => p.symbol).join(' → ')}: $${(rate * usdPrice).toFixed(6)}`
+    );
+  }
+  return resolved;
+}
+
+module.exports = {
+  resolveUnderlyingPrices,
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./storage');
+
+// ──────────────────────────────────────────────────────────────────────
+// Webhook delivery
+//
+// Alert events are POSTed as JSON to the rule's webhook URL. Each request
+// is signed so receivers can check it came from this server:
+//   X-Sagix-Delivery    delivery id (stable across retries)
+//   X-Sagix-Timestamp   unix seconds of this attempt
+//   X-Sagix-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>"
+//                       keyed with the rule's secret>
+//
+// Failed attempts (network error, timeout, non-2xx) are retried with
+// exponential backoff. Every delivery and its attempts are kept in
+// DATA_DIR/alerts/deliveries.json, newest last, capped at
+// ALERTS_HISTORY_LIMIT entries.
+// ──────────────────────────────────────────────────────────────────────
+
+const DELIVERIES_FILE = dataPath('alerts', 'deliveries.json');
+
+const DEFAULT_MAX_ATTEMPTS = 4;
+const DEFAULT_RETRY_BASE_MS = 2000;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_HISTORY_LIMIT = 500;
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * HMAC-SHA256 signature for a webhook body, as sent in X-Sagix-Signature.
+ *
+ * @param {string} secret - The rule's webhook secret
+ * @param {number} timestamp - Unix seconds, as sent in X-Sagix-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} 'sha256=<hex>'
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+async function attemptDelivery(url, deliveryId, secret, body) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { at: new Date().toISOString(), statusCode: null, error: null };
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'sagix-portfolio-alerts',
+        'X-Sagix-Delivery': deliveryId,
+        'X-Sagix-Timestamp': String(timestamp),
+        'X-Sagix-Signature': signPayload(secret, timestamp, body),
+      },
+      body,
+      signal: AbortSignal.timeout(envInt('ALERTS_WEBHOOK_TIMEOUT_MS', DEFAULT_TIMEOUT_MS)),
+    });
+    attempt.statusCode = res.status;
+    if (!res.ok) attempt.error = `HTTP ${res.status}`;
+  } catch (err) {
+    attempt.error = err.message;
+  }
+  return attempt;
+}
+
+async function recordDelivery(delivery) {
+  const history = await readJson(DELIVERIES_FILE, []);
+  history.push(delivery);
+  const limit = envInt('ALERTS_HISTORY_LIMIT', DEFAULT_HISTORY_LIMIT);
+  await writeJson(DELIVERIES_FILE, history.slice(-limit));
+}
+
+/**
+ * POST an alert event to a rule's webhook, retrying on failure, and record
+ * the delivery in the history.
+ *
+ * @param {object} rule - Alert rule ({ id, type, label, webhookUrl, secret })
+ * @param {object} event - Triggered event
+ * @returns {object} The delivery record ({ id, status: 'delivered' | 'failed', attempts, ... })
+ */
+async function deliverWebhook(rule, event) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    ruleId: rule.id,
+    url: rule.webhookUrl,
+    event,
+    status: 'failed',
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    deliveredAt: null,
+  };
+  const body = JSON.stringify({
+    id: delivery.id,
+    createdAt: delivery.createdAt,
+    rule: { id: rule.id, type: rule.type, label: rule.label },
+    event,
+  });
+
+  const maxAttempts = envInt('ALERTS_WEBHOOK_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS);
+  const retryBaseMs = envInt('ALERTS_WEBHOOK_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS);
+  for (let i = 0; i < maxAttempts; i++) {
+    if (i > 0) await delay(retryBaseMs * 2 ** (i - 1));
+    const attempt = await attemptDelivery(rule.webhookUrl, delivery.id, rule.secret, body);
+    delivery.attempts.push(attempt);
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = attempt.at;
+      break;
+    }
+    console.warn(`[webhooks] Delivery ${delivery.id} attempt ${i + 1}/${maxAttempts} failed: ${attempt.error}`);
+  }
+
+  await recordDelivery(delivery);
+  console.log(
+    `[webhooks] ${delivery.status === 'delivered' ? 'Delivered' : 'Gave up on'} ${event.type} alert for rule ${rule.id} after ${delivery.attempts.length} attempts`
+  );
+  return delivery;
+}
+
+/**
+ * Delivery history, newest first.
+ *
+ * @param {object} options - { ruleId, status, limit }
+ * @returns {Array<object>}
+ */
+async function listDeliveries({ ruleId = null, status = null, limit = null } = {}) {
+  const history = (await readJson(DELIVERIES_FILE, []))
+    .filter((d) => (ruleId === null || d.ruleId === ruleId) && (status === null || d.status === status))
+    .reverse();
+  return limit ? history.slice(0, limit) : history;
+}
+
+module.exports = {
+  signPayload,
+  deliverWebhook,
+  listDeliveries,
+};
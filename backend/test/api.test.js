@@ -0,0 +1,199 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { WALLET, startUpstream } = require('./support/upstream');
+
+// ──────────────────────────────────────────────────────────────────────
+// API replay test
+//
+// Boots the API with DATA_PROVIDER=replay against the fixture set in
+// test/fixtures (one wallet: its balances, prices, history, DeFi positions
+// and JSON-RPC calls) and checks the balances, portfolio and NAV responses.
+// No network access or Moralis key is needed.
+//
+// After a change to which upstream calls the API makes, re-record the
+// fixtures from the scripted upstream in test/support/upstream.js:
+//   RECORD_FIXTURES=1 npm test
+// ──────────────────────────────────────────────────────────────────────
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const RECORD = process.env.RECORD_FIXTURES === '1';
+const STARTUP_TIMEOUT_MS = 30000;
+
+const IXETH = '0x60105cbd0499199ca84f63ee9198b2a2d5441699';
+const IXEDEL = '0xe4a10951f962e6cb93cb843a4ef05d2f99db1f94';
+
+let server;
+let upstream;
+let baseUrl;
+let dataDir;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Env for recording: the API talks to the scripted upstream through the
+// real Moralis SDK and JSON-RPC providers
+function recordEnv() {
+  return {
+    DATA_PROVIDER: 'record',
+    MORALIS_API_KEY: 'test',
+    UPSTREAM_URL: upstream.url,
+    ETH_RPC_URL: `${upstream.url}/rpc/1`,
+    BASE_RPC_URL: `${upstream.url}/rpc/8453`,
+  };
+}
+
+// Start index.js and resolve once it is listening. Every setting that
+// changes which upstream calls are made is pinned, so a local .env
+// cannot make the replay miss fixtures.
+async function startServer() {
+  const port = await freePort();
+  const env = {
+    ...process.env,
+    PORT: String(port),
+    DATA_PROVIDER: 'replay',
+    FIXTURES_DIR,
+    DATA_DIR: dataDir,
+    CHAINS_CONFIG: '',
+    CHAINS_ENABLED: '1',
+    DTF_TOKENS: '',
+    COST_BASIS_METHOD: 'fifo',
+    SNAPSHOT_INTERVAL_MINUTES: '',
+    ...(RECORD ? recordEnv() : {}),
+  };
+  const args = RECORD ? ['-r', './test/support/useUpstream.js', 'index.js'] : ['index.js'];
+  const child = spawn(process.execPath, args, { cwd: BACKEND_DIR, env, stdio: ['ignore', 'pipe', 'pipe'] });
+
+  let output = '';
+  child.stderr.on('data', (chunk) => (output += chunk));
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`API did not start:\n${output}`)), STARTUP_TIMEOUT_MS);
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('API running on port')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`API exited with code ${code}:\n${output}`));
+    });
+  });
+
+  baseUrl = `http://127.0.0.1:${port}`;
+  return child;
+}
+
+async function getJson(pathname) {
+  const res = await fetch(`${baseUrl}${pathname}`);
+  assert.equal(res.status, 200, `GET ${pathname} returned ${res.status}`);
+  return res.json();
+}
+
+function approx(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: expected ${expected}, got ${actual}`);
+}
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sagix-test-'));
+  if (RECORD) {
+    fs.rmSync(FIXTURES_DIR, { recursive: true, force: true });
+    upstream = await startUpstream();
+  }
+  server = await startServer();
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise((resolve) => server.once('exit', resolve));
+    server.kill();
+    await exited;
+  }
+  if (upstream) await upstream.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('GET /api/balances returns the wallet with NAV-priced DTFs, DeFi positions and cost basis', async () => {
+  const portfolio = await getJson(`/api/balances?address=${WALLET}`);
+
+  assert.equal(portfolio.address, WALLET);
+  assert.equal(portfolio.errors, undefined);
+  assert.equal(portfolio.tokenCount, 4);
+  approx(portfolio.totalUsdValue, 11570, 'totalUsdValue');
+  approx(portfolio.breakdown.navPricedValue, 5880, 'navPricedValue');
+  approx(portfolio.breakdown.defiPositionsValue, 190, 'defiPositionsValue');
+
+  const bySymbol = Object.fromEntries(portfolio.tokens.map((t) => [t.symbol, t]));
+  assert.equal(bySymbol.ETH.priceSource, 'market');
+  assert.equal(bySymbol.ETH.balanceFormatted, 1.5);
+  approx(bySymbol.ETH.usdValue, 4500, 'ETH usdValue');
+  assert.equal(bySymbol.USDC.tokenAddress, '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48');
+  approx(bySymbol.USDC.usdValue, 1000, 'USDC usdValue');
+
+  const pendle = bySymbol['PT-sUSDe'];
+  assert.equal(pendle.isDefiPosition, true);
+  assert.equal(pendle.defiProtocol, 'Pendle');
+  assert.equal(pendle.balanceFormatted, 200);
+  approx(pendle.usdValue, 190, 'PT-sUSDe usdValue');
+
+  const ixEth = bySymbol.ixETH;
+  assert.equal(ixEth.priceSource, 'nav');
+  approx(ixEth.usdPrice, 2940, 'ixETH NAV');
+  approx(ixEth.usdValue, 5880, 'ixETH usdValue');
+  assert.equal(ixEth.navDetails.dtfType, 'yield');
+  assert.equal(ixEth.navDetails.basketStatus, 'SOUND');
+  assert.equal(ixEth.navDetails.allUnderlyingPriced, true);
+  assert.deepEqual(
+    ixEth.navDetails.basketTokens.map((t) => [t.symbol, t.quantityPerUnit, t.usdPrice]),
+    [['WETH', 0.5, 3000], ['wstETH', 0.4, 3600]]
+  );
+
+  assert.equal(portfolio.costBasis.method, 'fifo');
+  approx(portfolio.costBasis.totalCostBasisUsd, 4750, 'totalCostBasisUsd');
+  approx(portfolio.costBasis.unrealizedPnlUsd, 750, 'unrealizedPnlUsd');
+  approx(bySymbol.ETH.costBasisUsd, 3750, 'ETH costBasisUsd');
+  approx(bySymbol.USDC.costBasisUsd, 1000, 'USDC costBasisUsd');
+});
+
+test('GET /api/portfolio aggregates the wallet', async () => {
+  const portfolio = await getJson(`/api/portfolio?addresses=${WALLET}:main`);
+
+  assert.equal(portfolio.wallets.length, 1);
+  assert.equal(portfolio.wallets[0].address, WALLET);
+  assert.equal(portfolio.wallets[0].label, 'main');
+  approx(portfolio.totalUsdValue, 11570, 'totalUsdValue');
+  assert.equal(portfolio.tokenCount, 4);
+  assert.equal(portfolio.errors, undefined);
+});
+
+test('GET /api/dtf/premiums reports NAV and premium for every known DTF', async () => {
+  const { dtfs } = await getJson('/api/dtf/premiums');
+  const byAddress = Object.fromEntries(dtfs.map((d) => [d.address.toLowerCase(), d]));
+
+  const ixEdel = byAddress[IXEDEL];
+  assert.equal(ixEdel.dtfType, 'index');
+  approx(ixEdel.navPerToken, 5, 'ixEdel NAV');
+  approx(ixEdel.marketPrice, 5.1, 'ixEdel market price');
+  approx(ixEdel.premiumDiscountPct, 2, 'ixEdel premium');
+
+  const ixEth = byAddress[IXETH];
+  assert.equal(ixEth.dtfType, 'yield');
+  assert.equal(ixEth.basketStatus, 'SOUND');
+  approx(ixEth.navPerToken, 2940, 'ixETH NAV');
+  assert.equal(ixEth.marketPrice, null);
+  assert.equal(ixEth.premiumDiscountPct, null);
+});
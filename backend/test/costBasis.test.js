@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { replayHistory } = require('../services/costBasis');
+
+// ──────────────────────────────────────────────────────────────────────
+// Cost basis lot matching
+//
+// replayHistory() on hand-built priced transactions: which lots each
+// method consumes, and what an unpriced leg does to the result.
+// ──────────────────────────────────────────────────────────────────────
+
+const TOKEN = '0x00000000000000000000000000000000000000aa';
+const KEY = `1:${TOKEN}`;
+
+function tx(direction, amount, usdPrice, extra = {}) {
+  return {
+    chainId: 1,
+    status: 'confirmed',
+    transfers: [{ tokenAddress: TOKEN, symbol: 'TKN', direction, amount, usdPrice }],
+    ...extra,
+  };
+}
+
+// Buy 1 @ 100, buy 1 @ 200, sell 1 @ 300
+const HISTORY = [tx('in', 1, 100), tx('in', 1, 200), tx('out', 1, 300)];
+
+test('fifo disposes of the oldest lot first', () => {
+  const position = replayHistory(HISTORY, 'fifo').get(KEY);
+  assert.equal(position.realizedPnlUsd, 200);
+  assert.deepEqual(position.lots, [{ amount: 1, unitCost: 200 }]);
+});
+
+test('lifo disposes of the newest lot first', () => {
+  const position = replayHistory(HISTORY, 'lifo').get(KEY);
+  assert.equal(position.realizedPnlUsd, 100);
+  assert.deepEqual(position.lots, [{ amount: 1, unitCost: 100 }]);
+});
+
+test('average pools lots at the weighted cost', () => {
+  const position = replayHistory(HISTORY, 'average').get(KEY);
+  assert.equal(position.realizedPnlUsd, 150);
+  assert.deepEqual(position.lots, [{ amount: 1, unitCost: 150 }]);
+});
+
+test('a disposal spanning lots takes part of the next one', () => {
+  const position = replayHistory([...HISTORY.slice(0, 2), tx('out', 1.5, 300)], 'fifo').get(KEY);
+  assert.equal(position.realizedPnlUsd, 1.5 * 300 - (100 + 0.5 * 200));
+  assert.deepEqual(position.lots, [{ amount: 0.5, unitCost: 200 }]);
+});
+
+test('selling more than was acquired counts the excess at zero cost', () => {
+  const position = replayHistory([tx('in', 1, 100), tx('out', 2, 150)], 'fifo').get(KEY);
+  assert.equal(position.realizedPnlUsd, 2 * 150 - 100);
+  assert.deepEqual(position.lots, []);
+});
+
+test('an unpriced disposal is counted, not realized', () => {
+  const position = replayHistory([tx('in', 1, 100), tx('out', 1, null)], 'fifo').get(KEY);
+  assert.equal(position.realizedPnlUsd, 0);
+  assert.equal(position.unpricedDisposals, 1);
+});
+
+test('disposing of an unpriced lot makes the cost unknown', () => {
+  const position = replayHistory([tx('in', 1, null), tx('in', 1, 100), tx('out', 1, 300)], 'fifo').get(KEY);
+  assert.equal(position.unpricedDisposals, 1);
+  assert.deepEqual(position.lots, [{ amount: 1, unitCost: 100 }]);
+});
+
+test('failed transactions are skipped', () => {
+  const position = replayHistory([tx('in', 1, 100), tx('out', 1, 300, { status: 'failed' })], 'fifo').get(KEY);
+  assert.equal(position.realizedPnlUsd, 0);
+  assert.deepEqual(position.lots, [{ amount: 1, unitCost: 100 }]);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sqrtPriceAtTick, amountsForLiquidity, uncollectedFees } = require('../services/protocols/liquidityMath');
+
+// ──────────────────────────────────────────────────────────────────────
+// Concentrated-liquidity math
+//
+// Principal amounts for a tick range and uncollected fees from fee growth
+// counters, including counters that wrapped around 2^256.
+// ──────────────────────────────────────────────────────────────────────
+
+const Q128 = 2n ** 128n;
+const Q256 = 2n ** 256n;
+// sqrtPriceX96 at tick 0 (price 1)
+const PRICE_ONE_X96 = 2n ** 96n;
+
+const L = 1e18;
+
+function close(actual, expected) {
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * 1e-9, `${actual} ≉ ${expected}`);
+}
+
+test('in range, liquidity holds both tokens', () => {
+  const { amount0, amount1 } = amountsForLiquidity(BigInt(L), PRICE_ONE_X96, -1000, 1000);
+  const sa = sqrtPriceAtTick(-1000);
+  const sb = sqrtPriceAtTick(1000);
+  close(amount0, (L * (sb - 1)) / sb);
+  close(amount1, L * (1 - sa));
+});
+
+test('below the range, liquidity is all token0', () => {
+  const { amount0, amount1 } = amountsForLiquidity(BigInt(L), PRICE_ONE_X96, 100, 200);
+  const sa = sqrtPriceAtTick(100);
+  const sb = sqrtPriceAtTick(200);
+  close(amount0, (L * (sb - sa)) / (sa * sb));
+  assert.equal(amount1, 0);
+});
+
+test('above the range, liquidity is all token1', () => {
+  const { amount0, amount1 } = amountsForLiquidity(BigInt(L), PRICE_ONE_X96, -200, -100);
+  assert.equal(amount0, 0);
+  close(amount1, L * (sqrtPriceAtTick(-100) - sqrtPriceAtTick(-200)));
+});
+
+function fees({ tick, global, lowerOutside, upperOutside, insideLast = 0n, owed = 0n, liquidity = 10n ** 18n }) {
+  return uncollectedFees(
+    { tickLower: -100, tickUpper: 100, liquidity, feeGrowthInside0LastX128: insideLast, tokensOwed0: owed },
+    { tick, feeGrowthGlobal0X128: global },
+    { feeGrowthOutside0X128: lowerOutside },
+    { feeGrowthOutside0X128: upperOutside },
+    0
+  );
+}
+
+test('in range, fees are global growth minus growth outside both ticks', () => {
+  const fee = fees({ tick: 0, global: 10n * Q128, lowerOutside: 2n * Q128, upperOutside: 3n * Q128, insideLast: Q128, owed: 7n });
+  // inside = 10 - 2 - 3 = 5 per liquidity unit; 4 accrued since last touch
+  assert.equal(fee, 4n * 10n ** 18n + 7n);
+});
+
+test('below the range, growth below the lower tick is global minus its outside value', () => {
+  const fee = fees({ tick: -500, global: 10n * Q128, lowerOutside: 6n * Q128, upperOutside: 1n * Q128 });
+  // below = 10 - 6 = 4, above = 1, inside = 10 - 4 - 1 = 5
+  assert.equal(fee, 5n * 10n ** 18n);
+});
+
+test('fee growth counters that wrapped around 2^256 still give the accrued fees', () => {
+  // Global wrapped past zero after the position last read its inside growth
+  const fee = fees({ tick: 0, global: 2n * Q128, lowerOutside: 0n, upperOutside: 0n, insideLast: Q256 - Q128 });
+  assert.equal(fee, 3n * 10n ** 18n);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffPortfolios } = require('../services/liveUpdates');
+
+// ──────────────────────────────────────────────────────────────────────
+// Live update diffs
+//
+// diffPortfolios() on hand-built portfolios: which holdings are reported
+// as added, removed or changed, and when totals are included.
+// ──────────────────────────────────────────────────────────────────────
+
+const ETH = { chainId: 1, symbol: 'ETH', tokenAddress: null, nativeToken: true, balanceFormatted: 1, usdPrice: 3000, usdValue: 3000 };
+const USDC = { chainId: 1, symbol: 'USDC', tokenAddress: '0xusdc', balanceFormatted: 100, usdPrice: 1, usdValue: 100 };
+const AAVE_USDC = {
+  ...USDC,
+  isDefiPosition: true,
+  defiProtocol: 'aave-v3',
+  defiPositionType: 'supplied',
+  balanceFormatted: 50,
+  usdValue: 50,
+};
+
+function portfolio(tokens, breakdown = { wallet: 1 }) {
+  return {
+    tokens,
+    totalUsdValue: tokens.reduce((sum, t) => sum + t.usdValue, 0),
+    tokenCount: tokens.length,
+    breakdown,
+  };
+}
+
+test('identical portfolios have no diff', () => {
+  assert.equal(diffPortfolios(portfolio([ETH, USDC]), portfolio([ETH, USDC])), null);
+});
+
+test('a price move reports only the changed fields and the new totals', () => {
+  const diff = diffPortfolios(portfolio([ETH, USDC]), portfolio([{ ...ETH, usdPrice: 3100, usdValue: 3100 }, USDC]));
+  assert.deepEqual(diff.added, []);
+  assert.deepEqual(diff.removed, []);
+  assert.deepEqual(diff.changed, [
+    { key: '1:native:wallet', symbol: 'ETH', chainId: 1, usdPrice: 3100, usdValue: 3100 },
+  ]);
+  assert.equal(diff.totals.totalUsdValue, 3200);
+});
+
+test('holdings are matched by key, so a DeFi position is not the wallet balance', () => {
+  const diff = diffPortfolios(portfolio([ETH, USDC]), portfolio([ETH, AAVE_USDC]));
+  assert.deepEqual(diff.added.map((t) => t.key), ['1:0xusdc:aave-v3:supplied']);
+  assert.deepEqual(diff.removed, [{ key: '1:0xusdc:wallet', symbol: 'USDC', chainId: 1 }]);
+  assert.deepEqual(diff.changed, []);
+});
+
+test('a breakdown change alone still reports totals', () => {
+  const diff = diffPortfolios(portfolio([ETH], { wallet: 1 }), portfolio([ETH], { wallet: 0.5 }));
+  assert.deepEqual(diff.changed, []);
+  assert.deepEqual(diff.totals, { totalUsdValue: 3000, breakdown: { wallet: 0.5 }, tokenCount: 1 });
+});
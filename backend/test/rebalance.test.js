@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTargets, pairSwaps } = require('../services/rebalance');
+
+// ──────────────────────────────────────────────────────────────────────
+// Rebalancing planner
+//
+// parseTargets() input validation and pairSwaps() greedy matching of
+// sells with buys.
+// ──────────────────────────────────────────────────────────────────────
+
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+
+test('parses token, chainId:address and asset-group targets', () => {
+  const { targets, error } = parseTargets([
+    { token: 'eth+', weight: 40 },
+    { token: '1:0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', weight: 20, label: 'cash' },
+    { assets: ['btc', ' eth '], weight: 40 },
+  ]);
+  assert.equal(error, undefined);
+  assert.deepEqual(targets, [
+    { label: 'eth+', kind: 'token', weight: 40, symbol: 'ETH+' },
+    { label: 'cash', kind: 'token', weight: 20, chainId: 1, address: USDC },
+    { label: 'btc+eth', kind: 'asset', weight: 40, assets: ['BTC', 'ETH'] },
+  ]);
+});
+
+test('weights must add up to 100', () => {
+  const result = parseTargets([{ token: 'ETH', weight: 60 }, { asset: 'BTC', weight: 30 }]);
+  assert.equal(result.error, 'Target weights must add up to 100');
+  assert.equal(result.received, 90);
+});
+
+test('rejects malformed targets', () => {
+  assert.match(parseTargets([]).error, /non-empty array/);
+  assert.match(parseTargets([{ token: 'ETH', weight: -1 }]).error, /non-negative weight/);
+  assert.match(parseTargets([{ token: 'ETH', asset: 'ETH', weight: 100 }]).error, /either token or asset/);
+  assert.match(parseTargets([{ assets: [], weight: 100 }]).error, /either token or asset/);
+  assert.match(parseTargets([{ token: `999999:${USDC}`, weight: 100 }]).error, /Unsupported chain/);
+  assert.equal(
+    parseTargets([{ token: 'ETH', weight: 50 }, { token: 'ETH', weight: 50 }]).error,
+    'Duplicate target'
+  );
+});
+
+test('pairs the largest sell with the largest buy and carries the remainder', () => {
+  const { swaps, unmatched } = pairSwaps([
+    { action: 'sell', symbol: 'ETH', usdValue: 500 },
+    { action: 'buy', symbol: 'USDC', usdValue: 300 },
+    { action: 'buy', symbol: 'BTC', usdValue: 150 },
+  ]);
+  assert.deepEqual(swaps, [
+    { sell: 'ETH', buy: 'USDC', usdValue: 300 },
+    { sell: 'ETH', buy: 'BTC', usdValue: 150 },
+  ]);
+  assert.deepEqual(unmatched, [{ action: 'sell', symbol: 'ETH', usdValue: 50 }]);
+});
+
+test('legs with nothing to pair against are unmatched', () => {
+  const { swaps, unmatched } = pairSwaps([
+    { action: 'buy', symbol: 'BTC', usdValue: 200 },
+    { action: 'buy', symbol: 'USDC', usdValue: 100 },
+  ]);
+  assert.deepEqual(swaps, []);
+  assert.deepEqual(unmatched.map((t) => t.symbol), ['BTC', 'USDC']);
+});
@@ -0,0 +1,384 @@
+const http = require('http');
+const { ethers } = require('ethers');
+
+// ──────────────────────────────────────────────────────────────────────
+// Scripted upstream for recording the test fixtures
+//
+// One local HTTP server standing in for the Moralis Web3 Data API
+// (/api/v2.2/..., answering with Moralis' raw JSON shapes) and for
+// JSON-RPC nodes (/rpc/<chainId>, backed by a small in-memory chain).
+// The API runs against it with DATA_PROVIDER=record, so the Moralis SDK
+// and the live provider's mapping code run exactly as they do in
+// production and a deterministic fixture set is captured without network
+// access or an API key.
+//
+// The wallet (Ethereum only) holds 1.5 ETH, 1,000 USDC, 2 ixETH that
+// Moralis cannot price, and a Pendle position of 200 PT-sUSDe. ixETH is a
+// Yield DTF (0.5 WETH + 0.4 wstETH per token → NAV $2,940); ixEdel, not
+// held, is an Index DTF (5 USDC per token → NAV $5). The wallet's history
+// received the ETH at block 19,000,000 ($2,500) and the USDC at block
+// 19,500,000 ($1). The on-chain protocol adapters find no positions.
+// ──────────────────────────────────────────────────────────────────────
+
+const WALLET = '0x1234567890abcdef1234567890abcdef12345678';
+
+const NATIVE = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const WSTETH = '0x7f39c581f595b53c5cb19bd0b3f8da6c935e2ca0';
+const PT_SUSDE = '0xe00bd3df25fb187d6abbb620b3dfd19839947b81';
+const IXETH = '0x60105cbd0499199ca84f63ee9198b2a2d5441699';
+const IXEDEL = '0xe4a10951f962e6cb93cb843a4ef05d2f99db1f94';
+const IXETH_MAIN = '0x00000000000000000000000000000000000a0001';
+const IXETH_BASKET_HANDLER = '0x00000000000000000000000000000000000a0002';
+const MULTICALL3 = '0xca11bde05977b3631167028862be2a173976ca11';
+const AAVE_POOL = '0x87870bca3f3fd6335c3f4ce8392d69350b4fa4e2';
+const UNISWAP_POSITION_MANAGER = '0xc36442b4a4522e871399cd717abdd847ab11fe88';
+const UNISWAP_FACTORY = '0x1f98431c8ad98523631ae4a59f267346ea31f984';
+
+const BLOCK_NUMBER = 21000000;
+
+// ── Moralis ──
+
+const SENDER = '0x000000000000000000000000000000000000beef';
+
+const TOKENS = {
+  [WETH]: { symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 },
+  [USDC]: { symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+  [WSTETH]: { symbol: 'wstETH', name: 'Wrapped liquid staked Ether 2.0', decimals: 18 },
+  [IXEDEL]: { symbol: 'ixEdel', name: 'Index Coop Edel', decimals: 18 },
+};
+
+// Current prices — anything else answers 404 like an unpriced token
+const PRICES = {
+  [WETH]: 3000,
+  [USDC]: 1,
+  [WSTETH]: 3600,
+  [IXEDEL]: 5.1,
+};
+
+// Prices at past blocks (to_block), keyed `${address}@${block}`
+const HISTORICAL_PRICES = {
+  [`${WETH}@19000000`]: 2500,
+  [`${USDC}@19500000`]: 1,
+};
+
+function balance({ address, symbol, name, decimals, raw, formatted, usdPrice, native = false }) {
+  return {
+    token_address: address,
+    symbol,
+    name,
+    logo: null,
+    thumbnail: null,
+    decimals,
+    balance: raw,
+    possible_spam: false,
+    verified_contract: true,
+    usd_price: usdPrice,
+    usd_price_24hr_percent_change: usdPrice === null ? null : 0,
+    usd_price_24hr_usd_change: usdPrice === null ? null : 0,
+    usd_value_24hr_usd_change: usdPrice === null ? null : 0,
+    usd_value: usdPrice === null ? null : usdPrice * parseFloat(formatted),
+    portfolio_percentage: 0,
+    balance_formatted: formatted,
+    native_token: native,
+    total_supply: null,
+    total_supply_formatted: null,
+    percentage_relative_to_total_supply: null,
+  };
+}
+
+const WALLET_TOKENS = [
+  balance({ address: NATIVE, symbol: 'ETH', name: 'Ether', decimals: 18, raw: '1500000000000000000', formatted: '1.5', usdPrice: 3000, native: true }),
+  balance({ address: USDC, symbol: 'USDC', name: 'USD Coin', decimals: 6, raw: '1000000000', formatted: '1000', usdPrice: 1 }),
+  balance({ address: IXETH, symbol: 'ixETH', name: 'Index Coop ETH', decimals: 18, raw: '2000000000000000000', formatted: '2', usdPrice: null }),
+];
+
+const DEFI_POSITIONS = [
+  {
+    protocol_name: 'Pendle',
+    protocol_id: 'pendle',
+    protocol_url: 'https://app.pendle.finance',
+    protocol_logo: null,
+    position: {
+      label: 'liquidity',
+      address: PT_SUSDE,
+      balance_usd: 190,
+      total_unclaimed_usd_value: null,
+      tokens: [
+        {
+          token_type: 'supplied',
+          name: 'PT Ethena sUSDE',
+          symbol: 'PT-sUSDe',
+          contract_address: PT_SUSDE,
+          decimals: '18',
+          logo: null,
+          thumbnail: null,
+          balance: '200000000000000000000',
+          balance_formatted: '200',
+          usd_price: 0.95,
+          usd_value: 190,
+        },
+      ],
+    },
+  },
+];
+
+function transaction({ hash, block, timestamp, erc20 = [], native = [] }) {
+  return {
+    hash,
+    nonce: '0',
+    transaction_index: '0',
+    from_address: SENDER,
+    to_address: WALLET,
+    value: native.length > 0 ? native[0].value : '0',
+    gas: '21000',
+    gas_price: '10000000000',
+    receipt_cumulative_gas_used: '21000',
+    receipt_gas_used: '21000',
+    receipt_contract_address: null,
+    receipt_status: '1',
+    transaction_fee: '0.00021',
+    block_timestamp: timestamp,
+    block_number: String(block),
+    block_hash: `0x${block.toString(16).padStart(64, '0')}`,
+    category: 'receive',
+    possible_spam: false,
+    method_label: null,
+    summary: null,
+    nft_transfers: [],
+    erc20_transfers: erc20.map((t) => ({
+      token_name: TOKENS[t.address].name,
+      token_symbol: TOKENS[t.address].symbol,
+      token_logo: null,
+      token_decimals: String(TOKENS[t.address].decimals),
+      address: t.address,
+      block_timestamp: timestamp,
+      from_address: SENDER,
+      to_address: WALLET,
+      value: t.value,
+      value_formatted: t.formatted,
+      log_index: 0,
+      possible_spam: false,
+      verified_contract: true,
+    })),
+    native_transfers: native.map((t) => ({
+      from_address: SENDER,
+      to_address: WALLET,
+      value: t.value,
+      value_formatted: t.formatted,
+      direction: 'receive',
+      internal_transaction: false,
+      token_symbol: 'ETH',
+      token_logo: null,
+    })),
+  };
+}
+
+const HISTORY = [
+  transaction({
+    hash: `0x${'01'.repeat(32)}`,
+    block: 19000000,
+    timestamp: '2024-01-13T00:00:00.000Z',
+    native: [{ value: '1500000000000000000', formatted: '1.5' }],
+  }),
+  transaction({
+    hash: `0x${'02'.repeat(32)}`,
+    block: 19500000,
+    timestamp: '2024-03-23T00:00:00.000Z',
+    erc20: [{ address: USDC, value: '1000000000', formatted: '1000' }],
+  }),
+];
+
+function tokenPrice(address, toBlock) {
+  const usdPrice = toBlock ? HISTORICAL_PRICES[`${address}@${toBlock}`] : PRICES[address];
+  if (usdPrice === undefined) return null;
+  const token = TOKENS[address];
+  return {
+    tokenName: token.name,
+    tokenSymbol: token.symbol,
+    tokenLogo: null,
+    tokenDecimals: String(token.decimals),
+    nativePrice: { value: '1000000000000000000', decimals: 18, name: 'Ether', symbol: 'ETH', address: WETH },
+    usdPrice,
+    usdPriceFormatted: String(usdPrice),
+    exchangeName: 'Uniswap v3',
+    exchangeAddress: UNISWAP_FACTORY,
+    tokenAddress: address,
+    priceLastChangedAtBlock: String(toBlock || BLOCK_NUMBER),
+    possibleSpam: false,
+    verifiedContract: true,
+  };
+}
+
+const MORALIS_ROUTES = [
+  [/^\/wallets\/(0x[0-9a-f]{40})\/tokens$/, (address, chain) => ({
+    cursor: null,
+    page: 0,
+    page_size: 100,
+    result: address === WALLET && chain === '0x1' ? WALLET_TOKENS : [],
+  })],
+  [/^\/wallets\/(0x[0-9a-f]{40})\/defi\/positions$/, (address, chain) =>
+    address === WALLET && chain === '0x1' ? DEFI_POSITIONS : []],
+  [/^\/wallets\/(0x[0-9a-f]{40})\/history$/, (address, chain) => ({
+    cursor: null,
+    page: 0,
+    page_size: 100,
+    result: address === WALLET && chain === '0x1' ? HISTORY : [],
+  })],
+  [/^\/erc20\/(0x[0-9a-f]{40})\/price$/, (address, chain, query) => tokenPrice(address, query.get('to_block'))],
+];
+
+function moralis(pathname, query) {
+  for (const [pattern, handler] of MORALIS_ROUTES) {
+    const match = pathname.match(pattern);
+    if (match) {
+      const body = handler(match[1].toLowerCase(), query.get('chain'), query);
+      return body === null
+        ? [404, { message: 'No pools found with enough liquidity, to calculate the price' }]
+        : [200, body];
+    }
+  }
+  return [404, { message: `${pathname} is not scripted` }];
+}
+
+// ── JSON-RPC ──
+
+// address → [[function signature, handler(...args) → results]]
+const CONTRACTS = {
+  [IXETH]: [
+    ['function decimals() view returns (uint8)', () => [18]],
+    ['function main() view returns (address)', () => [IXETH_MAIN]],
+  ],
+  [IXETH_MAIN]: [['function basketHandler() view returns (address)', () => [IXETH_BASKET_HANDLER]]],
+  [IXETH_BASKET_HANDLER]: [
+    ['function nonce() view returns (uint48)', () => [1]],
+    ['function status() view returns (uint8)', () => [0]],
+    [
+      'function quote(uint192 amount, uint8 rounding) view returns (address[] erc20s, uint256[] quantities)',
+      () => [[WETH, WSTETH], [5n * 10n ** 17n, 4n * 10n ** 17n]],
+    ],
+  ],
+  [IXEDEL]: [
+    ['function decimals() view returns (uint8)', () => [18]],
+    [
+      'function toAssets(uint256 shares, uint8 rounding) view returns (address[] assets, uint256[] amounts)',
+      (shares) => [[USDC], [(shares * 5n * 10n ** 6n) / 10n ** 18n]],
+    ],
+  ],
+  // No Aave reserves and no debt
+  [AAVE_POOL]: [
+    ['function getReservesList() view returns (address[])', () => [[]]],
+    [
+      'function getUserAccountData(address user) view returns (uint256, uint256, uint256, uint256, uint256, uint256)',
+      () => [0, 0, 0, 0, 0, ethers.MaxUint256],
+    ],
+  ],
+  // No Uniswap V3 LP NFTs
+  [UNISWAP_POSITION_MANAGER]: [
+    ['function balanceOf(address owner) view returns (uint256)', () => [0]],
+    ['function factory() view returns (address)', () => [UNISWAP_FACTORY]],
+  ],
+  [WETH]: [
+    ['function decimals() view returns (uint8)', () => [18]],
+    ['function symbol() view returns (string)', () => ['WETH']],
+  ],
+  [WSTETH]: [
+    ['function decimals() view returns (uint8)', () => [18]],
+    ['function symbol() view returns (string)', () => ['wstETH']],
+  ],
+  [USDC]: [
+    ['function decimals() view returns (uint8)', () => [6]],
+    ['function symbol() view returns (string)', () => ['USDC']],
+  ],
+};
+
+const multicallInterface = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+]);
+
+// Return data of a call; throws (a revert) for unknown contracts / functions
+function execute(to, data) {
+  const target = to.toLowerCase();
+  if (target === MULTICALL3) {
+    const [calls] = multicallInterface.decodeFunctionData('aggregate3', data);
+    const results = calls.map(([callTarget, , callData]) => {
+      try {
+        return [true, execute(callTarget, callData)];
+      } catch {
+        return [false, '0x'];
+      }
+    });
+    return multicallInterface.encodeFunctionResult('aggregate3', [results]);
+  }
+
+  for (const [signature, handler] of CONTRACTS[target] || []) {
+    const iface = new ethers.Interface([signature]);
+    const fragment = iface.fragments[0];
+    if (data.startsWith(fragment.selector)) {
+      return iface.encodeFunctionResult(fragment, handler(...iface.decodeFunctionData(fragment, data)));
+    }
+  }
+  throw new Error('execution reverted');
+}
+
+function rpc(chainId, request) {
+  const reply = (result) => ({ jsonrpc: '2.0', id: request.id, result });
+  const fail = (code, message) => ({ jsonrpc: '2.0', id: request.id, error: { code, message } });
+  if (chainId !== 1) return fail(-32000, `chain ${chainId} is not scripted`);
+
+  switch (request.method) {
+    case 'eth_chainId':
+      return reply('0x1');
+    case 'eth_blockNumber':
+      return reply(ethers.toQuantity(BLOCK_NUMBER));
+    case 'eth_call':
+      try {
+        return reply(execute(request.params[0].to, request.params[0].data || request.params[0].input));
+      } catch (err) {
+        return fail(3, err.message);
+      }
+    default:
+      return fail(-32601, `${request.method} is not scripted`);
+  }
+}
+
+/**
+ * Start the scripted upstream on a free local port.
+ *
+ * @returns {Promise<{ url: string, close: function }>}
+ */
+function startUpstream() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://upstream');
+      let status = 200;
+      let response;
+
+      const rpcMatch = url.pathname.match(/^\/rpc\/(\d+)$/);
+      if (rpcMatch) {
+        const payload = JSON.parse(body);
+        const chainId = Number(rpcMatch[1]);
+        response = Array.isArray(payload) ? payload.map((p) => rpc(chainId, p)) : rpc(chainId, payload);
+      } else {
+        [status, response] = moralis(url.pathname.replace(/^\/api\/v2\.2/, ''), url.searchParams);
+      }
+
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+module.exports = { WALLET, startUpstream };
@@ -0,0 +1,9 @@
+const Moralis = require('moralis').default;
+
+// Preloaded (node -r) into the API while recording fixtures: points the
+// Moralis SDK at the scripted upstream (see upstream.js) instead of
+// Moralis' servers. JSON-RPC URLs are set through the usual env vars.
+
+const start = Moralis.start.bind(Moralis);
+
+Moralis.start = (config) => start({ ...config, evmApiBaseUrl: `${process.env.UPSTREAM_URL}/api/v2.2` });